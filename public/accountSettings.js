@@ -0,0 +1,74 @@
+// Account Settings Sync
+// Keeps goals, yearly plans and training load settings on the athlete's account, so
+// they follow the athlete across browsers. localStorage stays the working copy the
+// dashboard reads from.
+
+class AccountSettingsSync {
+  constructor() {
+    // Account setting -> localStorage key holding it
+    this.storageKeys = {
+      goals: 'athletesignal_goals',
+      yearlyPlan: 'athletesignal_yearly_plan',
+      trainingLoad: 'athletesignal_training_load'
+    };
+  }
+
+  /**
+   * Copy the account's settings into localStorage. Settings that only exist in this
+   * browser (saved before accounts existed) are uploaded to the account instead.
+   */
+  async pull() {
+    try {
+      const response = await fetch('/account/settings');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const settings = await response.json();
+
+      for (const [key, storageKey] of Object.entries(this.storageKeys)) {
+        if (settings[key] !== null && settings[key] !== undefined) {
+          localStorage.setItem(storageKey, JSON.stringify(settings[key]));
+          continue;
+        }
+
+        const local = localStorage.getItem(storageKey);
+        if (local) {
+          await this.push(key, JSON.parse(local));
+        }
+      }
+      console.log('[SETTINGS] Account settings loaded');
+    } catch (error) {
+      // Fall back to whatever this browser has stored
+      console.error('[SETTINGS] Failed to load account settings:', error);
+    }
+  }
+
+  /**
+   * Save one setting to the account (callers have already updated localStorage)
+   */
+  async push(key, value) {
+    try {
+      const response = await fetch('/account/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [key]: value })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`[SETTINGS] Failed to save ${key} to account:`, error);
+    }
+  }
+}
+
+// Shared instance; `ready` resolves once account settings are in localStorage
+if (typeof window !== 'undefined') {
+  window.accountSettings = new AccountSettingsSync();
+  window.accountSettings.ready = window.accountSettings.pull();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountSettingsSync;
+}
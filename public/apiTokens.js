@@ -0,0 +1,57 @@
+// Personal API Tokens
+// Lists, creates and revokes the athlete's personal access tokens, which scripts use
+// to read /api/v1 with `Authorization: Bearer <token>`.
+
+class ApiTokenClient {
+  /**
+   * The athlete's tokens and the scopes a token can be given
+   * @returns {Promise<{tokens: Array, scopes: Object}>}
+   */
+  async list() {
+    const response = await fetch('/account/tokens');
+    if (!response.ok) {
+      throw new Error(await this.errorMessage(response));
+    }
+    return response.json();
+  }
+
+  /**
+   * Create a token. The returned `token` is the only time the secret is available.
+   */
+  async create(name, scopes) {
+    const response = await fetch('/account/tokens', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, scopes })
+    });
+    if (!response.ok) {
+      throw new Error(await this.errorMessage(response));
+    }
+    return response.json();
+  }
+
+  async revoke(id) {
+    const response = await fetch(`/account/tokens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(await this.errorMessage(response));
+    }
+  }
+
+  async errorMessage(response) {
+    try {
+      const body = await response.json();
+      return body.error || `HTTP ${response.status}`;
+    } catch {
+      return `HTTP ${response.status}`;
+    }
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.apiTokens = new ApiTokenClient();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiTokenClient;
+}
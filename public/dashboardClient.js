@@ -4,6 +4,16 @@ let isInitializing = false;
 let sleepChartInstance = null;
 let distanceChartInstance = null;
 let mileageChartInstance = null;
+let vitalsChartInstance = null;
+let temperatureChartInstance = null;
+let sleepTimingChartInstance = null;
+let performanceChartInstance = null;
+let acwrChartInstance = null;
+let racePredictionChartInstance = null;
+
+// Initialize Sleep Timing Analyzer
+let sleepTimingAnalyzer = null;
+let racePredictor = null;
 let initRetryCount = 0;
 const MAX_RETRIES = 50; // Max 5 seconds of retries
 
@@ -13,10 +23,29 @@ let trainingLoadAnalyzer = null;
 // Initialize Yearly Goals Planner
 let yearlyGoalsPlanner = null;
 
+// Cross-training toggle (persisted across visits)
+const CROSS_TRAINING_STORAGE_KEY = 'athletesignal_include_cross_training';
+
+// Strava sport types shown when cross-training is excluded (matches the server default)
+const RUN_SPORT_TYPES = ['Run', 'TrailRun', 'VirtualRun'];
+
+// First day of the week for weekly totals (mileage chart, weekly goals, yearly planner)
+const WEEK_START = 'monday';
+
+// Distance units for exports (persisted across visits)
+const EXPORT_UNITS_STORAGE_KEY = 'athletesignal_export_units';
+
+function isCrossTrainingIncluded() {
+  return localStorage.getItem(CROSS_TRAINING_STORAGE_KEY) === 'true';
+}
+
 // Cache sync status checking
 let cacheSyncCheckInterval = null;
 let cacheSyncCheckAttempts = 0;
+let cacheSyncEventSource = null;
+let cacheSyncTimeout = null;
 const MAX_CACHE_SYNC_CHECK_ATTEMPTS = 120; // 2 minutes max (120 * 1 second)
+const CACHE_SYNC_TIMEOUT_MS = 2 * 60 * 1000;
 
 async function checkCacheSyncStatus() {
   try {
@@ -31,10 +60,17 @@ async function checkCacheSyncStatus() {
       clearCacheSyncCheckInterval();
       return true;
     }
-    
-    if (status.syncing) {
-      // Update loading message based on progress
-      updateLoadingProgress(status);
+
+    if (status.syncError) {
+      // The sync failed (e.g. rate limited or Strava/Oura down); stop waiting and show what we have
+      console.warn(`[CACHE] [WARNING] Sync failed (${status.syncError.code}):`, status.syncError.message);
+      hideLoadingOverlay();
+      clearCacheSyncCheckInterval();
+      return true;
+    }
+
+    if (status.progress) {
+      updateLoadingProgress(status.progress);
     }
     
     return false;
@@ -50,7 +86,62 @@ async function checkCacheSyncStatus() {
 function startCacheSyncCheck() {
   // Show loading overlay
   showLoadingOverlay();
-  
+
+  if (typeof EventSource === 'undefined') {
+    startCacheSyncPolling();
+    return;
+  }
+
+  // Follow the sync as the server reports it; fall back to polling if the stream drops
+  cacheSyncEventSource = new EventSource('/sync/events');
+
+  cacheSyncEventSource.onmessage = (message) => {
+    const event = JSON.parse(message.data);
+    console.log('[CACHE] [SYNC]', event);
+
+    if (event.stage === 'status') {
+      if (event.synced || (!event.syncing && event.cacheComplete)) {
+        finishCacheSyncCheck();
+        return;
+      }
+      if (!event.syncing && event.syncError) {
+        console.warn(`[CACHE] [WARNING] Sync failed (${event.syncError.code}):`, event.syncError.message);
+        finishCacheSyncCheck();
+        return;
+      }
+      if (event.progress) {
+        updateLoadingProgress(event.progress);
+      }
+      return;
+    }
+
+    if (event.stage === 'error') {
+      // The sync failed (e.g. rate limited or Strava/Oura down); stop waiting and show what we have
+      console.warn(`[CACHE] [WARNING] Sync failed (${event.code}):`, event.message);
+      finishCacheSyncCheck();
+      return;
+    }
+
+    updateLoadingProgress(event);
+
+    if (event.stage === 'complete') {
+      finishCacheSyncCheck();
+    }
+  };
+
+  cacheSyncEventSource.onerror = () => {
+    console.warn('[CACHE] [WARNING] Sync event stream unavailable, falling back to polling');
+    closeCacheSyncEventSource();
+    startCacheSyncPolling();
+  };
+
+  cacheSyncTimeout = setTimeout(() => {
+    console.log('[CACHE] [WARNING] Sync still running after 2 minutes, proceeding anyway');
+    finishCacheSyncCheck();
+  }, CACHE_SYNC_TIMEOUT_MS);
+}
+
+function startCacheSyncPolling() {
   // Initial check
   checkCacheSyncStatus().then(synced => {
     if (!synced) {
@@ -74,6 +165,23 @@ function startCacheSyncCheck() {
   });
 }
 
+function finishCacheSyncCheck() {
+  hideLoadingOverlay();
+  closeCacheSyncEventSource();
+  clearCacheSyncCheckInterval();
+}
+
+function closeCacheSyncEventSource() {
+  if (cacheSyncEventSource) {
+    cacheSyncEventSource.close();
+    cacheSyncEventSource = null;
+  }
+  if (cacheSyncTimeout) {
+    clearTimeout(cacheSyncTimeout);
+    cacheSyncTimeout = null;
+  }
+}
+
 function clearCacheSyncCheckInterval() {
   if (cacheSyncCheckInterval) {
     clearInterval(cacheSyncCheckInterval);
@@ -82,54 +190,60 @@ function clearCacheSyncCheckInterval() {
   cacheSyncCheckAttempts = 0;
 }
 
-function updateLoadingProgress(status) {
-  const loadingMessage = document.getElementById('loadingMessage');
-  const step1 = document.getElementById('step1');
-  const step2 = document.getElementById('step2');
-  const step3 = document.getElementById('step3');
-  const step4 = document.getElementById('step4');
-  
-  if (!loadingMessage) return;
-  
-  // Update steps based on cache status
-  // We can infer progress from what's cached
-  const hasActivities = status.hasActivities || false;
-  const hasSleep = status.hasSleep || false;
-  const hasReadiness = status.hasReadiness || false;
-  
-  if (step1) {
-    if (hasActivities) {
-      step1.classList.add('complete');
-      step1.classList.remove('active');
-      step1.querySelector('.loading-step-icon').textContent = '✓';
-    } else {
-      step1.classList.add('active');
-      step1.classList.remove('complete');
-      step1.querySelector('.loading-step-icon').textContent = '⏳';
-    }
+// Loading overlay step (1-4) each sync stage belongs to
+const SYNC_STAGE_STEPS = {
+  started: 1,
+  strava: 1,
+  oura: 2,
+  merging: 3,
+  saving: 3,
+  complete: 4
+};
+
+// Message shown under the spinner for a sync progress event
+function describeSyncProgress(progress) {
+  switch (progress.stage) {
+    case 'started':
+      return progress.mode === 'full' ? 'Starting a full sync...' : 'Checking for new data...';
+    case 'strava':
+      return `Fetched ${progress.activities} Strava ${progress.activities === 1 ? 'activity' : 'activities'} (${progress.pages} ${progress.pages === 1 ? 'page' : 'pages'})...`;
+    case 'oura':
+      return `Fetching Oura ${progress.dataset}...`;
+    case 'merging':
+      return `Merging ${progress.days} days of training and recovery data...`;
+    case 'saving':
+      return 'Caching your data...';
+    case 'complete':
+      return 'Finalizing your dashboard...';
+    default:
+      return null;
   }
+}
+
+function updateLoadingProgress(progress) {
+  const loadingMessage = document.getElementById('loadingMessage');
+  const currentStep = SYNC_STAGE_STEPS[progress.stage];
+  
+  if (!loadingMessage || !currentStep) return;
   
-  if (step2) {
-    if (hasSleep && hasReadiness) {
-      step2.classList.add('complete');
-      step2.classList.remove('active');
-      step2.querySelector('.loading-step-icon').textContent = '✓';
-      step3.classList.remove('active');
-      step4.classList.add('active');
-      loadingMessage.textContent = 'Almost done! Caching your data...';
-    } else if (hasActivities) {
-      step2.classList.add('active');
-      step2.classList.remove('complete');
-      step2.querySelector('.loading-step-icon').textContent = '⏳';
-      loadingMessage.textContent = 'Fetching Oura sleep and readiness data...';
+  // Steps before the current one are done; the current one is in progress
+  for (let step = 1; step <= 4; step++) {
+    const stepElement = document.getElementById(`step${step}`);
+    if (!stepElement) continue;
+
+    const complete = step < currentStep || progress.stage === 'complete';
+    stepElement.classList.toggle('complete', complete);
+    stepElement.classList.toggle('active', step === currentStep && !complete);
+
+    const icon = stepElement.querySelector('.loading-step-icon');
+    if (icon && (complete || step === currentStep)) {
+      icon.textContent = complete ? '✓' : '⏳';
     }
   }
   
-  if (step3 && hasActivities && hasSleep && hasReadiness) {
-    step3.classList.add('complete');
-    step3.classList.remove('active');
-    step3.querySelector('.loading-step-icon').textContent = '✓';
-    loadingMessage.textContent = 'Finalizing your dashboard...';
+  const message = describeSyncProgress(progress);
+  if (message) {
+    loadingMessage.textContent = message;
   }
 }
 
@@ -263,11 +377,13 @@ function initCharts() {
   }, 500);
 }
 
+// Load one row per day
 async function loadData(startDate, endDate) {
   try {
     const params = new URLSearchParams();
     if (startDate) params.append('startDate', startDate);
     if (endDate) params.append('endDate', endDate);
+    params.append('sport', isCrossTrainingIncluded() ? 'all' : 'run');
     
     const url = `/data${params.toString() ? '?' + params.toString() : ''}`;
     console.log("Fetching data from", url);
@@ -296,6 +412,40 @@ async function loadData(startDate, endDate) {
   }
 }
 
+// Everything the dashboard shows in one request: the range's daily rows and weekly
+// totals, plus the current week and month (weekly/monthly goals) and every week of the
+// current year so far (yearly planner), independent of the selected date range
+async function loadDashboardData(startDate, endDate) {
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const params = new URLSearchParams({
+    startDate,
+    endDate,
+    today,
+    sport: isCrossTrainingIncluded() ? 'all' : 'run',
+    weekStart: WEEK_START
+  });
+
+  try {
+    const res = await fetch(`/data/summary?${params}`);
+    if (!res.ok) {
+      const errorText = await res.text();
+      console.error(`HTTP error! status: ${res.status}`, errorText);
+      throw new Error(`HTTP error! status: ${res.status}`);
+    }
+
+    const summary = await res.json();
+    return {
+      data: summary.days,
+      weeks: summary.weeks,
+      periods: { week: summary.currentWeek, month: summary.currentMonth, yearWeeks: summary.yearWeeks }
+    };
+  } catch (error) {
+    console.error("[ERROR] Error loading dashboard data:", error);
+    return { data: [], weeks: [], periods: { week: null, month: null, yearWeeks: [] } };
+  }
+}
+
 function formatDateRangeTitle(startDate, endDate, activePreset = null) {
   if (!startDate || !endDate) return "Dashboard";
   
@@ -492,6 +642,16 @@ function updateStatistics(data, totalSleep, light, rem, deep, distance, sleepSco
   const validMaxHR = maxHeartrate.filter(hr => hr !== null && hr > 0);
   const validCadence = cadence.filter(c => c !== null && c > 0);
   
+  // All-day movement from Oura daily activity (covers more than logged workouts)
+  const validSteps = data.map(d => d.steps).filter(v => v !== null && v !== undefined);
+  const validActiveCalories = data.map(d => d.activeCalories).filter(v => v !== null && v !== undefined);
+  const avgSteps = validSteps.length > 0
+    ? Math.round(validSteps.reduce((sum, v) => sum + v, 0) / validSteps.length)
+    : null;
+  const avgActiveCalories = validActiveCalories.length > 0
+    ? Math.round(validActiveCalories.reduce((sum, v) => sum + v, 0) / validActiveCalories.length)
+    : null;
+  
   const totalSleepHours = validSleep.reduce((sum, h) => sum + h, 0);
   const avgSleepHours = validSleep.length > 0 ? totalSleepHours / validSleep.length : 0;
   
@@ -687,6 +847,13 @@ function updateStatistics(data, totalSleep, light, rem, deep, distance, sleepSco
           <div class="stat-unit">bpm</div>
         </div>
         
+        ${avgSteps !== null ? `
+        <div class="stat-card" style="border-left: 4px solid #16a085;">
+          <div class="stat-label">Avg Daily Steps</div>
+          <div class="stat-value" style="color: #16a085;">${avgSteps.toLocaleString()}</div>
+          <div class="stat-unit">${avgActiveCalories !== null ? `${avgActiveCalories} active kcal/day` : 'steps per day'}</div>
+        </div>` : ''}
+        
         <!-- Averages (Bottom) -->
         <div class="stat-card average">
           <div class="stat-label">Avg Distance</div>
@@ -819,7 +986,8 @@ async function loadDataAndCreateCharts(startDate, endDate) {
     // Update page title
     updatePageTitle(startDate, endDate);
 
-    const data = await loadData(startDate, endDate);
+    const { data, weeks, periods } = await loadDashboardData(startDate, endDate);
+    window.currentPeriods = periods;
     
     // Hide loading overlay if data loaded successfully
     hideLoadingOverlay();
@@ -919,6 +1087,23 @@ async function loadDataAndCreateCharts(startDate, endDate) {
     // Update goals progress with loaded data (hide for single-day views)
     updateGoalsWithData(data, isSingleDay);
     
+    // Bedtime windows and sleep consistency, next to the sleep stage chart
+    renderSleepTiming(data, labels, rawDates, isSingleDay);
+    
+    // Overnight HRV / resting heart rate trends from Oura
+    renderVitalsChart(data, labels, rawDates, isSingleDay);
+    
+    // Fitness / fatigue / form and the ACWR trend need history before the range,
+    // so they load it on their own
+    renderPerformanceChart(startDate, endDate);
+    renderACWRChart(startDate, endDate);
+    
+    // Why readiness is where it is, plus the body temperature trend
+    renderReadinessBreakdown(data, labels, rawDates);
+    
+    // Race predictions use individual runs, so they load on their own
+    renderRacePredictions(endDate);
+    
     // Debug: log data to verify it's correct
     console.log("Chart data summary:", {
       labelsCount: labels.length,
@@ -1927,42 +2112,15 @@ async function loadDataAndCreateCharts(startDate, endDate) {
             mileageChartInstance.destroy();
             mileageChartInstance = null;
           }
-        // Calculate weekly mileage data
-        // Group data by week (Sunday - Saturday)
-        const weeklyData = {};
-        const weeks = [];
-        
-        data.forEach(day => {
-          const date = new Date(day.date + 'T00:00:00');
-          
-          // Get the Sunday of the week for this date
-          const dayOfWeek = date.getDay();
-          const sundayDate = new Date(date);
-          sundayDate.setDate(date.getDate() - dayOfWeek);
-          const weekKey = sundayDate.toISOString().split('T')[0];
-          
-          if (!weeklyData[weekKey]) {
-            weeklyData[weekKey] = {
-              startDate: weekKey,
-              totalMiles: 0,
-              runs: 0
-            };
-          }
-          
-          weeklyData[weekKey].totalMiles += (day.distance || 0);
-          if (day.distance > 0) {
-            weeklyData[weekKey].runs++;
-          }
-        });
-        
-        // Sort weeks and prepare data arrays
-        const sortedWeeks = Object.keys(weeklyData).sort();
+        // Weekly totals come from the server, so they match the goals and yearly planner
+        const weeklyData = Object.fromEntries(weeks.map(week => [week.period, week]));
+        const sortedWeeks = weeks.map(week => week.period);
         const weekLabels = sortedWeeks.map(weekStart => {
           const date = new Date(weekStart + 'T00:00:00');
           const options = { month: 'short', day: 'numeric' };
           return date.toLocaleDateString('en-US', options);
         });
-        const weeklyMiles = sortedWeeks.map(week => Math.round(weeklyData[week].totalMiles * 10) / 10);
+        const weeklyMiles = weeks.map(week => Math.round(week.distance * 10) / 10);
         
         // Calculate 4-week rolling average
         const rollingAverage = [];
@@ -1979,23 +2137,66 @@ async function loadDataAndCreateCharts(startDate, endDate) {
           avgWeekly: Math.round((weeklyMiles.reduce((sum, val) => sum + val, 0) / weeklyMiles.length) * 10) / 10
         });
         
+        // With cross-training included, stack one bar per sport type (runs first)
+        const sportTypes = [];
+        if (isCrossTrainingIncluded()) {
+          const sportTotals = {};
+          sortedWeeks.forEach(week => {
+            Object.entries(weeklyData[week].bySport).forEach(([sportType, totals]) => {
+              sportTotals[sportType] = (sportTotals[sportType] || 0) + totals.distance;
+            });
+          });
+          sportTypes.push(...Object.keys(sportTotals).sort((a, b) => {
+            const aIsRun = RUN_SPORT_TYPES.includes(a);
+            const bIsRun = RUN_SPORT_TYPES.includes(b);
+            if (aIsRun !== bIsRun) return aIsRun ? -1 : 1;
+            return sportTotals[b] - sportTotals[a];
+          }));
+        }
+        
+        const sportColors = [
+          '231, 76, 60', '230, 126, 34', '241, 196, 15', '46, 204, 113',
+          '26, 188, 156', '155, 89, 182', '52, 73, 94', '149, 165, 166'
+        ];
+        const barDatasets = sportTypes.length > 0
+          ? sportTypes.map((sportType, i) => {
+            const color = sportColors[i % sportColors.length];
+            return {
+              label: sportType.replace(/([a-z])([A-Z])/g, '$1 $2'),
+              sportType,
+              data: sortedWeeks.map(week => {
+                const totals = weeklyData[week].bySport[sportType];
+                return totals ? Math.round(totals.distance * 10) / 10 : 0;
+              }),
+              backgroundColor: `rgba(${color}, 0.7)`,
+              borderColor: `rgba(${color}, 1)`,
+              borderWidth: 2,
+              borderRadius: 6,
+              stack: 'mileage',
+              order: 2
+            };
+          })
+          : [{
+            label: 'Weekly Mileage',
+            data: weeklyMiles,
+            backgroundColor: 'rgba(231, 76, 60, 0.7)',
+            borderColor: 'rgba(231, 76, 60, 1)',
+            borderWidth: 2,
+            borderRadius: 6,
+            stack: 'mileage',
+            order: 2
+          }];
+        
         // Create mileage bar chart with rolling average line
         mileageChartInstance = new Chart(mileageChartEl, {
           type: 'bar',
           data: {
             labels: weekLabels,
             datasets: [
-              {
-                label: 'Weekly Mileage',
-                data: weeklyMiles,
-                backgroundColor: 'rgba(231, 76, 60, 0.7)',
-                borderColor: 'rgba(231, 76, 60, 1)',
-                borderWidth: 2,
-                borderRadius: 6,
-                order: 2
-              },
+              ...barDatasets,
               {
                 label: '4-Week Average',
+                stack: 'average',
                 data: rollingAverage,
                 type: 'line',
                 borderColor: 'rgba(52, 152, 219, 1)',
@@ -2057,10 +2258,14 @@ async function loadDataAndCreateCharts(startDate, endDate) {
                     }
                     label += context.parsed.y.toFixed(1) + ' mi';
                     
-                    // Add run count for weekly bars
-                    if (context.datasetIndex === 0) {
-                      const weekKey = sortedWeeks[context.dataIndex];
-                      const runs = weeklyData[weekKey].runs;
+                    // Add activity count for weekly bars
+                    const weekKey = sortedWeeks[context.dataIndex];
+                    if (context.dataset.sportType) {
+                      const totals = weeklyData[weekKey].bySport[context.dataset.sportType];
+                      const count = totals ? totals.count : 0;
+                      label += ` (${count} ${count === 1 ? 'activity' : 'activities'})`;
+                    } else if (context.dataset.stack === 'mileage') {
+                      const runs = weeklyData[weekKey].runCount;
                       label += ` (${runs} ${runs === 1 ? 'run' : 'runs'})`;
                     }
                     
@@ -2071,6 +2276,7 @@ async function loadDataAndCreateCharts(startDate, endDate) {
             },
             scales: {
               x: {
+                stacked: true,
                 grid: {
                   display: false,
                   drawBorder: false
@@ -2089,6 +2295,7 @@ async function loadDataAndCreateCharts(startDate, endDate) {
                 }
               },
               y: {
+                stacked: true,
                 beginAtZero: true,
                 grid: {
                   color: 'rgba(0, 0, 0, 0.05)',
@@ -2150,116 +2357,1294 @@ async function loadDataAndCreateCharts(startDate, endDate) {
   }
 }
 
-// Wait for Chart.js script to load, then initialize
-function waitForChartJS() {
-  if (typeof Chart !== 'undefined') {
-    // Chart.js is loaded, now wait for DOM
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', initCharts);
-    } else {
-      // DOM is already ready
-      setTimeout(initCharts, 50); // Small delay to ensure everything is ready
-    }
-  } else {
-    // Keep checking for Chart.js
-    setTimeout(waitForChartJS, 50);
-  }
-}
+/* =========================
+   SLEEP TIMING
+========================= */
 
-// Start initialization
-waitForChartJS();
+function renderSleepTiming(data, labels, rawDates, isSingleDay) {
+  const container = document.getElementById('sleepTimingContainer');
+  const summaryEl = document.getElementById('sleepTimingSummary');
+  const sleepTimingChartEl = document.getElementById('sleepTimingChart');
+  if (!container || !summaryEl || !sleepTimingChartEl) return;
 
-// Set up date range selector
-function setupDateSelector() {
-  const startInput = document.getElementById('startDate');
-  const endInput = document.getElementById('endDate');
-  const updateButton = document.getElementById('updateDates');
-  const presetButtons = document.querySelectorAll('[data-preset]');
+  if (sleepTimingChartInstance) {
+    sleepTimingChartInstance.destroy();
+    sleepTimingChartInstance = null;
+  }
 
-  if (!startInput || !endInput || !updateButton) {
-    console.warn("Date selector elements not found, retrying...");
-    setTimeout(setupDateSelector, 100);
-    return;
+  if (!sleepTimingAnalyzer) {
+    sleepTimingAnalyzer = new SleepTimingAnalyzer();
   }
 
-  function applyDateRange(startDate, endDate) {
-    startInput.value = startDate;
-    endInput.value = endDate;
-    handleDateUpdate();
+  const analysis = sleepTimingAnalyzer.getFullAnalysis(data);
+  container.style.display = analysis ? 'block' : 'none';
+  if (!analysis) {
+    console.log("[INFO] No bedtime data for this range");
+    return;
   }
 
-  function handleDateUpdate() {
-    const startDate = startInput.value;
-    const endDate = endInput.value;
+  const formatClock = minutes => sleepTimingAnalyzer.formatClock(minutes);
+  const formatDuration = minutes => sleepTimingAnalyzer.formatDuration(minutes);
+  const summaryItem = (label, value, detail = '') => `
+    <div class="sleep-timing-item">
+      <div class="label">${label}</div>
+      <div class="value">${value}</div>
+      <div class="detail">${detail}</div>
+    </div>
+  `;
 
-    if (!startDate || !endDate) {
-      alert('Please select both start and end dates');
-      return;
-    }
+  const { consistency, socialJetLag } = analysis;
+  summaryEl.innerHTML = [
+    summaryItem('Avg Bedtime', formatClock(analysis.averageBedtime), `${analysis.nights} ${analysis.nights === 1 ? 'night' : 'nights'}`),
+    summaryItem('Avg Wake Time', formatClock(analysis.averageWakeTime)),
+    summaryItem('Sleep Midpoint', formatClock(analysis.averageMidpoint)),
+    consistency
+      ? summaryItem('Consistency', consistency.level.toUpperCase(), `bed ±${consistency.bedtimeSD}m · wake ±${consistency.wakeTimeSD}m`)
+      : '',
+    socialJetLag
+      ? summaryItem('Social Jet Lag', formatDuration(socialJetLag.minutes), `weekend midpoint ${formatClock(socialJetLag.freeMidpoint)}`)
+      : ''
+  ].join('');
+
+  // One floating bar per night, from bedtime to wake time
+  const windowsByDate = new Map(analysis.windows.map(w => [w.date, w]));
+  const bedtimeWindows = rawDates.map(date => {
+    const w = windowsByDate.get(date);
+    return w ? [w.bedtime, w.wakeTime] : null;
+  });
+  const midpoints = rawDates.map(date => windowsByDate.get(date)?.midpoint ?? null);
 
-    if (new Date(startDate) > new Date(endDate)) {
-      alert('Start date must be before end date');
-      return;
+  const allTimes = analysis.windows.flatMap(w => [w.bedtime, w.wakeTime]);
+  const axisMin = Math.floor(Math.min(...allTimes) / 60) * 60 - 30;
+  const axisMax = Math.ceil(Math.max(...allTimes) / 60) * 60 + 30;
+
+  sleepTimingChartInstance = new Chart(sleepTimingChartEl, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Time in Bed',
+          data: bedtimeWindows,
+          backgroundColor: 'rgba(52, 73, 94, 0.6)',
+          borderColor: 'rgba(52, 73, 94, 0.9)',
+          borderWidth: 1,
+          borderRadius: 6,
+          borderSkipped: false,
+          barPercentage: isSingleDay ? 0.3 : 0.8,
+          order: 2
+        },
+        {
+          label: 'Sleep Midpoint',
+          data: midpoints,
+          type: 'line',
+          showLine: false,
+          pointRadius: 4,
+          pointBackgroundColor: 'rgba(241, 196, 15, 1)',
+          pointBorderColor: '#fff',
+          order: 1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            usePointStyle: true,
+            color: '#34495e'
+          }
+        },
+        tooltip: {
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            },
+            label: function(context) {
+              const raw = context.raw;
+              if (Array.isArray(raw)) {
+                return `In bed: ${formatClock(raw[0])} – ${formatClock(raw[1])} (${formatDuration(raw[1] - raw[0])})`;
+              }
+              return `Midpoint: ${formatClock(raw)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          // Evening at the top, morning at the bottom
+          reverse: true,
+          min: axisMin,
+          max: axisMax,
+          ticks: {
+            stepSize: 60,
+            color: '#7f8c8d',
+            callback: value => formatClock(value)
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
     }
+  });
 
-    // Reset chart initialization state to allow reload
-    chartsInitialized = false;
-    isInitializing = false;
-    initRetryCount = 0;
+  sleepTimingChartEl.chart = sleepTimingChartInstance;
+}
 
-    // Destroy existing charts
-    if (sleepChartInstance) {
-      sleepChartInstance.destroy();
-      sleepChartInstance = null;
-      const sleepChartEl = document.getElementById("sleepChart");
-      if (sleepChartEl) sleepChartEl.chart = null;
-    }
-    if (distanceChartInstance) {
-      distanceChartInstance.destroy();
-      distanceChartInstance = null;
-      const distanceChartEl = document.getElementById("distanceChart");
-      if (distanceChartEl) distanceChartEl.chart = null;
-    }
+/* =========================
+   RECOVERY VITALS CHART
+========================= */
 
-    // Reload charts with new date range
-    loadDataAndCreateCharts(startDate, endDate);
+// Rolling mean over the previous `window` days (ignores missing nights)
+function rollingMean(values, window) {
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1).filter(v => v !== null);
+    return slice.length > 0 ? Math.round(slice.reduce((sum, v) => sum + v, 0) / slice.length) : null;
+  });
+}
+
+// Chart overnight HRV and resting heart rate (with a 7-day HRV baseline) from Oura sleep
+function renderVitalsChart(data, labels, rawDates, isSingleDay) {
+  const vitalsChartEl = document.getElementById("vitalsChart");
+  if (!vitalsChartEl) {
+    console.warn("Vitals chart canvas element not found - skipping");
+    return;
   }
 
-  // Set up preset buttons
-  presetButtons.forEach(button => {
-    button.addEventListener('click', () => {
-      const preset = button.getAttribute('data-preset');
-      // Get today's date in local timezone explicitly
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      
-      let startDate, endDate;
-      
-      switch(preset) {
-        case 'today':
-          // Show only today - most recent day's data
-          startDate = new Date(today);
-          endDate = new Date(today);
-          break;
-        case 'last7':
-          // Last 7 days including today (today - 6 days ago through today)
-          endDate = new Date(today);
-          startDate = new Date(today);
-          startDate.setDate(today.getDate() - 6);
-          break;
-        case 'last30':
-          // Last 30 days including today (today - 29 days ago through today)
-          endDate = new Date(today);
-          startDate = new Date(today);
-          startDate.setDate(today.getDate() - 29);
-          break;
-        case 'thisMonth':
-          startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-          endDate = new Date(today);
-          break;
-        case 'lastMonth':
-          const lastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
-          startDate = new Date(lastMonth);
+  if (vitalsChartInstance) {
+    vitalsChartInstance.destroy();
+    vitalsChartInstance = null;
+  }
+
+  const toNumber = value => value !== null && value !== undefined ? parseFloat(value) : null;
+  const hrv = data.map(d => toNumber(d.hrv));
+  const restingHeartRate = data.map(d => toNumber(d.restingHeartRate));
+  const respiratoryRate = data.map(d => toNumber(d.respiratoryRate));
+
+  // Hide the chart when the ring reported no vitals for the range
+  const vitalsContainer = vitalsChartEl.closest('.chart-container');
+  const hasVitals = hrv.some(v => v !== null) || restingHeartRate.some(v => v !== null);
+  if (vitalsContainer) {
+    vitalsContainer.style.display = hasVitals ? 'block' : 'none';
+  }
+  if (!hasVitals) {
+    console.log("[INFO] No HRV or resting heart rate data for this range");
+    return;
+  }
+
+  const lineDataset = (label, values, color, yAxisID, extra = {}) => ({
+    label,
+    data: values,
+    tension: 0.4,
+    borderWidth: isSingleDay ? 4 : 2,
+    pointRadius: isSingleDay ? 8 : 3,
+    pointHoverRadius: isSingleDay ? 10 : 5,
+    pointBackgroundColor: "#fff",
+    pointBorderColor: `rgba(${color}, 1)`,
+    borderColor: `rgba(${color}, 1)`,
+    backgroundColor: `rgba(${color}, 0.1)`,
+    fill: false,
+    spanGaps: true,
+    showLine: !isSingleDay,
+    yAxisID,
+    ...extra
+  });
+
+  vitalsChartInstance = new Chart(vitalsChartEl, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        lineDataset("HRV (ms)", hrv, "46, 204, 113", 'y'),
+        lineDataset("HRV 7-day avg (ms)", rollingMean(hrv, 7), "46, 204, 113", 'y', {
+          borderDash: [6, 4],
+          pointRadius: 0,
+          borderWidth: 2
+        }),
+        lineDataset("Resting HR (bpm)", restingHeartRate, "231, 76, 60", 'y1'),
+        lineDataset("Respiratory Rate (br/min)", respiratoryRate, "155, 89, 182", 'y1', {
+          hidden: true
+        })
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        title: {
+          display: true,
+          text: "Recovery Vitals: HRV & Resting Heart Rate",
+          font: {
+            size: 20,
+            weight: '600',
+            family: "'-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', sans-serif"
+          },
+          color: '#2c3e50',
+          padding: {
+            bottom: 20
+          }
+        },
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            font: {
+              size: 13,
+              weight: '500'
+            },
+            padding: 15,
+            usePointStyle: true,
+            color: '#34495e'
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(0, 0, 0, 0.85)',
+          padding: 14,
+          cornerRadius: 8,
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric'
+              });
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          position: 'left',
+          title: {
+            display: true,
+            text: 'HRV (ms)',
+            color: '#27ae60'
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        },
+        y1: {
+          position: 'right',
+          title: {
+            display: true,
+            text: 'bpm / breaths per min',
+            color: '#c0392b'
+          },
+          grid: {
+            drawOnChartArea: false
+          }
+        }
+      }
+    }
+  });
+
+  vitalsChartEl.chart = vitalsChartInstance;
+}
+
+/* =========================
+   PERFORMANCE MANAGEMENT CHART
+========================= */
+
+// The server caches two years of Strava and Oura history, which is all CTL can use
+const PERFORMANCE_HISTORY_YEARS = 2;
+// Shorter ranges still chart this many days, enough to see a build and taper
+const PERFORMANCE_MIN_DAYS = 90;
+
+const FORM_ZONES = {
+  fresh: { label: 'Fresh', color: '#3498db', detail: 'Race-ready, but fitness fades if it lasts' },
+  'race-ready': { label: 'Race Ready', color: '#27ae60', detail: 'Tapered: fit and rested' },
+  neutral: { label: 'Neutral', color: '#7f8c8d', detail: 'Maintaining fitness' },
+  productive: { label: 'Productive', color: '#f39c12', detail: 'Building fitness' },
+  overreached: { label: 'Overreached', color: '#e74c3c', detail: 'High fatigue: back off soon' },
+  unknown: { label: 'No Data', color: '#7f8c8d', detail: 'Not enough training yet' }
+};
+
+// History for the chart, kept per end date and sport so re-renders don't refetch
+let performanceHistory = { key: null, data: null };
+let performanceRenderId = 0;
+let acwrRenderId = 0;
+
+const toLocalDateString = date =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+async function loadPerformanceHistory(endDate) {
+  const [year, month, day] = endDate.split('-').map(Number);
+  const historyStart = toLocalDateString(new Date(year - PERFORMANCE_HISTORY_YEARS, month - 1, day));
+  const key = `${historyStart}|${endDate}|${isCrossTrainingIncluded() ? 'all' : 'run'}`;
+
+  if (performanceHistory.key !== key) {
+    const data = await loadData(historyStart, endDate);
+    // A successful load has a row for every day; loadData answers [] when the request
+    // fails, which isn't cached so the next render tries again
+    if (data.length === 0) return data;
+    performanceHistory = { key, data };
+  }
+  return performanceHistory.data;
+}
+
+// Days of a history series to chart: the selected range, or the PERFORMANCE_MIN_DAYS
+// ending at endDate if that's longer
+function getHistoryChartDays(days, startDate, endDate) {
+  const [year, month, day] = endDate.split('-').map(Number);
+  const minStart = toLocalDateString(new Date(year, month - 1, day - (PERFORMANCE_MIN_DAYS - 1)));
+  const chartStart = startDate < minStart ? startDate : minStart;
+  return days.filter(d => d.date >= chartStart && d.date <= endDate);
+}
+
+// Chart CTL (fitness), ATL (fatigue) and TSB (form) computed over the full history, shown
+// for the selected range (at least PERFORMANCE_MIN_DAYS) with Oura readiness overlaid
+async function renderPerformanceChart(startDate, endDate) {
+  const container = document.getElementById('performanceContainer');
+  const summaryEl = document.getElementById('performanceSummary');
+  const performanceChartEl = document.getElementById('performanceChart');
+  if (!container || !summaryEl || !performanceChartEl || !startDate || !endDate) return;
+
+  if (!trainingLoadAnalyzer) {
+    trainingLoadAnalyzer = new TrainingLoadAnalyzer();
+  }
+
+  const renderId = ++performanceRenderId;
+  let history;
+  try {
+    history = await loadPerformanceHistory(endDate);
+  } catch (error) {
+    console.error("[PERFORMANCE] [ERROR] Failed to load training history:", error);
+    return;
+  }
+
+  // A newer render started while the history was loading
+  if (renderId !== performanceRenderId) return;
+
+  if (performanceChartInstance) {
+    performanceChartInstance.destroy();
+    performanceChartInstance = null;
+  }
+
+  const performance = trainingLoadAnalyzer.calculatePerformanceManagement(history);
+  const hasTraining = performance && performance.days.some(d => d.load > 0);
+  container.style.display = hasTraining ? 'block' : 'none';
+  if (!hasTraining) {
+    console.log("[PERFORMANCE] [INFO] No training load in the history");
+    return;
+  }
+
+  const days = getHistoryChartDays(performance.days, startDate, endDate);
+  if (days.length === 0) return;
+
+  const { latest, unit, metricLabel } = performance;
+  const zone = FORM_ZONES[performance.formZone];
+  const round = value => Math.round(value * 10) / 10;
+  const summaryItem = (label, value, detail = '', color = '') => `
+    <div class="sleep-timing-item">
+      <div class="label">${label}</div>
+      <div class="value"${color ? ` style="color: ${color};"` : ''}>${value}</div>
+      <div class="detail">${detail}</div>
+    </div>
+  `;
+
+  // Ramp rate: CTL change over the last week of the chart
+  const weekAgo = days[Math.max(0, days.length - 8)];
+  const rampRate = round(latest.ctl - weekAgo.ctl);
+
+  summaryEl.innerHTML = [
+    summaryItem('Fitness (CTL)', round(latest.ctl), `42-day ${metricLabel.toLowerCase()} (${unit}/day)`),
+    summaryItem('Fatigue (ATL)', round(latest.atl), `7-day ${metricLabel.toLowerCase()} (${unit}/day)`),
+    summaryItem('Form (TSB)', `${latest.tsb > 0 ? '+' : ''}${round(latest.tsb)}`, zone.label, zone.color),
+    summaryItem('Ramp Rate', `${rampRate > 0 ? '+' : ''}${rampRate}`, 'CTL change, last 7 days'),
+    summaryItem('Status', zone.label, zone.detail, zone.color)
+  ].join('');
+
+  const rawDates = days.map(d => d.date);
+  const labels = rawDates.map(date => formatDateLabel(date, days.length));
+
+  const lineDataset = (label, values, color, yAxisID, extra = {}) => ({
+    label,
+    data: values,
+    tension: 0.3,
+    borderWidth: 2,
+    pointRadius: 0,
+    pointHoverRadius: 5,
+    borderColor: `rgba(${color}, 1)`,
+    backgroundColor: `rgba(${color}, 0.1)`,
+    fill: false,
+    spanGaps: true,
+    yAxisID,
+    ...extra
+  });
+
+  performanceChartInstance = new Chart(performanceChartEl, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        lineDataset("Fitness (CTL)", days.map(d => round(d.ctl)), "52, 152, 219", 'y', { fill: 'origin' }),
+        lineDataset("Fatigue (ATL)", days.map(d => round(d.atl)), "231, 76, 60", 'y'),
+        lineDataset("Form (TSB)", days.map(d => round(d.tsb)), "241, 196, 15", 'y', { borderWidth: 3 }),
+        lineDataset("Readiness", days.map(d => d.readinessScore), "46, 204, 113", 'y1', {
+          borderDash: [4, 4],
+          pointRadius: 2,
+          pointBackgroundColor: "rgba(46, 204, 113, 1)"
+        })
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            font: {
+              size: 13,
+              weight: '500'
+            },
+            padding: 15,
+            usePointStyle: true,
+            color: '#34495e'
+          }
+        },
+        tooltip: {
+          backgroundColor: 'rgba(0, 0, 0, 0.85)',
+          padding: 14,
+          cornerRadius: 8,
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+                weekday: 'long',
+                month: 'long',
+                day: 'numeric'
+              });
+            },
+            afterBody: function(context) {
+              const d = days[context[0].dataIndex];
+              const lines = [`${metricLabel}: ${round(d.load)} ${unit}`];
+              if (d.missing) {
+                lines.push('No heart rate: counted as 0');
+              }
+              return lines;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          position: 'left',
+          title: {
+            display: true,
+            text: `Training load (${unit}/day)`,
+            color: '#2980b9'
+          },
+          grid: {
+            color: context => context.tick.value === 0 ? 'rgba(0, 0, 0, 0.3)' : 'rgba(0, 0, 0, 0.05)'
+          }
+        },
+        y1: {
+          position: 'right',
+          min: 0,
+          max: 100,
+          title: {
+            display: true,
+            text: 'Readiness',
+            color: '#27ae60'
+          },
+          grid: {
+            drawOnChartArea: false
+          }
+        }
+      }
+    }
+  });
+
+  performanceChartEl.chart = performanceChartInstance;
+}
+
+// Chart the acute:chronic workload ratio over time (computed over the full history, so
+// the first days of the range have a complete chronic window) with the optimal band shaded
+async function renderACWRChart(startDate, endDate) {
+  const container = document.getElementById('acwrChartContainer');
+  const acwrChartEl = document.getElementById('acwrChart');
+  if (!container || !acwrChartEl || !startDate || !endDate) return;
+
+  if (!trainingLoadAnalyzer) {
+    trainingLoadAnalyzer = new TrainingLoadAnalyzer();
+  }
+
+  const renderId = ++acwrRenderId;
+  let history;
+  try {
+    history = await loadPerformanceHistory(endDate);
+  } catch (error) {
+    console.error("[ACWR] [ERROR] Failed to load training history:", error);
+    return;
+  }
+
+  // A newer render started while the history was loading
+  if (renderId !== acwrRenderId) return;
+
+  if (acwrChartInstance) {
+    acwrChartInstance.destroy();
+    acwrChartInstance = null;
+  }
+
+  const series = trainingLoadAnalyzer.calculateACWRSeries(history);
+  const days = series ? getHistoryChartDays(series.days, startDate, endDate) : [];
+  const hasRatio = days.some(d => d.ratio !== null);
+  container.style.display = hasRatio ? 'block' : 'none';
+  if (!hasRatio) {
+    console.log("[ACWR] [INFO] No training load in the history");
+    return;
+  }
+
+  const { optimalACWR, highRiskACWR } = trainingLoadAnalyzer;
+  const rawDates = days.map(d => d.date);
+  const labels = rawDates.map(date => formatDateLabel(date, days.length));
+  const ratios = days.map(d => d.ratio === null ? null : Math.round(d.ratio * 100) / 100);
+  const pointColor = ratio => ({
+    low: 'rgba(52, 152, 219, 1)',
+    optimal: 'rgba(39, 174, 96, 1)',
+    moderate: 'rgba(243, 156, 18, 1)',
+    high: 'rgba(231, 76, 60, 1)'
+  }[trainingLoadAnalyzer.getRiskLevel(ratio)] || 'rgba(127, 140, 141, 1)');
+  // Horizontal reference lines across the whole chart
+  const constantLine = (label, value, extra) => ({
+    label,
+    data: days.map(() => value),
+    pointRadius: 0,
+    pointHoverRadius: 0,
+    borderWidth: 1,
+    fill: false,
+    ...extra
+  });
+  const methodLabel = series.method === 'ewma' ? 'EWMA' : 'rolling';
+
+  acwrChartInstance = new Chart(acwrChartEl, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: `ACWR (${series.acuteWindow}:${series.chronicWindow}-day ${methodLabel})`,
+          data: ratios,
+          tension: 0.3,
+          borderWidth: 2,
+          pointRadius: days.length > 120 ? 0 : 2,
+          pointHoverRadius: 5,
+          pointBackgroundColor: ratios.map(pointColor),
+          borderColor: 'rgba(44, 62, 80, 0.9)',
+          fill: false,
+          spanGaps: false
+        },
+        // Shade between the top and bottom of the optimal zone
+        constantLine(`Optimal (${optimalACWR.min}-${optimalACWR.max})`, optimalACWR.max, {
+          borderColor: 'rgba(39, 174, 96, 0.4)',
+          backgroundColor: 'rgba(39, 174, 96, 0.12)',
+          fill: '+1'
+        }),
+        constantLine('Optimal min', optimalACWR.min, {
+          borderColor: 'rgba(39, 174, 96, 0.4)'
+        }),
+        constantLine(`High risk (${highRiskACWR})`, highRiskACWR, {
+          borderColor: 'rgba(231, 76, 60, 0.6)',
+          borderDash: [6, 4]
+        })
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        title: {
+          display: true,
+          text: `Training Load Ratio Over Time (${series.metricLabel})`,
+          font: {
+            size: 16,
+            weight: '600'
+          },
+          color: '#2c3e50'
+        },
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            usePointStyle: true,
+            color: '#34495e',
+            filter: item => item.text !== 'Optimal min'
+          }
+        },
+        tooltip: {
+          filter: item => item.datasetIndex === 0,
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            },
+            afterBody: function(context) {
+              const d = days[context[0].dataIndex];
+              return [
+                `Acute: ${d.acuteAvg.toFixed(1)} ${series.unit}/day`,
+                `Chronic: ${d.chronicAvg.toFixed(1)} ${series.unit}/day`,
+                `Risk: ${trainingLoadAnalyzer.getRiskLevel(d.ratio).toUpperCase()}`
+              ];
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          min: 0,
+          suggestedMax: 2,
+          title: {
+            display: true,
+            text: 'Acute : Chronic',
+            color: '#2c3e50'
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
+    }
+  });
+
+  acwrChartEl.chart = acwrChartInstance;
+}
+
+/* =========================
+   RACE PREDICTIONS
+========================= */
+
+// Weeks of prediction history to chart, and how far back the change is measured
+const RACE_PREDICTION_HISTORY_WEEKS = 52;
+const RACE_PREDICTION_CHANGE_WEEKS = 4;
+
+let racePredictionRenderId = 0;
+
+// Road and treadmill runs for the prediction history plus the lookback before it
+async function loadRacePredictionRuns(endDate) {
+  const [year, month, day] = endDate.split('-').map(Number);
+  const startDate = toLocalDateString(new Date(year, month - 1,
+    day - RACE_PREDICTION_HISTORY_WEEKS * 7 - racePredictor.lookbackDays));
+  const params = new URLSearchParams({ startDate, endDate, sport: 'Run,VirtualRun' });
+
+  const response = await fetch(`/runs?${params}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Predicted 5K / 10K / half / marathon times as of the end of the range, with how
+// they've changed and a chart of VDOT over the last year
+async function renderRacePredictions(endDate) {
+  const container = document.getElementById('racePredictionsContainer');
+  const content = document.getElementById('racePredictionsContent');
+  const racePredictionChartEl = document.getElementById('racePredictionChart');
+  if (!container || !content || !racePredictionChartEl || !endDate) return;
+
+  if (!racePredictor) {
+    racePredictor = new RacePredictor();
+  }
+
+  const renderId = ++racePredictionRenderId;
+  let runs;
+  try {
+    runs = await loadRacePredictionRuns(endDate);
+  } catch (error) {
+    console.error("[RACE] [ERROR] Failed to load runs:", error);
+    return;
+  }
+
+  // A newer render started while the runs were loading
+  if (renderId !== racePredictionRenderId) return;
+
+  if (racePredictionChartInstance) {
+    racePredictionChartInstance.destroy();
+    racePredictionChartInstance = null;
+  }
+
+  const [year, month, day] = endDate.split('-').map(Number);
+  const historyStart = toLocalDateString(new Date(year, month - 1, day - RACE_PREDICTION_HISTORY_WEEKS * 7));
+  const history = racePredictor.getPredictionHistory(runs, historyStart, endDate);
+  const current = history[history.length - 1];
+
+  container.style.display = current && current.date === endDate ? 'block' : 'none';
+  if (!current || current.date !== endDate) {
+    console.log(`[RACE] [INFO] No qualifying runs in the ${racePredictor.lookbackDays} days before ${endDate}`);
+    return;
+  }
+
+  const changeDate = new Date(year, month - 1, day - RACE_PREDICTION_CHANGE_WEEKS * 7);
+  const earlier = history.find(h => h.date === toLocalDateString(changeDate));
+  const formatTime = seconds => racePredictor.formatTime(seconds);
+  const { bestEffort } = current;
+  const [effortYear, effortMonth, effortDay] = bestEffort.date.split('-').map(Number);
+  const effortDate = new Date(effortYear, effortMonth - 1, effortDay)
+    .toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+  let html = '<div class="training-load-grid">';
+  html += `
+    <div class="training-load-card acwr">
+      <h3>📊 VDOT</h3>
+      <div class="metric-value">${current.vdot.toFixed(1)}</div>
+      <div class="metric-label">Daniels running fitness</div>
+      <div class="detail-text">
+        Best effort: <span id="bestEffortName"></span> (${effortDate})<br>
+        ${bestEffort.miles.toFixed(2)} mi in ${formatTime(bestEffort.seconds)}<br>
+        From ${current.effortCount} run${current.effortCount === 1 ? '' : 's'} in the last ${racePredictor.lookbackDays} days
+        ${earlier ? `<br>${RACE_PREDICTION_CHANGE_WEEKS} weeks ago: ${earlier.vdot.toFixed(1)}` : ''}
+      </div>
+    </div>
+  `;
+
+  current.predictions.forEach((prediction, i) => {
+    let change = '';
+    if (earlier) {
+      const delta = Math.round(prediction.seconds - earlier.predictions[i].seconds);
+      change = delta === 0
+        ? `<br>No change in ${RACE_PREDICTION_CHANGE_WEEKS} weeks`
+        : `<br><strong>${formatTime(Math.abs(delta))} ${delta < 0 ? 'faster' : 'slower'}</strong> than ${RACE_PREDICTION_CHANGE_WEEKS} weeks ago`;
+    }
+
+    html += `
+      <div class="training-load-card">
+        <h3>🏃 ${prediction.label}</h3>
+        <div class="metric-value">${formatTime(prediction.seconds)}</div>
+        <div class="metric-label">${racePredictor.formatPace(prediction.pace)} /mi</div>
+        <div class="detail-text">
+          VDOT equivalent: ${formatTime(prediction.vdotSeconds)}${change}
+        </div>
+      </div>
+    `;
+  });
+  html += '</div>';
+  content.innerHTML = html;
+  // Activity names are athlete-written text
+  document.getElementById('bestEffortName').textContent = bestEffort.name || 'Run';
+
+  // A single point isn't a trend
+  racePredictionChartEl.parentElement.style.display = history.length > 1 ? 'block' : 'none';
+  if (history.length < 2) return;
+
+  const rawDates = history.map(h => h.date);
+
+  racePredictionChartInstance = new Chart(racePredictionChartEl, {
+    type: "line",
+    data: {
+      labels: rawDates.map(date => formatDateLabel(date, RACE_PREDICTION_HISTORY_WEEKS * 7)),
+      datasets: [
+        {
+          label: 'VDOT',
+          data: history.map(h => Math.round(h.vdot * 10) / 10),
+          tension: 0.3,
+          borderWidth: 2,
+          pointRadius: 3,
+          pointHoverRadius: 5,
+          pointBackgroundColor: "#fff",
+          borderColor: 'rgba(102, 126, 234, 1)',
+          backgroundColor: 'rgba(102, 126, 234, 0.1)',
+          fill: true
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      plugins: {
+        title: {
+          display: true,
+          text: 'Predicted Fitness Over Time',
+          font: {
+            size: 16,
+            weight: '600'
+          },
+          color: '#2c3e50'
+        },
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            },
+            afterBody: function(context) {
+              return history[context[0].dataIndex].predictions
+                .map(p => `${p.label}: ${formatTime(p.seconds)}`);
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'VDOT',
+            color: '#2c3e50'
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
+    }
+  });
+
+  racePredictionChartEl.chart = racePredictionChartInstance;
+}
+
+/* =========================
+   READINESS BREAKDOWN
+========================= */
+
+const READINESS_CONTRIBUTOR_LABELS = {
+  activityBalance: 'Activity Balance',
+  bodyTemperature: 'Body Temperature',
+  hrvBalance: 'HRV Balance',
+  previousDayActivity: 'Previous Day Activity',
+  previousNight: 'Previous Night',
+  recoveryIndex: 'Recovery Index',
+  restingHeartRate: 'Resting Heart Rate',
+  sleepBalance: 'Sleep Balance'
+};
+
+// Contributors below this pull readiness down
+const READINESS_CONTRIBUTOR_LOW = 70;
+
+// Body temperature deviation (°C above baseline) worth a warning, and the level
+// (or a run of elevated days) that often comes with getting sick
+const TEMPERATURE_ELEVATED = 0.5;
+const TEMPERATURE_ILLNESS = 1.0;
+const TEMPERATURE_ELEVATED_DAYS = 2;
+
+function getContributorColor(value) {
+  if (value >= 85) return '#27ae60';
+  if (value >= READINESS_CONTRIBUTOR_LOW) return '#f39c12';
+  return '#e74c3c';
+}
+
+// Temperature status for the end of the range: null, 'elevated' or 'illness'
+function getTemperatureStatus(deviations) {
+  const recent = deviations.filter(v => v !== null);
+  const latest = recent[recent.length - 1];
+  if (latest === undefined || latest < TEMPERATURE_ELEVATED) return null;
+
+  const elevatedRun = recent.slice(-TEMPERATURE_ELEVATED_DAYS).every(v => v >= TEMPERATURE_ELEVATED);
+  if (latest >= TEMPERATURE_ILLNESS || (recent.length >= TEMPERATURE_ELEVATED_DAYS && elevatedRun)) {
+    return 'illness';
+  }
+  return 'elevated';
+}
+
+// Days of the range with readiness contributors, for the day picker
+let readinessDays = [];
+
+// Explain a readiness score by its contributors (the latest day in the range until
+// another is picked), warn about a raised body temperature, and chart its trend
+function renderReadinessBreakdown(data, labels, rawDates) {
+  const container = document.getElementById('readinessContainer');
+  const content = document.getElementById('readinessContent');
+  const daySelect = document.getElementById('readinessDaySelect');
+  const alertEl = document.getElementById('temperatureAlert');
+  if (!container || !content || !daySelect || !alertEl) return;
+
+  readinessDays = data.filter(d => d.readinessContributors);
+  if (readinessDays.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = 'block';
+
+  daySelect.innerHTML = '';
+  [...readinessDays].reverse().forEach(d => {
+    const option = document.createElement('option');
+    option.value = d.date;
+    option.textContent = `${formatReadinessDay(d.date)} (${d.readinessScore ?? 'N/A'})`;
+    daySelect.appendChild(option);
+  });
+  daySelect.onchange = () => renderReadinessDay(daySelect.value);
+
+  const deviations = data.map(d => d.temperatureDeviation ?? null);
+  const temperatureStatus = getTemperatureStatus(deviations);
+  if (temperatureStatus) {
+    const latestDeviation = deviations.filter(v => v !== null).pop();
+    alertEl.className = `temperature-alert ${temperatureStatus}`;
+    alertEl.textContent = `🌡️ Body temperature is +${latestDeviation.toFixed(2)}°C above your baseline. ${temperatureStatus === 'illness'
+      ? 'Sustained or large rises often come before illness; consider an easy day or rest.'
+      : 'Keep an eye on it, especially alongside low HRV or high resting heart rate.'}`;
+    alertEl.style.display = 'block';
+  } else {
+    alertEl.style.display = 'none';
+  }
+
+  renderReadinessDay(readinessDays[readinessDays.length - 1].date);
+  renderTemperatureChart(deviations, data.map(d => d.temperatureTrendDeviation ?? null), labels, rawDates);
+}
+
+function formatReadinessDay(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+// Contributor bars for one day of the range
+function renderReadinessDay(date) {
+  const content = document.getElementById('readinessContent');
+  const daySelect = document.getElementById('readinessDaySelect');
+  const selected = readinessDays.find(d => d.date === date);
+  if (!content || !selected) return;
+
+  daySelect.value = date;
+
+  const contributors = Object.entries(selected.readinessContributors)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .sort(([, a], [, b]) => a - b);
+  const weakest = contributors
+    .filter(([, value]) => value < READINESS_CONTRIBUTOR_LOW)
+    .map(([key]) => READINESS_CONTRIBUTOR_LABELS[key] || key);
+
+  let summary = `Readiness on ${formatReadinessDay(selected.date)}: <strong>${selected.readinessScore ?? 'N/A'}</strong>. `;
+  summary += weakest.length > 0
+    ? `Held back by ${weakest.join(', ')}.`
+    : 'No contributor is pulling it down.';
+
+  let html = `<div class="readiness-summary">${summary}</div>`;
+  contributors.forEach(([key, value]) => {
+    html += `
+      <div class="contributor-row">
+        <span>${READINESS_CONTRIBUTOR_LABELS[key] || key}</span>
+        <div class="contributor-bar">
+          <div class="contributor-fill" style="width: ${value}%; background: ${getContributorColor(value)};"></div>
+        </div>
+        <span class="contributor-value" style="color: ${getContributorColor(value)};">${value}</span>
+      </div>
+    `;
+  });
+  content.innerHTML = html;
+}
+
+function renderTemperatureChart(deviations, trendDeviations, labels, rawDates) {
+  const temperatureChartEl = document.getElementById('temperatureChart');
+  if (!temperatureChartEl) return;
+
+  if (temperatureChartInstance) {
+    temperatureChartInstance.destroy();
+    temperatureChartInstance = null;
+  }
+
+  // Canvases are forced visible by the stylesheet, so toggle the wrapper instead
+  const showChart = deviations.some(v => v !== null) && deviations.length > 1;
+  temperatureChartEl.parentElement.style.display = showChart ? 'block' : 'none';
+  if (!showChart) return;
+
+  const barColor = value => {
+    if (value === null) return 'rgba(149, 165, 166, 0.6)';
+    if (value >= TEMPERATURE_ILLNESS) return 'rgba(231, 76, 60, 0.8)';
+    if (value >= TEMPERATURE_ELEVATED) return 'rgba(230, 126, 34, 0.8)';
+    return value >= 0 ? 'rgba(52, 152, 219, 0.5)' : 'rgba(52, 152, 219, 0.3)';
+  };
+
+  temperatureChartInstance = new Chart(temperatureChartEl, {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Temperature Deviation (°C)',
+          data: deviations,
+          backgroundColor: deviations.map(barColor),
+          borderRadius: 4,
+          order: 2
+        },
+        {
+          label: '3-Day Trend (°C)',
+          data: trendDeviations,
+          type: 'line',
+          borderColor: 'rgba(44, 62, 80, 0.8)',
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.4,
+          spanGaps: true,
+          fill: false,
+          order: 1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: 0
+      },
+      interaction: {
+        intersect: false,
+        mode: 'index'
+      },
+      // Clicking a day explains that day's readiness above the chart
+      onClick: (event, elements, chart) => {
+        const points = chart.getElementsAtEventForMode(event, 'index', { intersect: false }, false);
+        if (points.length > 0) {
+          renderReadinessDay(rawDates[points[0].index]);
+        }
+      },
+      plugins: {
+        title: {
+          display: true,
+          text: 'Body Temperature Deviation (click a day for its readiness)',
+          font: {
+            size: 16,
+            weight: '600'
+          },
+          color: '#2c3e50'
+        },
+        legend: {
+          display: true,
+          position: 'top',
+          labels: {
+            usePointStyle: true,
+            color: '#34495e'
+          }
+        },
+        tooltip: {
+          callbacks: {
+            title: function(context) {
+              const [year, month, day] = rawDates[context[0].dataIndex].split('-').map(Number);
+              return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+            },
+            label: function(context) {
+              const value = context.parsed.y;
+              return `${context.dataset.label}: ${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: {
+            display: false
+          },
+          ticks: {
+            color: '#7f8c8d',
+            maxRotation: 45,
+            autoSkip: true
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: '°C from baseline',
+            color: '#2c3e50'
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+          }
+        }
+      }
+    }
+  });
+
+  temperatureChartEl.chart = temperatureChartInstance;
+}
+
+// Wait for Chart.js script to load, then initialize
+function waitForChartJS() {
+  if (typeof Chart !== 'undefined') {
+    // Chart.js is loaded, now wait for DOM
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', initCharts);
+    } else {
+      // DOM is already ready
+      setTimeout(initCharts, 50); // Small delay to ensure everything is ready
+    }
+  } else {
+    // Keep checking for Chart.js
+    setTimeout(waitForChartJS, 50);
+  }
+}
+
+// Start initialization once account settings (goals, yearly plan) are in localStorage
+(window.accountSettings ? window.accountSettings.ready : Promise.resolve()).then(waitForChartJS);
+
+// Set up date range selector
+function setupDateSelector() {
+  const startInput = document.getElementById('startDate');
+  const endInput = document.getElementById('endDate');
+  const updateButton = document.getElementById('updateDates');
+  const presetButtons = document.querySelectorAll('[data-preset]');
+
+  if (!startInput || !endInput || !updateButton) {
+    console.warn("Date selector elements not found, retrying...");
+    setTimeout(setupDateSelector, 100);
+    return;
+  }
+
+  function applyDateRange(startDate, endDate) {
+    startInput.value = startDate;
+    endInput.value = endDate;
+    handleDateUpdate();
+  }
+
+  function handleDateUpdate() {
+    const startDate = startInput.value;
+    const endDate = endInput.value;
+
+    if (!startDate || !endDate) {
+      alert('Please select both start and end dates');
+      return;
+    }
+
+    if (new Date(startDate) > new Date(endDate)) {
+      alert('Start date must be before end date');
+      return;
+    }
+
+    // Reset chart initialization state to allow reload
+    chartsInitialized = false;
+    isInitializing = false;
+    initRetryCount = 0;
+
+    // Destroy existing charts
+    if (sleepChartInstance) {
+      sleepChartInstance.destroy();
+      sleepChartInstance = null;
+      const sleepChartEl = document.getElementById("sleepChart");
+      if (sleepChartEl) sleepChartEl.chart = null;
+    }
+    if (distanceChartInstance) {
+      distanceChartInstance.destroy();
+      distanceChartInstance = null;
+      const distanceChartEl = document.getElementById("distanceChart");
+      if (distanceChartEl) distanceChartEl.chart = null;
+    }
+
+    // Reload charts with new date range
+    loadDataAndCreateCharts(startDate, endDate);
+  }
+
+  // Set up preset buttons
+  presetButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      const preset = button.getAttribute('data-preset');
+      // Get today's date in local timezone explicitly
+      const now = new Date();
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      
+      let startDate, endDate;
+      
+      switch(preset) {
+        case 'today':
+          // Show only today - most recent day's data
+          startDate = new Date(today);
+          endDate = new Date(today);
+          break;
+        case 'last7':
+          // Last 7 days including today (today - 6 days ago through today)
+          endDate = new Date(today);
+          startDate = new Date(today);
+          startDate.setDate(today.getDate() - 6);
+          break;
+        case 'last30':
+          // Last 30 days including today (today - 29 days ago through today)
+          endDate = new Date(today);
+          startDate = new Date(today);
+          startDate.setDate(today.getDate() - 29);
+          break;
+        case 'thisMonth':
+          startDate = new Date(today.getFullYear(), today.getMonth(), 1);
+          endDate = new Date(today);
+          break;
+        case 'lastMonth':
+          const lastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+          startDate = new Date(lastMonth);
           endDate = new Date(today.getFullYear(), today.getMonth(), 0); // Last day of last month
           break;
         case 'thisYear':
@@ -2298,6 +3683,29 @@ function setupDateSelector() {
   });
 });
 
+  // Cross-training toggle reloads the current range with the new sport filter
+  const crossTrainingToggle = document.getElementById('includeCrossTraining');
+  if (crossTrainingToggle) {
+    crossTrainingToggle.checked = isCrossTrainingIncluded();
+    crossTrainingToggle.addEventListener('change', () => {
+      localStorage.setItem(CROSS_TRAINING_STORAGE_KEY, String(crossTrainingToggle.checked));
+      handleDateUpdate();
+    });
+  }
+
+  // Export downloads the selected range (not necessarily the one on screen yet)
+  const exportButton = document.getElementById('exportDataBtn');
+  const exportUnits = document.getElementById('exportUnits');
+  if (exportButton) {
+    if (exportUnits) {
+      exportUnits.value = localStorage.getItem(EXPORT_UNITS_STORAGE_KEY) || 'imperial';
+      exportUnits.addEventListener('change', () => {
+        localStorage.setItem(EXPORT_UNITS_STORAGE_KEY, exportUnits.value);
+      });
+    }
+    exportButton.addEventListener('click', () => exportData(startInput.value, endInput.value));
+  }
+
   updateButton.addEventListener('click', () => {
     // Remove active class from all preset buttons when manually updating
     presetButtons.forEach(btn => btn.classList.remove('active'));
@@ -2321,6 +3729,58 @@ function setupDateSelector() {
   console.log("Date selector initialized");
 }
 
+// Download the range as a per-day or per-run file in the chosen format and units
+async function exportData(startDate, endDate) {
+  if (!startDate || !endDate) {
+    alert('Please select both start and end dates');
+    return;
+  }
+  if (new Date(startDate) > new Date(endDate)) {
+    alert('Start date must be before end date');
+    return;
+  }
+
+  const exportButton = document.getElementById('exportDataBtn');
+  const params = new URLSearchParams({
+    startDate,
+    endDate,
+    type: document.getElementById('exportType').value,
+    format: document.getElementById('exportFormat').value,
+    units: document.getElementById('exportUnits').value,
+    sport: isCrossTrainingIncluded() ? 'all' : 'run'
+  });
+
+  exportButton.disabled = true;
+  exportButton.textContent = 'Exporting...';
+
+  try {
+    const response = await fetch(`/export?${params}`);
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    // Save under the server's file name
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `athletesignal-export.${params.get('format')}`;
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`[EXPORT] Downloaded ${filename}`);
+  } catch (error) {
+    console.error('[EXPORT] Export failed:', error);
+    alert(`Export failed: ${error.message}`);
+  } finally {
+    exportButton.disabled = false;
+    exportButton.textContent = 'Export';
+  }
+}
+
 // Initialize date selector when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', setupDateSelector);
@@ -2469,7 +3929,7 @@ function saveGoals() {
   
   // Re-calculate progress with current data if available
   if (window.currentData) {
-    goalsManager.updateProgress(window.currentData);
+    goalsManager.updateProgress(window.currentData, window.currentPeriods);
   }
   
   // Re-render goals display
@@ -2598,7 +4058,7 @@ function updateGoalsWithData(data, isSingleDay = false) {
   window.currentData = data;
   
   // Update progress calculations
-  goalsManager.updateProgress(data);
+  goalsManager.updateProgress(data, window.currentPeriods);
   
   // Update training load analysis
   if (trainingLoadAnalyzer) {
@@ -2611,12 +4071,73 @@ function updateGoalsWithData(data, isSingleDay = false) {
   console.log('[GOALS] Progress updated with new data');
 }
 
+// Data and view of the last training load render, so changing the load metric can redraw it
+let trainingLoadView = null;
+let acwrCardRenderId = 0;
+
+// Fill in the ACWR card from the history ending on the range's last day. Without a full
+// chronic window of history the ratio would compare the acute load to itself, so none
+// is shown.
+async function renderACWRCard(endDate) {
+  const renderId = ++acwrCardRenderId;
+  let history;
+  try {
+    history = await loadPerformanceHistory(endDate);
+  } catch (error) {
+    console.error("[ACWR] [ERROR] Failed to load training history:", error);
+    return;
+  }
+
+  // A newer render started while the history was loading
+  const card = document.getElementById('acwrCard');
+  if (renderId !== acwrCardRenderId || !card) return;
+
+  const acwr = history.length > 0 ? trainingLoadAnalyzer.calculateACWR(history) : null;
+  if (!acwr || acwr.partial) {
+    card.innerHTML = `
+      <h3>📊 Training Load Ratio</h3>
+      <div class="metric-label">Acute:Chronic Workload Ratio</div>
+      <div class="detail-text">
+        ${acwr
+          ? `Needs ${acwr.chronicWindow} days of training history, ${acwr.chronicDays} available so far`
+          : 'Training history unavailable'}
+      </div>
+    `;
+    return;
+  }
+
+  const riskEmoji = {
+    'low': '📉',
+    'optimal': '✅',
+    'moderate': '⚠️',
+    'high': '🚨'
+  }[acwr.riskLevel] || '📊';
+
+  card.className = `training-load-card acwr risk-${acwr.riskLevel}`;
+  card.innerHTML = `
+    <h3>${riskEmoji} Training Load Ratio</h3>
+    <div class="metric-value">${acwr.ratio.toFixed(2)}</div>
+    <div class="metric-label">Acute:Chronic Workload Ratio (${acwr.metricLabel})</div>
+    <div class="detail-text">
+      ${acwr.acuteWindow}-day ${acwr.method === 'ewma' ? 'EWMA' : 'avg'}: ${acwr.acuteAvg.toFixed(1)} ${acwr.unit}/day<br>
+      ${acwr.chronicWindow}-day ${acwr.method === 'ewma' ? 'EWMA' : 'avg'}: ${acwr.chronicAvg.toFixed(1)} ${acwr.unit}/day<br>
+      Risk Level: <strong>${acwr.riskLevel.toUpperCase()}</strong>
+      ${acwr.heartRate ? `<br>HR: ${acwr.heartRate.restingHeartRate}-${acwr.heartRate.maxHeartRate} bpm${acwr.heartRate.estimated ? ' (estimated)' : ''}` : ''}
+      ${acwr.missingDays > 0 ? `<br>${acwr.missingDays} training day${acwr.missingDays === 1 ? '' : 's'} without heart rate counted as 0` : ''}
+    </div>
+    <div class="recommendation-text">
+      ${acwr.recommendation}
+    </div>
+  `;
+}
+
 // Training Load Analysis Rendering
 function renderTrainingLoadAnalysis(data, isSingleDay = false) {
   const container = document.getElementById('trainingLoadContent');
   const containerParent = document.getElementById('trainingLoadContainer');
   
   if (!container || !data || data.length === 0) return;
+  trainingLoadView = { data, isSingleDay };
 
   // Make sure the container is visible
   if (containerParent) {
@@ -2642,29 +4163,34 @@ function renderTrainingLoadAnalysis(data, isSingleDay = false) {
 
   let html = '<div class="training-load-grid">';
 
-  // ACWR Card
-  if (analysis.acwr) {
-    const acwr = analysis.acwr;
-    const riskClass = `risk-${acwr.riskLevel}`;
-    const riskEmoji = {
-      'low': '📉',
-      'optimal': '✅',
-      'moderate': '⚠️',
-      'high': '🚨'
-    }[acwr.riskLevel] || '📊';
+  // ACWR Card: the chronic window reaches back before the selected range, so the ratio
+  // comes from the performance history (filled in by renderACWRCard once it loads)
+  html += `
+    <div class="training-load-card acwr" id="acwrCard">
+      <h3>📊 Training Load Ratio</h3>
+      <div class="metric-label">Loading training history...</div>
+    </div>
+  `;
+
+  // Monotony & Strain Card
+  if (analysis.monotony && analysis.monotony.current.monotony !== null) {
+    const { current, baselineStrain, monotonyLevel, strainSpike, warnings, unit } = analysis.monotony;
+    const riskClass = strainSpike || monotonyLevel === 'high'
+      ? 'risk-high'
+      : monotonyLevel === 'moderate' ? 'risk-moderate' : 'risk-optimal';
 
     html += `
-      <div class="training-load-card acwr ${riskClass}">
-        <h3>${riskEmoji} Training Load Ratio</h3>
-        <div class="metric-value">${acwr.ratio.toFixed(2)}</div>
-        <div class="metric-label">Acute:Chronic Workload Ratio</div>
+      <div class="training-load-card ${riskClass}">
+        <h3>🔁 Monotony & Strain</h3>
+        <div class="metric-value">${current.monotony.toFixed(2)}</div>
+        <div class="metric-label">Training Monotony (last 7 days)</div>
         <div class="detail-text">
-          7-day avg: ${acwr.acuteAvg.toFixed(1)} mi/day<br>
-          28-day avg: ${acwr.chronicAvg.toFixed(1)} mi/day<br>
-          Risk Level: <strong>${acwr.riskLevel.toUpperCase()}</strong>
+          Weekly load: ${current.weeklyLoad.toFixed(1)} ${unit}<br>
+          Strain: <strong>${Math.round(current.strain)}</strong>${baselineStrain ? ` (recent avg ${Math.round(baselineStrain)})` : ''}<br>
+          Monotony Level: <strong>${monotonyLevel.toUpperCase()}</strong>
         </div>
         <div class="recommendation-text">
-          ${acwr.recommendation}
+          ${warnings.length > 0 ? warnings.join('<br>') : 'Good day-to-day variation in your training load.'}
         </div>
       </div>
     `;
@@ -2789,6 +4315,7 @@ function renderTrainingLoadAnalysis(data, isSingleDay = false) {
   }
 
   container.innerHTML = html;
+  renderACWRCard(data[data.length - 1].date);
   console.log('[TRAINING LOAD] Analysis rendered');
 }
 
@@ -3049,7 +4576,7 @@ function generateAndShowPlan() {
     return;
   }
 
-  const currentTraining = yearlyGoalsPlanner.analyzeCurrentTraining(window.currentData);
+  const currentTraining = yearlyGoalsPlanner.analyzeCurrentTraining(window.currentPeriods?.yearWeeks);
   
   if (!currentTraining) {
     alert('Unable to analyze current training. Need more data!');
@@ -3074,7 +4601,7 @@ function renderExistingPlan(plan) {
   const container = document.getElementById('yearlyGoalsContent');
   if (!container) return;
 
-  const currentTraining = yearlyGoalsPlanner.analyzeCurrentTraining(window.currentData);
+  const currentTraining = yearlyGoalsPlanner.analyzeCurrentTraining(window.currentPeriods?.yearWeeks);
   const quarterly = yearlyGoalsPlanner.getQuarterlyBreakdown(plan);
   const recommendations = yearlyGoalsPlanner.generateRecommendations(currentTraining);
 
@@ -3174,9 +4701,364 @@ window.clearYearlyPlan = function() {
   }
 };
 
-// Initialize goals system when DOM is ready
+// Initialize goals system when DOM and account settings are ready
+(window.accountSettings ? window.accountSettings.ready : Promise.resolve()).then(() => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initGoals);
+  } else {
+    setTimeout(initGoals, 100);
+  }
+});
+
+/* =========================
+   API TOKENS
+========================= */
+
+// Scope descriptions from the server, filled in when the modal first opens
+let apiTokenScopes = {};
+
+function initApiTokens() {
+  const apiTokensBtn = document.getElementById('apiTokensBtn');
+  const closeApiTokensBtn = document.getElementById('closeApiTokensBtn');
+  const createApiTokenBtn = document.getElementById('createApiTokenBtn');
+  const apiTokensModal = document.getElementById('apiTokensModal');
+
+  if (!apiTokensBtn || !apiTokensModal || !window.apiTokens) return;
+
+  apiTokensBtn.addEventListener('click', openApiTokensModal);
+
+  if (closeApiTokensBtn) {
+    closeApiTokensBtn.addEventListener('click', closeApiTokensModal);
+  }
+
+  if (createApiTokenBtn) {
+    createApiTokenBtn.addEventListener('click', createApiToken);
+  }
+
+  // Close modal on outside click
+  apiTokensModal.addEventListener('click', (e) => {
+    if (e.target === apiTokensModal) {
+      closeApiTokensModal();
+    }
+  });
+}
+
+async function openApiTokensModal() {
+  const modal = document.getElementById('apiTokensModal');
+  if (!modal) return;
+
+  document.getElementById('apiTokenName').value = '';
+  document.getElementById('apiTokenError').textContent = '';
+  document.getElementById('apiTokenCreated').classList.remove('active');
+  modal.classList.add('active');
+
+  await refreshApiTokens();
+}
+
+// Close the modal and forget the token shown after creating it
+function closeApiTokensModal() {
+  const modal = document.getElementById('apiTokensModal');
+  if (modal) {
+    modal.classList.remove('active');
+  }
+  document.getElementById('apiTokenSecret').textContent = '';
+  document.getElementById('apiTokenCreated').classList.remove('active');
+}
+
+async function refreshApiTokens() {
+  try {
+    const { tokens, scopes } = await window.apiTokens.list();
+    apiTokenScopes = scopes;
+    renderApiTokenScopes();
+    renderApiTokens(tokens);
+  } catch (error) {
+    console.error('[TOKENS] Failed to load access tokens:', error);
+    document.getElementById('apiTokenError').textContent = `Couldn't load tokens: ${error.message}`;
+  }
+}
+
+// One checkbox per scope, all checked by default
+function renderApiTokenScopes() {
+  const container = document.getElementById('apiTokenScopes');
+  if (!container || container.children.length > 0) return;
+
+  Object.entries(apiTokenScopes).forEach(([scope, description]) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = scope;
+    checkbox.checked = true;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(`${scope} — ${description}`));
+    container.appendChild(label);
+  });
+}
+
+// Token names come from the athlete, so the list is built with textContent
+function renderApiTokens(tokens) {
+  const list = document.getElementById('apiTokenList');
+  if (!list) return;
+  list.replaceChildren();
+
+  if (tokens.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'api-token-meta';
+    empty.textContent = 'No tokens yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  const formatDate = iso => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+  tokens.forEach(token => {
+    const row = document.createElement('div');
+    row.className = 'api-token-row';
+
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = token.name;
+    const meta = document.createElement('div');
+    meta.className = 'api-token-meta';
+    meta.textContent = [
+      `${token.prefix}…`,
+      token.scopes.join(', '),
+      `created ${formatDate(token.createdAt)}`,
+      token.lastUsedAt ? `last used ${formatDate(token.lastUsedAt)}` : 'never used'
+    ].join(' · ');
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const revokeBtn = document.createElement('button');
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.addEventListener('click', () => revokeApiToken(token));
+
+    row.appendChild(info);
+    row.appendChild(revokeBtn);
+    list.appendChild(row);
+  });
+}
+
+async function createApiToken() {
+  const name = document.getElementById('apiTokenName').value.trim();
+  const scopes = Array.from(document.querySelectorAll('#apiTokenScopes input:checked')).map(input => input.value);
+  const errorEl = document.getElementById('apiTokenError');
+  errorEl.textContent = '';
+
+  if (!name) {
+    errorEl.textContent = 'Give the token a name';
+    return;
+  }
+  if (scopes.length === 0) {
+    errorEl.textContent = 'Choose at least one scope';
+    return;
+  }
+
+  try {
+    const created = await window.apiTokens.create(name, scopes);
+    document.getElementById('apiTokenName').value = '';
+    document.getElementById('apiTokenSecret').textContent = created.token;
+    document.getElementById('apiTokenCreated').classList.add('active');
+    await refreshApiTokens();
+  } catch (error) {
+    console.error('[TOKENS] Failed to create access token:', error);
+    errorEl.textContent = error.message;
+  }
+}
+
+async function revokeApiToken(token) {
+  if (!confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return;
+
+  try {
+    await window.apiTokens.revoke(token.id);
+    await refreshApiTokens();
+  } catch (error) {
+    console.error('[TOKENS] Failed to revoke access token:', error);
+    document.getElementById('apiTokenError').textContent = error.message;
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initApiTokens);
+} else {
+  initApiTokens();
+}
+
+/* =========================
+   ACCOUNT EXPORT & DELETION
+========================= */
+
+function initAccountModal() {
+  const accountBtn = document.getElementById('accountBtn');
+  const closeAccountBtn = document.getElementById('closeAccountBtn');
+  const accountModal = document.getElementById('accountModal');
+  const confirmInput = document.getElementById('deleteAccountConfirm');
+  const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+
+  if (!accountBtn || !accountModal) return;
+
+  accountBtn.addEventListener('click', () => {
+    confirmInput.value = '';
+    deleteAccountBtn.disabled = true;
+    document.getElementById('deleteAccountError').textContent = '';
+    accountModal.classList.add('active');
+  });
+
+  const closeAccountModal = () => accountModal.classList.remove('active');
+
+  if (closeAccountBtn) {
+    closeAccountBtn.addEventListener('click', closeAccountModal);
+  }
+
+  // Close modal on outside click
+  accountModal.addEventListener('click', (e) => {
+    if (e.target === accountModal) {
+      closeAccountModal();
+    }
+  });
+
+  // Deleting needs the confirmation phrase typed out
+  confirmInput.addEventListener('input', () => {
+    deleteAccountBtn.disabled = confirmInput.value.trim() !== 'DELETE';
+  });
+
+  deleteAccountBtn.addEventListener('click', deleteAccount);
+}
+
+async function deleteAccount() {
+  const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+  const errorEl = document.getElementById('deleteAccountError');
+
+  if (!confirm('Delete your account and all its data? This cannot be undone.')) return;
+
+  deleteAccountBtn.disabled = true;
+  deleteAccountBtn.textContent = 'Deleting...';
+  errorEl.textContent = '';
+
+  try {
+    const response = await fetch('/account', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ confirm: 'DELETE' })
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.error || `HTTP ${response.status}`);
+    }
+
+    // Goals and plans mirrored into this browser go too
+    Object.keys(localStorage)
+      .filter(key => key.startsWith('athletesignal_') && key !== 'athletesignal_theme')
+      .forEach(key => localStorage.removeItem(key));
+
+    const { revoked } = body;
+    if (revoked && (!revoked.strava || !revoked.oura)) {
+      const services = [!revoked.strava && 'Strava', !revoked.oura && 'Oura'].filter(Boolean).join(' and ');
+      alert(`Your data was deleted, but access couldn't be revoked with ${services}. You can remove Athlete Signal from that service's connected apps.`);
+    }
+    window.location.href = '/login.html?deleted=success';
+  } catch (error) {
+    console.error('[ACCOUNT] Failed to delete account:', error);
+    errorEl.textContent = error.message;
+    deleteAccountBtn.disabled = false;
+    deleteAccountBtn.textContent = 'Delete My Account';
+  }
+}
+
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initGoals);
+  document.addEventListener('DOMContentLoaded', initAccountModal);
 } else {
-  setTimeout(initGoals, 100);
+  initAccountModal();
+}
+
+/* =========================
+   TRAINING LOAD METRIC
+========================= */
+
+// Load metric picker and heart rate settings in the training load header
+function initLoadMetricControls() {
+  const metricSelect = document.getElementById('loadMetricSelect');
+  const heartRateSettings = document.getElementById('heartRateSettings');
+  const restingInput = document.getElementById('restingHrInput');
+  const maxInput = document.getElementById('maxHrInput');
+  const sexSelect = document.getElementById('trimpSexSelect');
+  const acwrMethodSelect = document.getElementById('acwrMethodSelect');
+  const acuteInput = document.getElementById('acuteWindowInput');
+  const chronicInput = document.getElementById('chronicWindowInput');
+
+  if (!metricSelect || typeof TrainingLoadAnalyzer === 'undefined') return;
+
+  if (!trainingLoadAnalyzer) {
+    trainingLoadAnalyzer = new TrainingLoadAnalyzer();
+  }
+  const loadModels = trainingLoadAnalyzer.loadModels;
+  const settings = loadModels.settings;
+
+  loadModels.list().forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.name;
+    option.textContent = model.label;
+    metricSelect.appendChild(option);
+  });
+  metricSelect.value = loadModels.get(settings.metric).name;
+  restingInput.value = settings.restingHeartRate || '';
+  maxInput.value = settings.maxHeartRate || '';
+  sexSelect.value = settings.sex;
+
+  const showACWRSettings = () => {
+    const { method, acuteWindow, chronicWindow } = trainingLoadAnalyzer.getACWRSettings();
+    acwrMethodSelect.value = method;
+    acuteInput.value = acuteWindow;
+    chronicInput.value = chronicWindow;
+  };
+  showACWRSettings();
+
+  const showHeartRateSettings = () => {
+    heartRateSettings.style.display = loadModels.get(metricSelect.value).usesHeartRate ? 'flex' : 'none';
+  };
+  showHeartRateSettings();
+
+  // Blank heart rate inputs mean "estimate from the data"
+  const readHeartRate = input => {
+    const value = parseInt(input.value, 10);
+    return value > 0 ? value : null;
+  };
+
+  const applySettings = () => {
+    // Windows that don't fit (chronic must be longer than acute) keep the saved ones
+    const acuteWindow = parseInt(acuteInput.value, 10);
+    const chronicWindow = parseInt(chronicInput.value, 10);
+    const windowsValid = acuteWindow >= 1 && chronicWindow > acuteWindow;
+
+    loadModels.saveSettings({
+      metric: metricSelect.value,
+      restingHeartRate: readHeartRate(restingInput),
+      maxHeartRate: readHeartRate(maxInput),
+      sex: sexSelect.value,
+      acwrMethod: acwrMethodSelect.value,
+      ...(windowsValid ? { acuteWindow, chronicWindow } : {})
+    });
+    showHeartRateSettings();
+    showACWRSettings();
+    if (trainingLoadView) {
+      renderTrainingLoadAnalysis(trainingLoadView.data, trainingLoadView.isSingleDay);
+    }
+    const startInput = document.getElementById('startDate');
+    const endInput = document.getElementById('endDate');
+    if (startInput?.value && endInput?.value) {
+      renderPerformanceChart(startInput.value, endInput.value);
+      renderACWRChart(startInput.value, endInput.value);
+    }
+  };
+
+  [metricSelect, restingInput, maxInput, sexSelect, acwrMethodSelect, acuteInput, chronicInput]
+    .forEach(el => el.addEventListener('change', applySettings));
 }
+
+// Settings come from the account, so wait for them before reading
+(window.accountSettings ? window.accountSettings.ready : Promise.resolve()).then(() => {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initLoadMetricControls);
+  } else {
+    initLoadMetricControls();
+  }
+});
@@ -40,9 +40,13 @@ class GoalsManager {
     };
   }
 
-  // Save goals to localStorage
-  saveGoals() {
+  // Save goals to localStorage and, unless `syncAccount` is false, the athlete's account
+  // (progress recomputed on every data load stays local, so renders don't PUT settings)
+  saveGoals({ syncAccount = true } = {}) {
     localStorage.setItem('athletesignal_goals', JSON.stringify(this.goals));
+    if (syncAccount && window.accountSettings) {
+      window.accountSettings.push('goals', this.goals);
+    }
   }
 
   // Update a specific goal
@@ -83,93 +87,50 @@ class GoalsManager {
     return Math.min(100, Math.round((goal.current / goal.target) * 100));
   }
 
-  // Update progress based on data
-  updateProgress(data) {
+  // Update progress based on data. `periods` holds the server's totals for the current
+  // week and month ({ week, month }, from /data/summary);
+  // streaks are counted from the daily data.
+  updateProgress(data, periods = {}) {
     if (!data || data.length === 0) return;
     
     this.currentData = data;
     const today = new Date().toISOString().split('T')[0];
     
-    // Calculate weekly progress (last 7 days)
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const weekStart = weekAgo.toISOString().split('T')[0];
-    
-    const weekData = data.filter(d => d.date >= weekStart && d.date <= today);
-    
-    // Calculate monthly progress (current month)
-    const monthStart = new Date();
-    monthStart.setDate(1);
-    const monthStartStr = monthStart.toISOString().split('T')[0];
-    
-    const monthData = data.filter(d => d.date >= monthStartStr && d.date <= today);
-    
     // Update weekly goals
-    this.updateWeeklyProgress(weekData);
+    if (periods.week) {
+      this.updatePeriodProgress('weekly', periods.week);
+    }
     
     // Update monthly goals
-    this.updateMonthlyProgress(monthData);
+    if (periods.month) {
+      this.updatePeriodProgress('monthly', periods.month);
+    }
     
     // Update streaks
     this.updateStreaks(data);
     
     this.goals.lastUpdated = today;
-    this.saveGoals();
+    this.saveGoals({ syncAccount: false });
   }
 
-  // Update weekly goal progress
-  updateWeeklyProgress(weekData) {
-    // Total mileage
-    const weekMileage = weekData.reduce((sum, d) => sum + (d.distance || 0), 0);
-    this.goals.weekly.mileage.current = Math.round(weekMileage * 10) / 10;
+  // Update weekly or monthly goal progress from that period's totals
+  updatePeriodProgress(period, totals) {
+    const goals = this.goals[period];
     
-    // Number of runs
-    const weekRuns = weekData.filter(d => d.distance > 0).length;
-    this.goals.weekly.runs.current = weekRuns;
-    
-    // Average sleep (hours)
-    const sleepDays = weekData.filter(d => d.sleep);
-    if (sleepDays.length > 0) {
-      const avgSleep = sleepDays.reduce((sum, d) => {
-        const [hours, mins] = d.sleep.split('h ').map(s => parseFloat(s));
-        return sum + hours + (mins / 60);
-      }, 0) / sleepDays.length;
-      this.goals.weekly.avgSleep.current = Math.round(avgSleep * 10) / 10;
-    }
-    
-    // Average readiness
-    const readinessDays = weekData.filter(d => d.readinessScore);
-    if (readinessDays.length > 0) {
-      const avgReadiness = readinessDays.reduce((sum, d) => sum + d.readinessScore, 0) / readinessDays.length;
-      this.goals.weekly.avgReadiness.current = Math.round(avgReadiness);
-    }
-  }
-
-  // Update monthly goal progress
-  updateMonthlyProgress(monthData) {
     // Total mileage
-    const monthMileage = monthData.reduce((sum, d) => sum + (d.distance || 0), 0);
-    this.goals.monthly.mileage.current = Math.round(monthMileage * 10) / 10;
+    goals.mileage.current = Math.round(totals.distance * 10) / 10;
     
-    // Number of runs
-    const monthRuns = monthData.filter(d => d.distance > 0).length;
-    this.goals.monthly.runs.current = monthRuns;
+    // Number of runs (cross-training doesn't count)
+    goals.runs.current = totals.runCount;
     
     // Average sleep (hours)
-    const sleepDays = monthData.filter(d => d.sleep);
-    if (sleepDays.length > 0) {
-      const avgSleep = sleepDays.reduce((sum, d) => {
-        const [hours, mins] = d.sleep.split('h ').map(s => parseFloat(s));
-        return sum + hours + (mins / 60);
-      }, 0) / sleepDays.length;
-      this.goals.monthly.avgSleep.current = Math.round(avgSleep * 10) / 10;
+    if (totals.sleepHours !== null) {
+      goals.avgSleep.current = Math.round(totals.sleepHours * 10) / 10;
     }
     
     // Average readiness
-    const readinessDays = monthData.filter(d => d.readinessScore);
-    if (readinessDays.length > 0) {
-      const avgReadiness = readinessDays.reduce((sum, d) => sum + d.readinessScore, 0) / readinessDays.length;
-      this.goals.monthly.avgReadiness.current = Math.round(avgReadiness);
+    if (totals.readinessScore !== null) {
+      goals.avgReadiness.current = Math.round(totals.readinessScore);
     }
   }
 
@@ -0,0 +1,171 @@
+// Race Time Predictor Module
+// Finds best efforts in recent runs, estimates VDOT (Daniels) and predicts race times
+// with Riegel's formula
+
+class RacePredictor {
+  constructor() {
+    this.races = [
+      { key: '5k', label: '5K', miles: 3.10686 },
+      { key: '10k', label: '10K', miles: 6.21371 },
+      { key: 'half', label: 'Half Marathon', miles: 13.1094 },
+      { key: 'marathon', label: 'Marathon', miles: 26.2188 }
+    ];
+    // Runs in this many days before the prediction date count as current form
+    this.lookbackDays = 90;
+    // Shorter runs (strides, warm-ups) and longer ones fall outside what the models fit
+    this.minEffortMiles = 1.5;
+    this.minEffortMinutes = 3.5;
+    this.maxEffortMinutes = 300;
+    // Riegel's fatigue exponent: time grows a little faster than distance
+    this.riegelExponent = 1.06;
+    this.metersPerMile = 1609.34;
+  }
+
+  /**
+   * Runs that can stand in for a race: long enough, timed, and on roads or a treadmill
+   * (trail runs aren't requested, their pace understates fitness)
+   * `runs` are /runs summaries: distance in miles, movingTime in seconds
+   */
+  getEfforts(runs) {
+    if (!runs) return [];
+
+    return runs
+      .filter(run => {
+        const minutes = (run.movingTime || 0) / 60;
+        return run.distance >= this.minEffortMiles &&
+          minutes >= this.minEffortMinutes &&
+          minutes <= this.maxEffortMinutes;
+      })
+      .map(run => ({
+        id: run.id,
+        date: run.date,
+        name: run.name,
+        miles: run.distance,
+        seconds: run.movingTime,
+        vdot: this.calculateVDOT(run.distance, run.movingTime)
+      }));
+  }
+
+  /**
+   * Daniels & Gilbert VDOT: the VO2 the pace demands divided by the fraction of
+   * VO2max sustainable for that long
+   *   VO2  = -4.60 + 0.182258v + 0.000104v²   (v in meters/minute)
+   *   %max = 0.8 + 0.1894393e^(-0.012778t) + 0.2989558e^(-0.1932605t)   (t in minutes)
+   */
+  calculateVDOT(miles, seconds) {
+    if (!miles || !seconds) return null;
+
+    const minutes = seconds / 60;
+    const velocity = (miles * this.metersPerMile) / minutes;
+    const vo2 = -4.60 + 0.182258 * velocity + 0.000104 * velocity * velocity;
+    const percentMax = 0.8 +
+      0.1894393 * Math.exp(-0.012778 * minutes) +
+      0.2989558 * Math.exp(-0.1932605 * minutes);
+
+    return vo2 / percentMax;
+  }
+
+  /**
+   * Time (seconds) a VDOT predicts for a distance, found by bisection since the
+   * VDOT formula can't be solved for time directly. Faster = higher VDOT.
+   */
+  getVDOTTime(vdot, miles) {
+    let low = 60;
+    let high = 60 * 60 * 12;
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2;
+      if (this.calculateVDOT(miles, mid) > vdot) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Riegel: T2 = T1 × (D2 / D1)^1.06
+   */
+  getRiegelTime(effort, miles) {
+    return effort.seconds * Math.pow(miles / effort.miles, this.riegelExponent);
+  }
+
+  /**
+   * Predictions as of `asOfDate` (YYYY-MM-DD) from the best effort (highest VDOT) in
+   * the lookback window before it. Easy runs score low, so the best effort is the
+   * hardest recent run or race.
+   * Returns null when there's no qualifying run in the window.
+   */
+  predict(runs, asOfDate) {
+    const [year, month, day] = asOfDate.split('-').map(Number);
+    const start = new Date(year, month - 1, day - (this.lookbackDays - 1));
+    const startDate = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+
+    const efforts = this.getEfforts(runs)
+      .filter(e => e.date >= startDate && e.date <= asOfDate && e.vdot > 0);
+    if (efforts.length === 0) return null;
+
+    const bestEffort = efforts.reduce((best, e) => e.vdot > best.vdot ? e : best);
+
+    return {
+      date: asOfDate,
+      vdot: bestEffort.vdot,
+      bestEffort,
+      effortCount: efforts.length,
+      predictions: this.races.map(race => {
+        const seconds = this.getRiegelTime(bestEffort, race.miles);
+        return {
+          ...race,
+          seconds,
+          pace: seconds / 60 / race.miles, // min/mile
+          vdotSeconds: this.getVDOTTime(bestEffort.vdot, race.miles)
+        };
+      })
+    };
+  }
+
+  /**
+   * Predictions every `stepDays` days ending at `endDate`, oldest first, to track
+   * how predicted times change. Points without a recent effort are skipped.
+   */
+  getPredictionHistory(runs, startDate, endDate, stepDays = 7) {
+    const history = [];
+    const [year, month, day] = endDate.split('-').map(Number);
+
+    for (let offset = 0; ; offset += stepDays) {
+      const date = new Date(year, month - 1, day - offset);
+      const asOfDate = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      if (asOfDate < startDate) break;
+
+      const prediction = this.predict(runs, asOfDate);
+      if (prediction) {
+        history.unshift(prediction);
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Format seconds as h:mm:ss (or m:ss under an hour)
+   */
+  formatTime(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Format a pace in minutes per mile as m:ss
+   */
+  formatPace(minutesPerMile) {
+    return this.formatTime(minutesPerMile * 60);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RacePredictor;
+}
@@ -0,0 +1,170 @@
+// Sleep Timing Analysis Module
+// Calculates bed/wake times, sleep consistency, social jet lag and sleep midpoint
+
+class SleepTimingAnalyzer {
+  constructor() {
+    // Clock times before this hour belong to the previous evening's night, so a
+    // 1 AM bedtime sorts after an 11 PM one instead of before it
+    this.nightStartHour = 12;
+    // Wake days after "free" nights (weekends), used for social jet lag
+    this.freeDays = [0, 6]; // Sunday, Saturday
+    // Standard deviation (minutes) of bed/wake times for each consistency level
+    this.consistencyLevels = { excellent: 30, good: 45, fair: 60 };
+  }
+
+  /**
+   * Local clock time of an Oura timestamp, in minutes after midnight
+   * Oura timestamps carry the local UTC offset (e.g. 2025-12-29T23:12:30+01:00),
+   * so the clock time is read straight from the string, not converted to the browser's zone
+   */
+  getClockMinutes(timestamp) {
+    const match = /T(\d{2}):(\d{2})/.exec(timestamp || '');
+    if (!match) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Minutes on a noon-to-noon "night" axis (noon = 720, midnight = 1440, 7 AM = 1860)
+   */
+  toNightMinutes(clockMinutes) {
+    return clockMinutes < this.nightStartHour * 60 ? clockMinutes + 1440 : clockMinutes;
+  }
+
+  /**
+   * Bedtime, wake time and midpoint for every night with bed/wake times
+   * Returns [{ date, bedtime, wakeTime, midpoint, timeInBed }], times on the night axis
+   */
+  getSleepWindows(data) {
+    if (!data) return [];
+
+    return data
+      .filter(d => d.bedtimeStart && d.bedtimeEnd)
+      .map(d => {
+        const bedtime = this.toNightMinutes(this.getClockMinutes(d.bedtimeStart));
+        let wakeTime = this.toNightMinutes(this.getClockMinutes(d.bedtimeEnd));
+        // Sleeping in past noon wraps onto the next day
+        if (wakeTime <= bedtime) {
+          wakeTime += 1440;
+        }
+
+        return {
+          date: d.date,
+          bedtime,
+          wakeTime,
+          midpoint: (bedtime + wakeTime) / 2,
+          timeInBed: wakeTime - bedtime
+        };
+      });
+  }
+
+  average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = this.average(values);
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Sleep consistency: how much bed and wake times vary night to night
+   * Lower standard deviation = more consistent; under 30 minutes is excellent
+   */
+  calculateConsistency(windows) {
+    const bedtimeSD = this.standardDeviation(windows.map(w => w.bedtime));
+    const wakeTimeSD = this.standardDeviation(windows.map(w => w.wakeTime));
+
+    if (bedtimeSD === null || wakeTimeSD === null) {
+      return null;
+    }
+
+    const combinedSD = (bedtimeSD + wakeTimeSD) / 2;
+
+    return {
+      bedtimeSD: Math.round(bedtimeSD),
+      wakeTimeSD: Math.round(wakeTimeSD),
+      combinedSD: Math.round(combinedSD),
+      level: this.getConsistencyLevel(combinedSD)
+    };
+  }
+
+  getConsistencyLevel(combinedSD) {
+    if (combinedSD <= this.consistencyLevels.excellent) return 'excellent';
+    if (combinedSD <= this.consistencyLevels.good) return 'good';
+    if (combinedSD <= this.consistencyLevels.fair) return 'fair';
+    return 'poor';
+  }
+
+  /**
+   * Social jet lag: the shift in sleep midpoint between work nights and free nights
+   * (nights before a weekend wake day). Needs at least one night of each.
+   */
+  calculateSocialJetLag(windows) {
+    const isFreeNight = w => this.freeDays.includes(new Date(w.date + 'T00:00:00').getDay());
+
+    const freeMidpoint = this.average(windows.filter(isFreeNight).map(w => w.midpoint));
+    const workMidpoint = this.average(windows.filter(w => !isFreeNight(w)).map(w => w.midpoint));
+
+    if (freeMidpoint === null || workMidpoint === null) {
+      return null;
+    }
+
+    return {
+      minutes: Math.round(Math.abs(freeMidpoint - workMidpoint)),
+      workMidpoint,
+      freeMidpoint
+    };
+  }
+
+  /**
+   * Format night-axis minutes as a clock time, e.g. 1410 -> "11:30 PM"
+   */
+  formatClock(nightMinutes) {
+    if (nightMinutes === null || nightMinutes === undefined) return 'N/A';
+    const clockMinutes = Math.round(nightMinutes) % 1440;
+    const hours = Math.floor(clockMinutes / 60);
+    const minutes = clockMinutes % 60;
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+    return `${displayHours}:${String(minutes).padStart(2, '0')} ${period}`;
+  }
+
+  /**
+   * Format a duration in minutes, e.g. 95 -> "1h 35m"
+   */
+  formatDuration(minutes) {
+    if (minutes === null || minutes === undefined) return 'N/A';
+    const hours = Math.floor(minutes / 60);
+    const mins = Math.round(minutes % 60);
+    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+  }
+
+  /**
+   * Get full sleep timing analysis for the selected range
+   */
+  getFullAnalysis(data) {
+    const windows = this.getSleepWindows(data);
+
+    if (windows.length === 0) {
+      return null;
+    }
+
+    return {
+      windows,
+      nights: windows.length,
+      averageBedtime: this.average(windows.map(w => w.bedtime)),
+      averageWakeTime: this.average(windows.map(w => w.wakeTime)),
+      averageMidpoint: this.average(windows.map(w => w.midpoint)),
+      consistency: this.calculateConsistency(windows),
+      socialJetLag: this.calculateSocialJetLag(windows)
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SleepTimingAnalyzer;
+}
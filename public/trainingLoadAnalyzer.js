@@ -2,68 +2,154 @@
 // Calculates ACWR, recovery scores, and provides training recommendations
 
 class TrainingLoadAnalyzer {
-  constructor() {
+  constructor(loadModels = null) {
     this.acuteWindow = 7;    // Last 7 days
     this.chronicWindow = 28;  // Last 28 days (4 weeks)
     this.optimalACWR = { min: 0.8, max: 1.3 };
     this.highRiskACWR = 1.5;
+
+    // Foster's monotony thresholds; above 2.0 is linked to illness and overtraining
+    this.monotonyThresholds = { moderate: 1.5, high: 2.0 };
+    // Identical load every day has zero spread, so monotony is capped here
+    this.maxMonotony = 10;
+    // Strain is in load units × monotony, so it's judged against the athlete's own
+    // earlier weeks: this many times their average strain is a spike
+    this.strainSpikeRatio = 1.5;
+
+    // Banister impulse-response time constants (days) for fitness and fatigue
+    this.ctlTimeConstant = 42;
+    this.atlTimeConstant = 7;
+
+    // How a day's training becomes a load number (distance, duration, TRIMP, ...)
+    this.loadModels = loadModels || new TrainingLoadModels();
   }
 
   /**
-   * Calculate Acute:Chronic Workload Ratio (ACWR)
-   * Acute = average daily load over last 7 days
-   * Chronic = average daily load over last 28 days
-   * Optimal ACWR: 0.8 - 1.3 (safe zone)
-   * > 1.5 = high injury risk
+   * Daily loads for the selected load metric, with the model that produced them
    */
-  calculateACWR(data) {
-    if (!data || data.length < this.acuteWindow) {
+  getDailyLoads(data) {
+    const model = this.loadModels.get(this.loadModels.settings.metric);
+    return { model, ...this.loadModels.getDailyLoads(data, model.name) };
+  }
+
+  /**
+   * ACWR method and windows from the training load settings, falling back to the
+   * defaults when they're missing or the chronic window isn't longer than the acute one
+   */
+  getACWRSettings() {
+    const { acwrMethod, acuteWindow, chronicWindow } = this.loadModels.settings;
+    const valid = Number.isInteger(acuteWindow) && Number.isInteger(chronicWindow) &&
+      acuteWindow >= 1 && chronicWindow > acuteWindow;
+
+    return {
+      method: acwrMethod === 'ewma' ? 'ewma' : 'rolling',
+      acuteWindow: valid ? acuteWindow : this.acuteWindow,
+      chronicWindow: valid ? chronicWindow : this.chronicWindow
+    };
+  }
+
+  /**
+   * Acute:Chronic Workload Ratio for every day of `data`
+   * Load is the selected load model's daily value (miles by default).
+   * Two ways to average it:
+   *   rolling  Acute / chronic = mean daily load over the last acuteWindow / chronicWindow days
+   *   ewma     Exponentially weighted moving averages with decay 2 / (window + 1)
+   *            (Williams et al. 2017), so recent days count more and load doesn't
+   *            drop off a cliff when it leaves the window
+   * Days before a full chronic window of history average what's there (`partial`).
+   * A ratio needs at least acuteWindow days. `data` must hold consecutive days in
+   * date order, as /data returns them.
+   */
+  calculateACWRSeries(data) {
+    if (!data || data.length === 0) {
       return null;
     }
 
-    const today = new Date();
-    const acuteStart = new Date(today);
-    acuteStart.setDate(today.getDate() - this.acuteWindow);
-    
-    const chronicStart = new Date(today);
-    chronicStart.setDate(today.getDate() - this.chronicWindow);
+    const { method, acuteWindow, chronicWindow } = this.getACWRSettings();
+    const { model, loads, heartRate } = this.getDailyLoads(data);
+    const sumLoads = (from, to) => loads.slice(Math.max(0, from), to + 1).reduce((sum, d) => sum + d.load, 0);
+
+    const acuteDecay = 2 / (acuteWindow + 1);
+    const chronicDecay = 2 / (chronicWindow + 1);
+    let acuteEwma = 0;
+    let chronicEwma = 0;
+
+    const days = loads.map(({ date, load, missing }, i) => {
+      const acuteLoad = sumLoads(i - acuteWindow + 1, i);
+      const chronicLoad = sumLoads(i - chronicWindow + 1, i);
+
+      let acuteAvg;
+      let chronicAvg;
+      if (method === 'ewma') {
+        // Averages start at 0; dividing by the weight seen so far removes that bias
+        acuteEwma += (load - acuteEwma) * acuteDecay;
+        chronicEwma += (load - chronicEwma) * chronicDecay;
+        acuteAvg = acuteEwma / (1 - Math.pow(1 - acuteDecay, i + 1));
+        chronicAvg = chronicEwma / (1 - Math.pow(1 - chronicDecay, i + 1));
+      } else {
+        acuteAvg = acuteLoad / Math.min(i + 1, acuteWindow);
+        chronicAvg = chronicLoad / Math.min(i + 1, chronicWindow);
+      }
 
-    // Filter data for windows
-    const acuteData = data.filter(d => {
-      const date = new Date(d.date);
-      return date >= acuteStart && date <= today;
+      const ratio = i + 1 >= acuteWindow && chronicAvg > 0 ? acuteAvg / chronicAvg : null;
+      return {
+        date,
+        load,
+        missing,
+        acuteLoad,
+        chronicLoad,
+        acuteAvg,
+        chronicAvg,
+        ratio,
+        partial: i + 1 < chronicWindow,
+        // training days without heart rate (TRIMP) in the chronic window
+        missingDays: loads.slice(Math.max(0, i - chronicWindow + 1), i + 1).filter(d => d.missing).length
+      };
     });
 
-    const chronicData = data.filter(d => {
-      const date = new Date(d.date);
-      return date >= chronicStart && date <= today;
-    });
+    return {
+      days,
+      method,
+      acuteWindow,
+      chronicWindow,
+      metric: model.name,
+      metricLabel: model.label,
+      unit: model.unit,
+      heartRate
+    };
+  }
 
-    if (chronicData.length === 0) {
+  /**
+   * Calculate Acute:Chronic Workload Ratio (ACWR) as of the last day of `data`
+   * (the end of the selected range), using the configured method and windows
+   * Optimal ACWR: 0.8 - 1.3 (safe zone)
+   * > 1.5 = high injury risk
+   */
+  calculateACWR(data) {
+    const series = this.calculateACWRSeries(data);
+    if (!series) {
       return null;
     }
 
-    // Calculate workload (distance in miles)
-    const acuteLoad = acuteData.reduce((sum, d) => sum + (d.distance || 0), 0);
-    const chronicLoad = chronicData.reduce((sum, d) => sum + (d.distance || 0), 0);
-
-    const acuteAvg = acuteLoad / this.acuteWindow;
-    const chronicAvg = chronicLoad / this.chronicWindow;
-
-    if (chronicAvg === 0) {
+    const { days, ...settings } = series;
+    const latest = days[days.length - 1];
+    if (latest.ratio === null) {
       return null;
     }
 
-    const ratio = acuteAvg / chronicAvg;
-
     return {
-      ratio: ratio,
-      acuteLoad: acuteLoad,
-      chronicLoad: chronicLoad,
-      acuteAvg: acuteAvg,
-      chronicAvg: chronicAvg,
-      riskLevel: this.getRiskLevel(ratio),
-      recommendation: this.getACWRRecommendation(ratio)
+      ...settings,
+      date: latest.date,
+      ratio: latest.ratio,
+      acuteLoad: latest.acuteLoad,
+      chronicLoad: latest.chronicLoad,
+      acuteAvg: latest.acuteAvg,
+      chronicAvg: latest.chronicAvg,
+      partial: latest.partial,
+      chronicDays: Math.min(days.length, series.chronicWindow),
+      missingDays: latest.missingDays,
+      riskLevel: this.getRiskLevel(latest.ratio),
+      recommendation: this.getACWRRecommendation(latest.ratio)
     };
   }
 
@@ -98,6 +184,154 @@ class TrainingLoadAnalyzer {
     return recommendations[level] || 'Continue monitoring your training load.';
   }
 
+  /**
+   * Fitness / fatigue / form over every day of `data` (Banister impulse-response model)
+   * CTL (chronic training load, fitness) and ATL (acute training load, fatigue) are
+   * exponentially weighted averages of daily load with 42- and 7-day time constants.
+   * TSB (training stress balance, form) = yesterday's CTL - yesterday's ATL, i.e. how
+   * fresh you are going into the day. Both start at 0, so pass enough history
+   * (at least ~6 weeks before the days you care about) for CTL to settle.
+   * `data` must hold consecutive days in date order, as /data returns them.
+   */
+  calculatePerformanceManagement(data) {
+    if (!data || data.length === 0) {
+      return null;
+    }
+
+    const { model, loads, heartRate } = this.getDailyLoads(data);
+    const ctlDecay = 1 - Math.exp(-1 / this.ctlTimeConstant);
+    const atlDecay = 1 - Math.exp(-1 / this.atlTimeConstant);
+
+    let ctl = 0;
+    let atl = 0;
+    const days = loads.map(({ date, load, missing }, i) => {
+      const tsb = ctl - atl;
+      ctl += (load - ctl) * ctlDecay;
+      atl += (load - atl) * atlDecay;
+      return {
+        date,
+        load,
+        missing,
+        ctl,
+        atl,
+        tsb,
+        readinessScore: data[i].readinessScore ?? null
+      };
+    });
+
+    const latest = days[days.length - 1];
+    return {
+      days,
+      metric: model.name,
+      metricLabel: model.label,
+      unit: model.unit,
+      heartRate,
+      latest,
+      formZone: this.getFormZone(latest.tsb, latest.ctl)
+    };
+  }
+
+  /**
+   * Classify form (TSB) relative to fitness (CTL), so the zones work for any load unit
+   *   fresh       TSB above +25% of CTL: race-ready, but fitness is fading if it lasts
+   *   race-ready  TSB 0 to +25%: tapered
+   *   neutral     TSB 0 to -10%: maintaining
+   *   productive  TSB -10% to -30%: building fitness
+   *   overreached TSB below -30%: accumulated fatigue, injury and illness risk
+   */
+  getFormZone(tsb, ctl) {
+    if (!ctl) return 'unknown';
+    const relative = tsb / ctl;
+    if (relative > 0.25) return 'fresh';
+    if (relative >= 0) return 'race-ready';
+    if (relative >= -0.1) return 'neutral';
+    if (relative >= -0.3) return 'productive';
+    return 'overreached';
+  }
+
+  /**
+   * Training monotony and strain (Foster 1998) for each 7-day week of `data`, counted
+   * back from the last day so the latest week ends with the selected range
+   *   monotony = mean daily load / standard deviation of daily load
+   *   strain   = weekly load × monotony
+   * Hard days followed by easy ones keep monotony low; the same load every day (or
+   * no rest days) pushes it up. A leading partial week is skipped.
+   */
+  calculateMonotonyStrain(data) {
+    if (!data || data.length < 7) {
+      return null;
+    }
+
+    const { model, loads } = this.getDailyLoads(data);
+
+    const weeks = [];
+    for (let end = loads.length; end >= 7; end -= 7) {
+      const week = loads.slice(end - 7, end);
+      const weeklyLoad = week.reduce((sum, d) => sum + d.load, 0);
+      const mean = weeklyLoad / 7;
+      const standardDeviation = Math.sqrt(week.reduce((sum, d) => sum + Math.pow(d.load - mean, 2), 0) / 7);
+
+      let monotony = null;
+      if (mean > 0) {
+        monotony = standardDeviation > 0
+          ? Math.min(this.maxMonotony, mean / standardDeviation)
+          : this.maxMonotony;
+      }
+
+      weeks.unshift({
+        startDate: week[0].date,
+        endDate: week[6].date,
+        weeklyLoad,
+        mean,
+        standardDeviation,
+        monotony,
+        strain: monotony === null ? 0 : weeklyLoad * monotony
+      });
+    }
+
+    const current = weeks[weeks.length - 1];
+    const previous = weeks.slice(0, -1).filter(w => w.weeklyLoad > 0);
+    const baselineStrain = previous.length >= 2
+      ? previous.reduce((sum, w) => sum + w.strain, 0) / previous.length
+      : null;
+
+    const monotonyLevel = this.getMonotonyLevel(current.monotony);
+    const strainSpike = baselineStrain !== null && baselineStrain > 0 &&
+      current.strain > baselineStrain * this.strainSpikeRatio;
+
+    const warnings = [];
+    if (monotonyLevel === 'high') {
+      warnings.push('⚠️ Training is very monotonous. Mix in easy and rest days to lower illness and overtraining risk.');
+    } else if (monotonyLevel === 'moderate') {
+      warnings.push('Training days are quite similar. Make easy days easier to add variation.');
+    }
+    if (strainSpike) {
+      warnings.push(`⚠️ Strain is ${(current.strain / baselineStrain).toFixed(1)}× your recent average. Plan a lighter week.`);
+    }
+
+    return {
+      weeks,
+      current,
+      baselineStrain,
+      monotonyLevel,
+      strainSpike,
+      warnings,
+      metric: model.name,
+      metricLabel: model.label,
+      unit: model.unit
+    };
+  }
+
+  /**
+   * Monotony level: 'low', 'moderate' or 'high' (null monotony = no training = 'unknown')
+   */
+  getMonotonyLevel(monotony) {
+    if (monotony === null || monotony === undefined) return 'unknown';
+    if (monotony > this.monotonyThresholds.high) return 'high';
+    if (monotony > this.monotonyThresholds.moderate) return 'moderate';
+    return 'low';
+  }
+
   /**
    * Calculate Recovery Score based on sleep and readiness
    * Score: 0-100
@@ -266,6 +500,7 @@ class TrainingLoadAnalyzer {
     }
 
     const acwr = this.calculateACWR(data);
+    const monotony = this.calculateMonotonyStrain(data);
     
     // Get today's recovery data
     const today = new Date().toISOString().split('T')[0];
@@ -292,6 +527,7 @@ class TrainingLoadAnalyzer {
 
     return {
       acwr,
+      monotony,
       todayRecovery,
       todayRecommendation,
       avgRecovery: avgRecovery ? Math.round(avgRecovery) : null,
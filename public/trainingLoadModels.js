@@ -0,0 +1,168 @@
+// Training Load Models
+// Turns each day of /data into one training load number, so workload metrics (ACWR)
+// can be based on distance, duration or heart-rate TRIMP. Models are pluggable:
+// register() adds one without touching the analyzer.
+
+class TrainingLoadModels {
+  constructor() {
+    this.models = {};
+    this.settings = this.loadSettings();
+
+    this.register('distance', {
+      label: 'Distance',
+      unit: 'mi',
+      dailyLoad: day => day.distance || 0
+    });
+
+    this.register('duration', {
+      label: 'Duration',
+      unit: 'min',
+      dailyLoad: day => (day.movingTime || 0) / 60
+    });
+
+    // TRIMP needs heart rate: days with training but no heart rate return null
+    this.register('banisterTrimp', {
+      label: 'Banister TRIMP',
+      unit: 'TRIMP',
+      usesHeartRate: true,
+      dailyLoad: (day, heartRate) => this.withHeartRate(day, heartRate, (minutes, avgHr) =>
+        this.banisterTrimp(minutes, avgHr, heartRate))
+    });
+
+    this.register('edwardsTrimp', {
+      label: 'Edwards TRIMP',
+      unit: 'TRIMP',
+      usesHeartRate: true,
+      dailyLoad: (day, heartRate) => this.withHeartRate(day, heartRate, (minutes, avgHr) =>
+        this.edwardsTrimp(minutes, avgHr, heartRate))
+    });
+  }
+
+  // Load settings from localStorage (copied from the athlete's account at startup)
+  //   metric: which model drives training load
+  //   restingHeartRate / maxHeartRate: bpm, or null to estimate them from the data
+  //   sex: 'male' or 'female' (Banister's weighting factor)
+  //   acwrMethod: 'rolling' or 'ewma' averages for the acute:chronic workload ratio
+  //   acuteWindow / chronicWindow: ACWR windows in days
+  loadSettings() {
+    const defaults = {
+      metric: 'distance',
+      restingHeartRate: null,
+      maxHeartRate: null,
+      sex: 'male',
+      acwrMethod: 'rolling',
+      acuteWindow: 7,
+      chronicWindow: 28
+    };
+    const stored = localStorage.getItem('athletesignal_training_load');
+    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+  }
+
+  // Save settings to localStorage and the athlete's account
+  saveSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem('athletesignal_training_load', JSON.stringify(this.settings));
+    if (window.accountSettings) {
+      window.accountSettings.push('trainingLoad', this.settings);
+    }
+  }
+
+  /**
+   * Add a load model
+   * @param {string} name - Key used for settings.metric
+   * @param {Object} model - { label, unit, usesHeartRate, dailyLoad(day, heartRate) }
+   *   dailyLoad returns the day's load, or null when the day's data can't be scored
+   */
+  register(name, model) {
+    this.models[name] = { name, usesHeartRate: false, ...model };
+  }
+
+  get(name) {
+    return this.models[name] || this.models.distance;
+  }
+
+  list() {
+    return Object.values(this.models);
+  }
+
+  /**
+   * Resting and max heart rate for TRIMP. Settings win; otherwise resting is the median
+   * of Oura's lowest overnight heart rate and max is the highest activity max in the data.
+   */
+  getHeartRateSettings(data = []) {
+    let restingHeartRate = this.settings.restingHeartRate;
+    let maxHeartRate = this.settings.maxHeartRate;
+    let estimated = false;
+
+    if (!restingHeartRate) {
+      const resting = data.map(d => d.restingHeartRate).filter(hr => hr > 0).sort((a, b) => a - b);
+      restingHeartRate = resting.length > 0 ? resting[Math.floor(resting.length / 2)] : 60;
+      estimated = true;
+    }
+    if (!maxHeartRate) {
+      const highest = Math.max(0, ...data.map(d => d.maxHeartrate || 0));
+      maxHeartRate = highest > restingHeartRate ? highest : 190;
+      estimated = true;
+    }
+
+    return { restingHeartRate, maxHeartRate, sex: this.settings.sex, estimated };
+  }
+
+  /**
+   * Call `score(minutes, averageHeartrate)` for days with training and heart rate.
+   * /data gives one distance-weighted average heart rate per day, so multi-activity
+   * days are scored as a single session.
+   */
+  withHeartRate(day, heartRate, score) {
+    const minutes = (day.movingTime || 0) / 60;
+    if (minutes === 0) return 0;
+    if (!day.averageHeartrate || !heartRate) return null;
+    return score(minutes, day.averageHeartrate);
+  }
+
+  /**
+   * Banister TRIMP = minutes × HRr × 0.64e^(1.92 × HRr) (men), 0.86e^(1.67 × HRr) (women)
+   * where HRr = (avg HR - resting) / (max - resting), the heart rate reserve used
+   */
+  banisterTrimp(minutes, averageHeartrate, { restingHeartRate, maxHeartRate, sex }) {
+    const reserve = maxHeartRate - restingHeartRate;
+    if (reserve <= 0) return null;
+
+    const hrr = Math.min(1, Math.max(0, (averageHeartrate - restingHeartRate) / reserve));
+    const [a, b] = sex === 'female' ? [0.86, 1.67] : [0.64, 1.92];
+    return minutes * hrr * a * Math.exp(b * hrr);
+  }
+
+  /**
+   * Edwards TRIMP = Σ minutes in zone × zone weight, zones at 50/60/70/80/90% of max HR
+   * weighted 1-5. With only an average, the whole session sits in one zone.
+   */
+  edwardsTrimp(minutes, averageHeartrate, { maxHeartRate }) {
+    // Whole percent steps, so exactly 70% lands in zone 3 despite floating-point error
+    const percentOfMax = Math.round(averageHeartrate / maxHeartRate * 1000) / 10;
+    if (percentOfMax < 50) return 0;
+    const zone = Math.min(5, Math.floor(percentOfMax / 10) - 4);
+    return minutes * zone;
+  }
+
+  /**
+   * Load per day for a model: { loads: [{ date, load, missing }], heartRate }.
+   * `missing` marks training days the model couldn't score; they count as 0.
+   */
+  getDailyLoads(data, metric = this.settings.metric) {
+    const model = this.get(metric);
+    const heartRate = model.usesHeartRate ? this.getHeartRateSettings(data) : null;
+
+    const loads = data.map(day => {
+      const load = model.dailyLoad(day, heartRate);
+      return { date: day.date, load: load || 0, missing: load === null };
+    });
+
+    return { loads, heartRate };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrainingLoadModels;
+}
@@ -12,35 +12,25 @@ class YearlyGoalsPlanner {
 
   /**
    * Analyze current year's training to establish baseline
+   * @param {Array} weeks - This year's weekly totals from /data/summary
    */
-  analyzeCurrentTraining(data) {
-    if (!data || data.length === 0) {
-      return null;
-    }
-
-    const currentYear = new Date().getFullYear();
-    const currentYearData = data.filter(d => {
-      const year = new Date(d.date).getFullYear();
-      return year === currentYear;
-    });
-
-    if (currentYearData.length === 0) {
+  analyzeCurrentTraining(weeks) {
+    if (!weeks || weeks.length === 0) {
       return null;
     }
 
     // Calculate weekly statistics
-    const weeklyMileage = this.calculateWeeklyMileage(currentYearData);
-    const avgWeeklyMileage = weeklyMileage.length > 0
-      ? weeklyMileage.reduce((sum, w) => sum + w.mileage, 0) / weeklyMileage.length
-      : 0;
-
-    const maxWeeklyMileage = weeklyMileage.length > 0
-      ? Math.max(...weeklyMileage.map(w => w.mileage))
-      : 0;
+    const weeklyMileage = weeks.map(w => ({
+      startDate: w.period,
+      mileage: w.distance,
+      runs: w.runCount
+    }));
+    const avgWeeklyMileage = weeklyMileage.reduce((sum, w) => sum + w.mileage, 0) / weeklyMileage.length;
+    const maxWeeklyMileage = Math.max(...weeklyMileage.map(w => w.mileage));
 
-    const totalMileage = currentYearData.reduce((sum, d) => sum + (d.distance || 0), 0);
+    const totalMileage = weeklyMileage.reduce((sum, w) => sum + w.mileage, 0);
     const weeksWithRuns = weeklyMileage.filter(w => w.mileage > 0).length;
-    const consistency = weeksWithRuns / Math.max(1, this.getCurrentWeekOfYear());
+    const consistency = weeksWithRuns / weeklyMileage.length; // every week so far has a bucket
 
     return {
       totalMileage: Math.round(totalMileage),
@@ -52,39 +42,6 @@ class YearlyGoalsPlanner {
     };
   }
 
-  /**
-   * Calculate weekly mileage from daily data
-   */
-  calculateWeeklyMileage(data) {
-    const weeks = {};
-    
-    data.forEach(d => {
-      const date = new Date(d.date);
-      const weekNum = this.getWeekNumber(date);
-      const year = date.getFullYear();
-      const key = `${year}-W${weekNum}`;
-      
-      if (!weeks[key]) {
-        weeks[key] = {
-          week: weekNum,
-          year,
-          mileage: 0,
-          runs: 0
-        };
-      }
-      
-      weeks[key].mileage += d.distance || 0;
-      if (d.distance > 0) {
-        weeks[key].runs++;
-      }
-    });
-
-    return Object.values(weeks).sort((a, b) => {
-      if (a.year !== b.year) return a.year - b.year;
-      return a.week - b.week;
-    });
-  }
-
   /**
    * Get ISO week number
    */
@@ -286,14 +243,18 @@ class YearlyGoalsPlanner {
   }
 
   /**
-   * Save yearly plan to localStorage
+   * Save yearly plan to localStorage and the athlete's account
    */
   savePlan(plan) {
     if (!plan) return;
-    localStorage.setItem('athletesignal_yearly_plan', JSON.stringify({
+    const stored = {
       plan,
       createdAt: new Date().toISOString()
-    }));
+    };
+    localStorage.setItem('athletesignal_yearly_plan', JSON.stringify(stored));
+    if (typeof window !== 'undefined' && window.accountSettings) {
+      window.accountSettings.push('yearlyPlan', stored);
+    }
   }
 
   /**
@@ -1,9 +1,38 @@
 import express from "express";
 import session from "express-session";
+import { EventEmitter } from "events";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import "dotenv/config";
-import createMergeDataFunction from "./services/stravaOuraIntegration.js";
+import createMergeDataFunction, {
+  RUN_SPORT_TYPES,
+  getSportType,
+  getStravaActivities,
+  getStravaActivitiesSince,
+  getStravaActivity,
+  getStravaActivityDetail,
+  getMainSessionDetails,
+  getOuraPersonalInfo,
+  getStravaAthlete,
+  isStravaAccessRevoked,
+  revokeStravaAccess,
+  revokeOuraAccess
+} from "./services/stravaOuraIntegration.js";
+import { createAccountStore } from "./services/userAccounts.js";
+import { createPersonalTokenStore, TOKEN_SCOPES, MAX_TOKENS_PER_ATHLETE } from "./services/personalTokens.js";
+import { createApiV1Router } from "./routes/apiV1.js";
+import { createHistoryRepository } from "./services/historyRepository.js";
+import { createRedisCacheBackend, createMemoryCacheBackend } from "./services/cacheBackends.js";
+import { ApiError, ERROR_HTTP_STATUS, getRateLimitStatus } from "./services/apiClient.js";
+import { GRANULARITIES, WEEK_START_DAYS, aggregateByPeriod, summarizeActivities } from "./services/periodAggregation.js";
+import { EXPORT_TYPES, EXPORT_FORMATS, EXPORT_SCOPES, UNIT_SYSTEMS, parseExportType, buildDayRows, buildRunRows, serializeExport } from "./services/dataExport.js";
+import { createZip } from "./services/zipArchive.js";
+import {
+  verifyStravaSubscription,
+  parseStravaWebhookEvent,
+  isDeauthorizationEvent,
+  applyActivityEvent
+} from "./services/stravaWebhook.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -77,8 +106,32 @@ async function setupRedis() {
 // Initialize app with async setup
 async function startServer() {
   // Setup session store and data cache client
-  const { store: sessionStore, dataClient } = await setupRedis();
+  const { store: redisSessionStore, dataClient } = await setupRedis();
   redisDataClient = dataClient; // Make it globally available
+
+  // Keep a handle on the store even in memory mode, so sessions can be looked up
+  // outside of a request (e.g. when a Strava webhook event arrives)
+  const sessionStore = redisSessionStore || new session.MemoryStore();
+
+  // Athlete accounts hold tokens and settings; sessions only point at one
+  const accounts = createAccountStore(redisDataClient);
+
+  // Personal access tokens for reading data from scripts (stored hashed)
+  const personalTokens = createPersonalTokenStore(redisDataClient);
+
+  // Durable activity and recovery history, with a hot cache in front
+  const historyStore = createHistoryRepository(
+    process.env.DATABASE_PATH || join(__dirname, "..", "data", "athletesignal.db")
+  );
+
+  // Hot cache: Redis when configured, otherwise a size-bounded in-process LRU
+  const cache = redisDataClient
+    ? createRedisCacheBackend(redisDataClient)
+    : createMemoryCacheBackend({
+      maxEntries: Number(process.env.MEMORY_CACHE_MAX_ENTRIES) || undefined,
+      maxBytes: Number(process.env.MEMORY_CACHE_MAX_MB) * 1024 * 1024 || undefined
+    });
+  console.log(`[CACHE] [INFO] Using ${cache.name} cache backend`);
   
   // Trust proxy for Railway (needed for secure cookies)
   app.set('trust proxy', 1);
@@ -105,7 +158,7 @@ async function startServer() {
   app.use((req, res, next) => {
     console.log(`[HTTP] ${req.method} ${req.path} from ${req.ip}`);
     console.log(`[SESSION] Session ID: ${req.sessionID || 'none'}`);
-    console.log(`[SESSION] Has Strava: ${!!req.session?.stravaTokens}, Has Oura: ${!!req.session?.ouraToken}`);
+    console.log(`[SESSION] Athlete: ${req.session?.athleteId || 'none'}`);
     next();
   });
 
@@ -122,14 +175,139 @@ async function startServer() {
 
   app.use(express.static(join(__dirname, "..", "public"), staticOptions));
 
+  // Load the signed-in athlete's account into req.account
+  // (after static files, so assets don't cost an account lookup)
+  // Requests with `Authorization: Bearer <token>` are signed in by a personal access
+  // token instead of the session, and also get req.apiToken ({ id, name, scopes, ... })
+  app.use(async (req, res, next) => {
+    const authorization = req.get('authorization');
+    if (authorization?.startsWith('Bearer ')) {
+      try {
+        const token = await personalTokens.authenticate(authorization.slice('Bearer '.length).trim());
+        if (!token) {
+          return res.status(401).json({ error: 'Invalid or revoked access token' });
+        }
+        req.apiToken = token;
+        req.account = await accounts.getAccount(token.athleteId);
+      } catch (error) {
+        console.error('[TOKENS] [ERROR] Failed to check access token:', error.message);
+        return res.status(500).json({ error: 'Failed to check access token' });
+      }
+      return next();
+    }
+
+    try {
+      if (req.session && !req.session.athleteId && (req.session.stravaTokens || req.session.ouraToken)) {
+        await migrateLegacySession(req);
+      }
+      req.account = req.session?.athleteId ? await accounts.getAccount(req.session.athleteId) : null;
+    } catch (error) {
+      console.error('[ACCOUNT] [ERROR] Failed to load account:', error.message);
+      req.account = null;
+    }
+    next();
+  });
+
   // Auth middleware
+  // Personal access tokens are turned away here; routes they may read use requireReadAccess
   function requireAuth(req, res, next) {
-    if (!req.session.stravaTokens || !req.session.ouraToken) {
+    if (req.apiToken) {
+      return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+    }
+    if (!req.account?.stravaTokens || !req.account?.ouraToken) {
       return res.redirect('/login.html');
     }
     next();
   }
 
+  // Read-only data routes: a signed-in session, or a personal access token with `scope`
+  function requireReadAccess(scope) {
+    return (req, res, next) => {
+      if (!req.apiToken) {
+        return requireAuth(req, res, next);
+      }
+      if (!req.apiToken.scopes.includes(scope)) {
+        return res.status(403).json({ error: `Access token is missing the ${scope} scope` });
+      }
+      if (!req.account?.stravaTokens || !req.account?.ouraToken) {
+        return res.status(401).json({ error: 'Reconnect Strava and Oura in the dashboard to use this token' });
+      }
+      next();
+    };
+  }
+
+  // Persist OAuth tokens rotated during a data fetch back to the athlete's account
+  function createTokenPersister(athleteId) {
+    return async (provider, tokens) => {
+      try {
+        // A sync can outlive its account (deletion); don't bring it back as a blank one
+        const account = await accounts.updateAccount(athleteId, account => {
+          if (provider === 'oura') {
+            account.ouraToken = tokens;
+          } else {
+            account.stravaTokens = tokens;
+          }
+        }, { create: false });
+        if (!account) {
+          console.log(`[ACCOUNT] [INFO] Athlete ${athleteId} no longer has an account, not persisting refreshed ${provider} token`);
+          return;
+        }
+        console.log(`[ACCOUNT] [INFO] Persisted refreshed ${provider} token for athlete ${athleteId}`);
+      } catch (error) {
+        console.error(`[ACCOUNT] [ERROR] Failed to persist refreshed ${provider} token:`, error.message);
+      }
+    };
+  }
+
+  // Look up the Oura user ID for a token (links the ring to an athlete account)
+  // Returns null when Oura doesn't share it, e.g. without the personal scope
+  async function getOuraUserId(ouraToken, onTokenRefresh) {
+    try {
+      const info = await getOuraPersonalInfo(ouraToken, onTokenRefresh);
+      return info.id ?? null;
+    } catch (error) {
+      console.log('[ACCOUNT] [WARNING] Could not read Oura user ID:', error.message);
+      return null;
+    }
+  }
+
+  // Sessions from before athlete accounts hold the OAuth tokens themselves. Move them
+  // onto the athlete's account, carry the session's cached data over, and point the
+  // session at the account instead.
+  async function migrateLegacySession(req) {
+    const tokens = { strava: req.session.stravaTokens || null, oura: req.session.ouraToken || null };
+    const keepRefreshed = (provider, refreshed) => { tokens[provider] = refreshed; };
+
+    const ouraUserId = tokens.oura ? await getOuraUserId(tokens.oura, keepRefreshed) : null;
+
+    // Without Strava there is no athlete yet: hold Oura until Strava is connected
+    if (!tokens.strava) {
+      req.session.pendingOura = { token: tokens.oura, ouraUserId };
+      delete req.session.ouraToken;
+      console.log('[ACCOUNT] [INFO] Moved Oura-only session to pending Oura connection');
+      return;
+    }
+
+    const athleteId = req.session.stravaAthleteId ??
+      (await getStravaAthlete(tokens.strava, { onTokenRefresh: keepRefreshed })).id;
+
+    await accounts.updateAccount(athleteId, account => {
+      account.stravaTokens = tokens.strava;
+      if (tokens.oura) {
+        account.ouraToken = tokens.oura;
+        account.ouraUserId = ouraUserId ?? account.ouraUserId;
+      }
+    });
+    await migrateLegacyCache(req.sessionID, athleteId);
+    await addAthleteSession(athleteId, req.sessionID);
+
+    req.session.athleteId = athleteId;
+    delete req.session.stravaTokens;
+    delete req.session.ouraToken;
+    delete req.session.stravaAthleteId;
+    console.log(`[ACCOUNT] [INFO] Migrated session ${req.sessionID.substring(0, 8)}... to athlete ${athleteId}`);
+  }
+
   // Format helper
   function formatSeconds(seconds) {
     if (!seconds || seconds <= 0) return null;
@@ -138,86 +316,188 @@ async function startServer() {
     return `${hours}h ${minutes}m`;
   }
 
+  // Build the activity predicate for the /data `sport` query parameter:
+  //   run (default) - Run, TrailRun and VirtualRun
+  //   all           - every Strava sport type
+  //   Ride,Swim,... - a comma-separated list of Strava sport types
+  function parseSportFilter(sportParam) {
+    const value = (sportParam || 'run').trim();
+
+    if (value.toLowerCase() === 'all') {
+      return () => true;
+    }
+
+    const sportTypes = value.toLowerCase() === 'run'
+      ? RUN_SPORT_TYPES
+      : value.split(',').map(s => s.trim()).filter(Boolean);
+
+    return activity => sportTypes.includes(getSportType(activity));
+  }
+
+  // `weekStart` query value (default monday) as a day number, or undefined if unknown
+  function parseWeekStart(value) {
+    const name = (value || 'monday').toLowerCase();
+    return Object.hasOwn(WEEK_START_DAYS, name) ? WEEK_START_DAYS[name] : undefined;
+  }
+
+  // Answer with the typed error's status and code, or a plain 500 for anything else
+  function sendApiError(res, error, message) {
+    if (!(error instanceof ApiError)) {
+      return res.status(500).json({ error: message });
+    }
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(ERROR_HTTP_STATUS[error.code] || 502).json({
+      error: message,
+      code: error.code,
+      provider: error.provider,
+      retryAfter: error.retryAfter ?? null
+    });
+  }
+
   /* =========================
      CACHE HELPER FUNCTIONS
   ========================= */
 
-  // Cache expiration time: 24 hours (in seconds)
+  // Cache freshness window: 24 hours (in seconds)
+  // Data older than this is topped up by an incremental sync
   const CACHE_EXPIRY = 24 * 60 * 60;
 
-  // Get cache key prefix for a session
-  function getCacheKeyPrefix(sessionId) {
-    return `cache:${sessionId}`;
+  // How long Redis keeps entries that only live in the cache (e.g. activity detail):
+  // 30 days, matching the session cookie. Copies of durable history only need to
+  // outlive the freshness window, since they can be reloaded from the database.
+  const CACHE_RETENTION = 30 * 24 * 60 * 60;
+
+  // Days of already-cached Oura data to fetch again on each incremental sync,
+  // since the ring often uploads (and Oura rescores) recent nights late
+  const OURA_RECHECK_DAYS = 3;
+
+  // Days of already-cached Strava activities to fetch again on each incremental sync,
+  // so recent edits and deletions are picked up even without the webhook
+  const STRAVA_RECHECK_DAYS = 14;
+
+  // Format of the cached Oura records. Bump it when they gain fields, so the next
+  // incremental sync refetches the whole Oura window once instead of only recent days.
+  const OURA_CACHE_FORMAT = 5;
+
+  // Get cache key prefix for an athlete
+  function getCacheKeyPrefix(athleteId) {
+    return `cache:athlete:${athleteId}`;
   }
 
-  // Get cached data for a session
-  async function getCachedData(sessionId, dataType) {
-    if (!redisDataClient) {
-      console.log('[CACHE] [INFO] Redis not available, skipping cache');
-      return null;
-    }
+  // Get data for an athlete: from the hot cache when it holds a copy, otherwise from
+  // the history database (refilling the cache on the way out)
+  async function getCachedData(athleteId, dataType) {
+    const key = `${getCacheKeyPrefix(athleteId)}:${dataType}`;
 
     try {
-      const key = `${getCacheKeyPrefix(sessionId)}:${dataType}`;
-      const data = await redisDataClient.get(key);
+      const data = await cache.get(key);
       if (data) {
-        console.log(`[CACHE] [HIT] Found cached ${dataType} for session ${sessionId.substring(0, 8)}...`);
+        console.log(`[CACHE] [HIT] Found cached ${dataType} for athlete ${athleteId}`);
         return JSON.parse(data);
       }
-      console.log(`[CACHE] [MISS] No cached ${dataType} for session ${sessionId.substring(0, 8)}...`);
-      return null;
     } catch (error) {
       console.error(`[CACHE] [ERROR] Failed to get cached ${dataType}:`, error.message);
+    }
+
+    if (!historyStore.stores(dataType)) {
+      console.log(`[CACHE] [MISS] No cached ${dataType} for athlete ${athleteId}`);
+      return null;
+    }
+
+    try {
+      const data = await historyStore.read(athleteId, dataType);
+      if (data === null) {
+        console.log(`[DB] [MISS] No stored ${dataType} for athlete ${athleteId}`);
+        return null;
+      }
+
+      console.log(`[DB] [HIT] Loaded ${dataType} for athlete ${athleteId} from the history database`);
+      await cache.set(key, JSON.stringify(data), CACHE_EXPIRY)
+        .catch(error => console.error(`[CACHE] [ERROR] Failed to refill cached ${dataType}:`, error.message));
+      return data;
+    } catch (error) {
+      console.error(`[DB] [ERROR] Failed to read ${dataType}:`, error.message);
       return null;
     }
   }
 
-  // Set cached data for a session
-  async function setCachedData(sessionId, dataType, data) {
-    if (!redisDataClient) {
-      console.log('[CACHE] [INFO] Redis not available, skipping cache set');
-      return false;
+  // Set data for an athlete: durable data types go to the history database first,
+  // then a copy goes to the hot cache
+  async function setCachedData(athleteId, dataType, data) {
+    const durable = historyStore.stores(dataType);
+
+    if (durable) {
+      try {
+        await historyStore.write(athleteId, dataType, data);
+      } catch (error) {
+        console.error(`[DB] [ERROR] Failed to store ${dataType}:`, error.message);
+        return false;
+      }
     }
 
     try {
-      const key = `${getCacheKeyPrefix(sessionId)}:${dataType}`;
-      await redisDataClient.setEx(key, CACHE_EXPIRY, JSON.stringify(data));
-      console.log(`[CACHE] [SET] Cached ${dataType} for session ${sessionId.substring(0, 8)}... (expires in ${CACHE_EXPIRY}s)`);
+      const key = `${getCacheKeyPrefix(athleteId)}:${dataType}`;
+      const ttl = durable ? CACHE_EXPIRY : CACHE_RETENTION;
+      await cache.set(key, JSON.stringify(data), ttl);
+      console.log(`[CACHE] [SET] Cached ${dataType} for athlete ${athleteId} (expires in ${ttl}s)`);
       return true;
     } catch (error) {
       console.error(`[CACHE] [ERROR] Failed to set cached ${dataType}:`, error.message);
+      return durable;
+    }
+  }
+
+  // Add or update some entries of a stored list, keeping the rest. The hot copy is
+  // dropped, so the next read refills it from the history database.
+  async function upsertCachedEntries(athleteId, dataType, entries) {
+    try {
+      await historyStore.upsert(athleteId, dataType, entries);
+    } catch (error) {
+      console.error(`[DB] [ERROR] Failed to store ${dataType}:`, error.message);
+      return false;
+    }
+    return deleteCachedData(athleteId, dataType);
+  }
+
+  // Delete one cached entry for an athlete
+  async function deleteCachedData(athleteId, dataType) {
+    try {
+      await cache.delete([`${getCacheKeyPrefix(athleteId)}:${dataType}`]);
+      return true;
+    } catch (error) {
+      console.error(`[CACHE] [ERROR] Failed to delete cached ${dataType}:`, error.message);
       return false;
     }
   }
 
-  // Get cache timestamp
-  async function getCacheTimestamp(sessionId) {
-    if (!redisDataClient) return null;
+  // Get the time of the last completed sync (kept in the history database, so a
+  // cache carried over from before it existed reads as stale and gets stored)
+  async function getCacheTimestamp(athleteId) {
     try {
-      const timestamp = await redisDataClient.get(`${getCacheKeyPrefix(sessionId)}:timestamp`);
-      return timestamp ? parseInt(timestamp) : null;
+      return await historyStore.read(athleteId, 'timestamp');
     } catch (error) {
-      console.error('[CACHE] [ERROR] Failed to get cache timestamp:', error.message);
+      console.error('[DB] [ERROR] Failed to get sync timestamp:', error.message);
       return null;
     }
   }
 
-  // Set cache timestamp
-  async function setCacheTimestamp(sessionId) {
-    if (!redisDataClient) return false;
+  // Record a completed sync
+  async function setCacheTimestamp(athleteId) {
     try {
-      const timestamp = Math.floor(Date.now() / 1000);
-      await redisDataClient.setEx(`${getCacheKeyPrefix(sessionId)}:timestamp`, CACHE_EXPIRY, timestamp.toString());
+      await historyStore.write(athleteId, 'timestamp', Math.floor(Date.now() / 1000));
       return true;
     } catch (error) {
-      console.error('[CACHE] [ERROR] Failed to set cache timestamp:', error.message);
+      console.error('[DB] [ERROR] Failed to set sync timestamp:', error.message);
       return false;
     }
   }
 
   // Check if cache is fresh (less than 24 hours old)
-  async function isCacheFresh(sessionId) {
-    const timestamp = await getCacheTimestamp(sessionId);
+  async function isCacheFresh(athleteId) {
+    const timestamp = await getCacheTimestamp(athleteId);
     if (!timestamp) return false;
     
     const age = Math.floor(Date.now() / 1000) - timestamp;
@@ -226,16 +506,14 @@ async function startServer() {
     return isFresh;
   }
 
-  // Clear all cache for a session
-  async function clearCache(sessionId) {
-    if (!redisDataClient) return false;
+  // Clear the cached data for an athlete. The stored history is left alone (the
+  // next read refills the cache from it); only purgeAthleteData deletes it.
+  async function clearCache(athleteId) {
     try {
-      const prefix = getCacheKeyPrefix(sessionId);
-      // Get all keys matching the prefix
-      const keys = await redisDataClient.keys(`${prefix}:*`);
+      const keys = await cache.keys(`${getCacheKeyPrefix(athleteId)}:`);
       if (keys.length > 0) {
-        await redisDataClient.del(keys);
-        console.log(`[CACHE] [CLEAR] Cleared ${keys.length} cache entries for session ${sessionId.substring(0, 8)}...`);
+        await cache.delete(keys);
+        console.log(`[CACHE] [CLEAR] Cleared ${keys.length} cache entries for athlete ${athleteId}`);
       }
       return true;
     } catch (error) {
@@ -244,18 +522,315 @@ async function startServer() {
     }
   }
 
+  // Delete everything stored and cached for an athlete (account deletion, or a
+  // deauthorization on Strava, whose terms require dropping the athlete's data)
+  async function purgeAthleteData(athleteId) {
+    try {
+      await historyStore.clear(athleteId);
+    } catch (error) {
+      console.error('[DB] [ERROR] Failed to clear stored history:', error.message);
+      return false;
+    }
+
+    return clearCache(athleteId);
+  }
+
+  // Move cache entries written under a session ID (before athlete accounts) to the
+  // athlete. If the athlete already has cached data, the session's copy is dropped.
+  async function migrateLegacyCache(sessionId, athleteId) {
+    try {
+      const legacyPrefix = `cache:${sessionId}`;
+      const legacyKeys = await cache.keys(`${legacyPrefix}:`);
+      if (legacyKeys.length === 0) return true;
+
+      const athleteKeys = await cache.keys(`${getCacheKeyPrefix(athleteId)}:`);
+      if (athleteKeys.length > 0) {
+        await cache.delete(legacyKeys);
+        console.log(`[CACHE] [INFO] Dropped ${legacyKeys.length} session cache entries, athlete ${athleteId} already has cached data`);
+        return true;
+      }
+
+      // Renaming keeps each key's remaining TTL
+      for (const key of legacyKeys) {
+        await cache.rename(key, getCacheKeyPrefix(athleteId) + key.slice(legacyPrefix.length));
+      }
+      console.log(`[CACHE] [INFO] Moved ${legacyKeys.length} session cache entries to athlete ${athleteId}`);
+      return true;
+    } catch (error) {
+      console.error('[CACHE] [ERROR] Failed to migrate session cache:', error.message);
+      return false;
+    }
+  }
+
   /* =========================
-     DATA SYNC FUNCTION
+     ATHLETE SESSION INDEX
   ========================= */
 
-  // Sync all user data to cache (called after authentication)
-  async function syncUserDataToCache(sessionId, stravaTokens, ouraToken) {
+  // Keep a set of session IDs per Strava athlete ID, so every session for an athlete
+  // can be signed out when they revoke access (expires with the session cookie).
+  // Without Redis the index lives in process memory, next to the MemoryStore sessions.
+  const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+  const memorySessionIndex = new Map();
+
+  function getAthleteSessionsKey(athleteId) {
+    return `athlete:${athleteId}:sessions`;
+  }
+
+  async function addAthleteSession(athleteId, sessionId) {
+    if (!athleteId) return false;
     if (!redisDataClient) {
-      console.log('[SYNC] [INFO] Redis not available, skipping data sync');
+      const key = getAthleteSessionsKey(athleteId);
+      memorySessionIndex.set(key, new Set(memorySessionIndex.get(key)).add(sessionId));
+      return true;
+    }
+    try {
+      const key = getAthleteSessionsKey(athleteId);
+      await redisDataClient.sAdd(key, sessionId);
+      await redisDataClient.expire(key, SESSION_MAX_AGE);
+      return true;
+    } catch (error) {
+      console.error('[CACHE] [ERROR] Failed to index athlete session:', error.message);
       return false;
     }
+  }
+
+  async function removeAthleteSession(athleteId, sessionId) {
+    if (!athleteId) return false;
+    if (!redisDataClient) {
+      memorySessionIndex.get(getAthleteSessionsKey(athleteId))?.delete(sessionId);
+      return true;
+    }
+    try {
+      await redisDataClient.sRem(getAthleteSessionsKey(athleteId), sessionId);
+      return true;
+    } catch (error) {
+      console.error('[CACHE] [ERROR] Failed to remove athlete session from index:', error.message);
+      return false;
+    }
+  }
+
+  async function getAthleteSessionIds(athleteId) {
+    if (!redisDataClient) {
+      return Array.from(memorySessionIndex.get(getAthleteSessionsKey(athleteId)) || []);
+    }
+    try {
+      return await redisDataClient.sMembers(getAthleteSessionsKey(athleteId));
+    } catch (error) {
+      console.error('[CACHE] [ERROR] Failed to read athlete session index:', error.message);
+      return [];
+    }
+  }
+
+  // Promise wrapper around the session store's callback API
+  function destroyStoredSession(sessionId) {
+    return new Promise((resolve) => {
+      sessionStore.destroy(sessionId, (err) => {
+        if (err) {
+          console.error('[SESSION] [ERROR] Failed to destroy session:', err.message);
+        }
+        resolve(!err);
+      });
+    });
+  }
+
+  /* =========================
+     DATA SYNC FUNCTION
+  ========================= */
+
+  // Syncs currently running, keyed by athlete ID, so overlapping triggers share one run
+  const activeSyncs = new Map();
+
+  // Progress of running syncs, streamed to the dashboard by /sync/events. Events are
+  // emitted under the athlete ID; the latest one per athlete is kept for late subscribers.
+  //   { stage: 'started', mode }
+  //   { stage: 'strava', pages, activities }
+  //   { stage: 'oura', dataset }
+  //   { stage: 'merging', days }
+  //   { stage: 'saving' }
+  //   { stage: 'complete', activities, sleepDays, readinessDays, activityDays, durationMs }
+  //   { stage: 'error', code, provider, message, retryAfter }
+  const syncEvents = new EventEmitter();
+  syncEvents.setMaxListeners(0); // one listener per open dashboard
+  const syncProgress = new Map();
+
+  function reportSyncProgress(athleteId, progress) {
+    const event = { ...progress, at: new Date().toISOString() };
+    syncProgress.set(athleteId, event);
+    syncEvents.emit(String(athleteId), event);
+  }
+
+  // Sync all user data to cache (called after authentication)
+  function syncUserDataToCache(athleteId, stravaTokens, ouraToken, options = {}) {
+    if (activeSyncs.has(athleteId)) {
+      console.log(`[SYNC] [INFO] Sync already running for athlete ${athleteId}, joining it`);
+      return activeSyncs.get(athleteId);
+    }
+
+    const sync = runUserDataSync(athleteId, stravaTokens, ouraToken, options)
+      .finally(() => {
+        activeSyncs.delete(athleteId);
+        syncProgress.delete(athleteId);
+      });
+    activeSyncs.set(athleteId, sync);
+    return sync;
+  }
+
+  // Walk the Strava activity history, caching each page as it arrives.
+  // The walk's progress is cached under `strava:history`, so a sync interrupted by a
+  // restart picks up where it stopped instead of starting over.
+  async function syncStravaHistory(athleteId, stravaTokens, historicalStartDate, onTokenRefresh) {
+    const after = Math.floor(new Date(historicalStartDate).getTime() / 1000);
+
+    let history = await getCachedData(athleteId, 'strava:history');
+    const cachedRuns = await getCachedData(athleteId, 'strava:activities') || [];
+
+    // Stored activities from before the window are kept; the walk refetches the rest
+    const runsById = new Map(cachedRuns.filter(run => run.date < historicalStartDate).map(run => [run.id, run]));
+
+    // Histories walked before every sport type was synced only hold runs, so start over
+    if (history && !history.complete && history.allActivityTypes) {
+      // Pages already walked reach back to the cursor. Stored start times are local, so
+      // allow for a timezone's offset: runs just past the cursor are refetched anyway.
+      const walkedFrom = (history.oldest || Infinity) - 14 * 60 * 60;
+      cachedRuns
+        .filter(run => run.date >= historicalStartDate && new Date(run.startDate).getTime() / 1000 >= walkedFrom)
+        .forEach(run => runsById.set(run.id, run));
+      console.log(`[SYNC] [INFO] Resuming Strava history sync with ${runsById.size} cached runs (${history.pages} page(s) done)`);
+    } else {
+      history = null;
+    }
+
+    // Each page is added to the stored history (nothing is removed until the walk
+    // completes and the sync writes the whole list), so a walk that stops partway
+    // leaves the stored history whole
+    await getStravaActivities(stravaTokens, {
+      after,
+      history,
+      onTokenRefresh,
+      onPage: async (pageRuns, state) => {
+        pageRuns.forEach(run => runsById.set(run.id, run));
+        reportSyncProgress(athleteId, { stage: 'strava', pages: state.pages, activities: runsById.size });
+        if (!(await upsertCachedEntries(athleteId, 'strava:activities', pageRuns))) {
+          throw new Error('Failed to store synced Strava activities');
+        }
+        await setCachedData(athleteId, 'strava:history', state);
+      }
+    });
 
-    console.log(`[SYNC] [INFO] Starting data sync for session ${sessionId.substring(0, 8)}...`);
+    return Array.from(runsById.values());
+  }
+
+  // Split merged data (as returned by mergeData) into the cached per-source lists
+  function extractCacheEntries(mergedData) {
+    const stravaActivities = [];
+    const ouraSleep = [];
+    const ouraReadiness = [];
+    const ouraActivity = [];
+
+    Object.entries(mergedData).forEach(([date, value]) => {
+      // Cache all Strava runs (don't filter by date range - cache everything)
+      // Note: Runs already have a date field from getStravaActivities
+      if (value.runs && value.runs.length > 0) {
+        stravaActivities.push(...value.runs);
+      }
+      
+      // Cache sleep data
+      if (value.sleep && (value.sleep.total || value.sleep.score !== null)) {
+        ouraSleep.push({
+          date,
+          total: value.sleep.total ?? 0,
+          rem: value.sleep.rem ?? 0,
+          deep: value.sleep.deep ?? 0,
+          light: value.sleep.light ?? 0,
+          score: value.sleep.score ?? null,
+          ...getMainSessionDetails(value.sleep)
+        });
+      }
+      
+      // Cache readiness data
+      if (value.readiness && value.readiness.score !== null) {
+        ouraReadiness.push({
+          date,
+          score: value.readiness.score,
+          contributors: value.readiness.contributors ?? null,
+          temperatureDeviation: value.readiness.temperatureDeviation ?? null,
+          temperatureTrendDeviation: value.readiness.temperatureTrendDeviation ?? null
+        });
+      }
+
+      // Cache Oura daily activity
+      if (value.activity) {
+        ouraActivity.push({ date, ...value.activity });
+      }
+    });
+
+    return { stravaActivities, ouraSleep, ouraReadiness, ouraActivity };
+  }
+
+  // Fetch only what changed since the last sync: Strava activities from STRAVA_RECHECK_DAYS
+  // ago (or the newest cached one, if older), and Oura days from OURA_RECHECK_DAYS before
+  // the latest cached day
+  // Pass `ouraRecheckFrom` to re-check Oura from that date instead (e.g. after a format change)
+  async function fetchIncrementalUpdates(stravaTokens, ouraToken, history, cached, cacheEndDate, onTokenRefresh, { ouraRecheckFrom = null, onProgress } = {}) {
+    const recheckAfter = Math.floor(Date.now() / 1000) - STRAVA_RECHECK_DAYS * 24 * 60 * 60;
+    const since = Math.min(history.newest || history.after, recheckAfter);
+    const { runs: fetchedRuns, newest, pages } = await getStravaActivitiesSince(stravaTokens, since, { onTokenRefresh });
+    onProgress({ stage: 'strava', pages, activities: fetchedRuns.length });
+
+    // Cached activities inside the re-check window that Strava no longer lists were
+    // deleted (or made private). Activity dates are local, so the window's first day
+    // could hold activities from just before it and is left alone.
+    const windowStart = new Date((since + 24 * 60 * 60) * 1000).toISOString().split('T')[0];
+    const fetchedIds = new Set(fetchedRuns.map(run => run.id));
+    const kept = cached.activities.filter(run => run.date < windowStart || fetchedIds.has(run.id));
+    const removed = cached.activities.length - kept.length;
+
+    const runsById = new Map(kept.map(run => [run.id, run]));
+    const newRuns = fetchedRuns.filter(run => !runsById.has(run.id)).length;
+    fetchedRuns.forEach(run => runsById.set(run.id, run));
+    history.newest = Math.max(history.newest || history.after, newest);
+    history.updatedAt = new Date().toISOString();
+    if (removed > 0) {
+      console.log(`[SYNC] [INFO] Removed ${removed} cached activities no longer on Strava`);
+    }
+
+    const latestOuraDay = [...cached.sleep, ...cached.readiness, ...cached.activity]
+      .map(entry => entry.date)
+      .sort()
+      .pop();
+    const recheckStart = latestOuraDay ? new Date(latestOuraDay) : new Date();
+    recheckStart.setDate(recheckStart.getDate() - OURA_RECHECK_DAYS);
+    const recheckStartDate = ouraRecheckFrom || recheckStart.toISOString().split('T')[0];
+
+    console.log(`[SYNC] [INFO] Re-checking Oura data from ${recheckStartDate} to ${cacheEndDate}`);
+
+    // Runs are merged above, so only Oura data is fetched here
+    const mergeData = createMergeDataFunction(stravaTokens, ouraToken, { onTokenRefresh, onProgress });
+    const fresh = extractCacheEntries(await mergeData(recheckStartDate, cacheEndDate, { runs: [] }));
+
+    // Fresh days replace cached ones; days outside the re-check window are kept as-is
+    const upsertByDate = (cachedEntries, freshEntries) => {
+      const byDate = new Map(cachedEntries.map(entry => [entry.date, entry]));
+      freshEntries.forEach(entry => byDate.set(entry.date, entry));
+      return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    };
+
+    return {
+      stravaActivities: Array.from(runsById.values()),
+      ouraSleep: upsertByDate(cached.sleep, fresh.ouraSleep),
+      ouraReadiness: upsertByDate(cached.readiness, fresh.ouraReadiness),
+      ouraActivity: upsertByDate(cached.activity, fresh.ouraActivity),
+      newRuns
+    };
+  }
+
+  // mode: 'incremental' (default) tops up existing cached data when a complete
+  // history is cached, falling back to a full sync; 'full' refetches the whole window
+  async function runUserDataSync(athleteId, stravaTokens, ouraToken, { mode = 'incremental', onTokenRefresh } = {}) {
+    console.log(`[SYNC] [INFO] Starting ${mode} data sync for athlete ${athleteId}`);
+    const syncStarted = Date.now();
+    const onProgress = progress => reportSyncProgress(athleteId, progress);
+    onProgress({ stage: 'started', mode });
 
     try {
       // Fetch historical data - use a wide date range (last 2 years should cover most users)
@@ -268,57 +843,97 @@ async function startServer() {
       startDate.setFullYear(startDate.getFullYear() - 2);
       const historicalStartDate = startDate.toISOString().split('T')[0];
 
-      console.log(`[SYNC] [INFO] Fetching data from ${historicalStartDate} to ${cacheEndDate}`);
-
-      // Use mergeData to fetch and process all data (it handles all the complexity)
-      const mergeData = createMergeDataFunction(stravaTokens, ouraToken.accessToken);
-      const mergedData = await mergeData(historicalStartDate, cacheEndDate);
-
-      // Extract processed data from merged structure for caching
-      // This preserves the merge logic and ensures consistency
-      const stravaActivities = [];
-      const ouraSleep = [];
-      const ouraReadiness = [];
+      const [history, cachedActivities, cachedSleep, cachedReadiness, cachedDailyActivity, ouraFormat] = await Promise.all([
+        getCachedData(athleteId, 'strava:history'),
+        getCachedData(athleteId, 'strava:activities'),
+        getCachedData(athleteId, 'oura:sleep'),
+        getCachedData(athleteId, 'oura:readiness'),
+        getCachedData(athleteId, 'oura:activity'),
+        getCachedData(athleteId, 'oura:format')
+      ]);
 
-      Object.entries(mergedData).forEach(([date, value]) => {
-        // Cache all Strava runs (don't filter by date range - cache everything)
-        // Note: Runs already have a date field from getStravaActivities
-        if (value.runs && value.runs.length > 0) {
-          stravaActivities.push(...value.runs);
-        }
-        
-        // Cache sleep data
-        if (value.sleep && (value.sleep.total || value.sleep.score !== null)) {
-          ouraSleep.push({
-            date,
-            total: value.sleep.total ?? 0,
-            rem: value.sleep.rem ?? 0,
-            deep: value.sleep.deep ?? 0,
-            light: value.sleep.light ?? 0,
-            score: value.sleep.score ?? null
-          });
-        }
-        
-        // Cache readiness data
-        if (value.readiness && value.readiness.score !== null) {
-          ouraReadiness.push({
-            date,
-            score: value.readiness.score
-          });
+      // A history from before every sport type was synced needs one full walk to backfill
+      // cross-training, after which incremental syncs take over again
+      const canSyncIncrementally = mode === 'incremental' &&
+        history?.complete &&
+        history.allActivityTypes &&
+        cachedActivities !== null && cachedSleep !== null && cachedReadiness !== null;
+
+      let stravaActivities;
+      let ouraSleep;
+      let ouraReadiness;
+      let ouraActivity;
+
+      if (canSyncIncrementally) {
+        const updates = await fetchIncrementalUpdates(
+          stravaTokens,
+          ouraToken,
+          history,
+          { activities: cachedActivities, sleep: cachedSleep, readiness: cachedReadiness, activity: cachedDailyActivity || [] },
+          cacheEndDate,
+          onTokenRefresh,
+          { ouraRecheckFrom: ouraFormat === OURA_CACHE_FORMAT ? null : historicalStartDate, onProgress }
+        );
+        ({ stravaActivities, ouraSleep, ouraReadiness, ouraActivity } = updates);
+        await setCachedData(athleteId, 'strava:history', history);
+        console.log(`[SYNC] [INFO] Incremental sync added ${updates.newRuns} new activities`);
+      } else {
+        if (mode === 'incremental') {
+          console.log('[SYNC] [INFO] No complete cached history yet, running full sync');
         }
-      });
+        console.log(`[SYNC] [INFO] Fetching data from ${historicalStartDate} to ${cacheEndDate}`);
+
+        // Fetch the full Strava history for the window (resumable), then let mergeData
+        // fetch Oura data and merge everything (it handles all the complexity)
+        const runs = await syncStravaHistory(athleteId, stravaTokens, historicalStartDate, onTokenRefresh);
+        const mergeData = createMergeDataFunction(stravaTokens, ouraToken, { onTokenRefresh, onProgress });
+        const mergedData = await mergeData(historicalStartDate, cacheEndDate, { runs });
+
+        // Extract processed data from merged structure for caching
+        // This preserves the merge logic and ensures consistency
+        ({ stravaActivities, ouraSleep, ouraReadiness, ouraActivity } = extractCacheEntries(mergedData));
+
+        // The stored history is permanent: entries from before the window stay
+        const withOlder = (stored, fresh) => [...(stored || []).filter(entry => entry.date < historicalStartDate), ...fresh];
+        stravaActivities = withOlder(cachedActivities, stravaActivities);
+        ouraSleep = withOlder(cachedSleep, ouraSleep);
+        ouraReadiness = withOlder(cachedReadiness, ouraReadiness);
+        ouraActivity = withOlder(cachedDailyActivity, ouraActivity);
+      }
 
       // Cache the data
+      onProgress({ stage: 'saving' });
       await Promise.all([
-        setCachedData(sessionId, 'strava:activities', stravaActivities),
-        setCachedData(sessionId, 'oura:sleep', ouraSleep),
-        setCachedData(sessionId, 'oura:readiness', ouraReadiness),
-        setCacheTimestamp(sessionId)
+        setCachedData(athleteId, 'strava:activities', stravaActivities),
+        setCachedData(athleteId, 'oura:sleep', ouraSleep),
+        setCachedData(athleteId, 'oura:readiness', ouraReadiness),
+        setCachedData(athleteId, 'oura:activity', ouraActivity),
+        setCachedData(athleteId, 'oura:format', OURA_CACHE_FORMAT),
+        setCacheTimestamp(athleteId)
       ]);
 
-      console.log(`[SYNC] [SUCCESS] Cached ${stravaActivities.length} Strava activities, ${ouraSleep.length} sleep sessions, ${ouraReadiness.length} readiness scores`);
+      const syncMode = canSyncIncrementally ? 'incremental' : 'full';
+      await deleteCachedData(athleteId, 'sync:error');
+      onProgress({
+        stage: 'complete',
+        activities: stravaActivities.length,
+        sleepDays: ouraSleep.length,
+        readinessDays: ouraReadiness.length,
+        activityDays: ouraActivity.length,
+        durationMs: Date.now() - syncStarted
+      });
+      console.log(`[SYNC] [SUCCESS] Cached ${stravaActivities.length} Strava activities, ${ouraSleep.length} sleep sessions, ${ouraReadiness.length} readiness scores, ${ouraActivity.length} activity days (${syncMode} sync, ${Date.now() - syncStarted}ms)`);
       return true;
     } catch (error) {
+      // Keep what went wrong for /cache/status (rate limits, expired auth, provider outages)
+      const syncError = {
+        code: error.code || 'SYNC_FAILED',
+        provider: error.provider || null,
+        message: error.message,
+        retryAfter: error.retryAfter ?? null
+      };
+      await setCachedData(athleteId, 'sync:error', { ...syncError, failedAt: new Date().toISOString() });
+      onProgress({ stage: 'error', ...syncError });
       console.error('[SYNC] [ERROR] Failed to sync data to cache:', error.message);
       console.error('[SYNC] [ERROR] Stack:', error.stack);
       return false;
@@ -370,12 +985,33 @@ async function startServer() {
       
       const data = await response.json();
       
-      if (data.access_token) {
-        req.session.stravaTokens = {
-          accessToken: data.access_token,
-          refreshToken: data.refresh_token,
-          expiresAt: data.expires_at
-        };
+      if (data.access_token && data.athlete?.id) {
+        const athleteId = data.athlete.id;
+        // Oura connected before Strava is waiting in the session for an account
+        const pendingOura = req.session.pendingOura;
+
+        const account = await accounts.updateAccount(athleteId, account => {
+          account.stravaTokens = {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expiresAt: data.expires_at
+          };
+          account.profile = {
+            firstName: data.athlete.firstname ?? null,
+            lastName: data.athlete.lastname ?? null
+          };
+          if (pendingOura) {
+            account.ouraToken = pendingOura.token;
+            account.ouraUserId = pendingOura.ouraUserId ?? account.ouraUserId;
+          }
+        });
+
+        if (req.session.athleteId && req.session.athleteId !== athleteId) {
+          await removeAthleteSession(req.session.athleteId, req.sessionID);
+        }
+        delete req.session.pendingOura;
+        req.session.athleteId = athleteId;
+        await addAthleteSession(athleteId, req.sessionID);
         
         // Explicitly save session before redirect
         req.session.save(async (err) => {
@@ -383,14 +1019,15 @@ async function startServer() {
             console.error('[ERROR] Session save error:', err);
             return res.redirect('/login.html?error=session_save_failed');
           }
-          console.log('[SUCCESS] Strava connected successfully');
+          console.log(`[SUCCESS] Strava connected successfully for athlete ${athleteId}`);
           
           // If Oura is also connected, trigger data sync in background
-          if (req.session.ouraToken) {
+          if (account.ouraToken) {
             console.log('[SYNC] [INFO] Both Strava and Oura connected, triggering data sync...');
             // Don't await - let it run in background
-            syncUserDataToCache(req.sessionID, req.session.stravaTokens, req.session.ouraToken)
-              .catch(err => console.error('[SYNC] [ERROR] Background sync failed:', err.message));
+            syncUserDataToCache(athleteId, account.stravaTokens, account.ouraToken, {
+              onTokenRefresh: createTokenPersister(athleteId)
+            }).catch(err => console.error('[SYNC] [ERROR] Background sync failed:', err.message));
           }
           
           res.redirect('/login.html?strava=connected');
@@ -440,10 +1077,35 @@ async function startServer() {
       const data = await response.json();
       
       if (data.access_token) {
-        req.session.ouraToken = {
+        const ouraToken = {
           accessToken: data.access_token,
-          refreshToken: data.refresh_token
+          refreshToken: data.refresh_token,
+          // Oura returns a lifetime in seconds; store an absolute expiry like Strava's expires_at
+          expiresAt: data.expires_in ? Math.floor(Date.now() / 1000) + data.expires_in : null
         };
+        const ouraUserId = await getOuraUserId(ouraToken);
+
+        // A returning athlete can sign in with the Oura ring linked to their account
+        let athleteId = req.session.athleteId;
+        if (!athleteId && ouraUserId) {
+          athleteId = await accounts.findAthleteByOuraUser(ouraUserId);
+          if (athleteId) {
+            req.session.athleteId = athleteId;
+            await addAthleteSession(athleteId, req.sessionID);
+            console.log(`[ACCOUNT] [INFO] Signed in athlete ${athleteId} via linked Oura account`);
+          }
+        }
+
+        let account = null;
+        if (athleteId) {
+          account = await accounts.updateAccount(athleteId, account => {
+            account.ouraToken = ouraToken;
+            account.ouraUserId = ouraUserId ?? account.ouraUserId;
+          });
+        } else {
+          // No athlete yet: attach to the account once Strava is connected
+          req.session.pendingOura = { token: ouraToken, ouraUserId };
+        }
         
         // Explicitly save session before redirect
         req.session.save(async (err) => {
@@ -454,11 +1116,12 @@ async function startServer() {
           console.log('[SUCCESS] Oura connected successfully');
           
           // If Strava is also connected, trigger data sync in background
-          if (req.session.stravaTokens) {
+          if (account?.stravaTokens) {
             console.log('[SYNC] [INFO] Both Strava and Oura connected, triggering data sync...');
             // Don't await - let it run in background
-            syncUserDataToCache(req.sessionID, req.session.stravaTokens, req.session.ouraToken)
-              .catch(err => console.error('[SYNC] [ERROR] Background sync failed:', err.message));
+            syncUserDataToCache(athleteId, account.stravaTokens, account.ouraToken, {
+              onTokenRefresh: createTokenPersister(athleteId)
+            }).catch(err => console.error('[SYNC] [ERROR] Background sync failed:', err.message));
           }
           
           res.redirect('/login.html?oura=connected');
@@ -476,16 +1139,16 @@ async function startServer() {
   // Check auth status
   app.get("/auth/status", (req, res) => {
     res.json({
-      strava: !!req.session.stravaTokens,
-      oura: !!req.session.ouraToken
+      strava: !!req.account?.stravaTokens,
+      oura: !!(req.account?.ouraToken || req.session.pendingOura)
     });
   });
 
   // Check cache sync status
   app.get("/cache/status", requireAuth, async (req, res) => {
     try {
-      const cacheFresh = await isCacheFresh(req.sessionID);
-      const timestamp = await getCacheTimestamp(req.sessionID);
+      const cacheFresh = await isCacheFresh(req.account.athleteId);
+      const timestamp = await getCacheTimestamp(req.account.athleteId);
       const hasCache = timestamp !== null;
       
       // Check if we have any cached data
@@ -493,17 +1156,16 @@ async function startServer() {
       let hasSleep = false;
       let hasReadiness = false;
       
-      if (redisDataClient) {
-        const activities = await getCachedData(req.sessionID, 'strava:activities');
-        const sleep = await getCachedData(req.sessionID, 'oura:sleep');
-        const readiness = await getCachedData(req.sessionID, 'oura:readiness');
-        
-        hasActivities = activities !== null && Array.isArray(activities) && activities.length > 0;
-        hasSleep = sleep !== null && Array.isArray(sleep) && sleep.length > 0;
-        hasReadiness = readiness !== null && Array.isArray(readiness) && readiness.length > 0;
-      }
+      const activities = await getCachedData(req.account.athleteId, 'strava:activities');
+      const sleep = await getCachedData(req.account.athleteId, 'oura:sleep');
+      const readiness = await getCachedData(req.account.athleteId, 'oura:readiness');
+      
+      hasActivities = activities !== null && Array.isArray(activities) && activities.length > 0;
+      hasSleep = sleep !== null && Array.isArray(sleep) && sleep.length > 0;
+      hasReadiness = readiness !== null && Array.isArray(readiness) && readiness.length > 0;
       
       const cacheComplete = hasActivities && hasSleep && hasReadiness;
+      const syncError = await getCachedData(req.account.athleteId, 'sync:error');
       
       res.json({
         syncing: !cacheComplete && hasCache, // Cache exists but incomplete (sync in progress)
@@ -513,7 +1175,10 @@ async function startServer() {
         cacheComplete: cacheComplete,
         hasActivities: hasActivities,
         hasSleep: hasSleep,
-        hasReadiness: hasReadiness
+        hasReadiness: hasReadiness,
+        syncError: syncError, // Last failed sync ({ code, provider, message, retryAfter, failedAt }), if any
+        progress: syncProgress.get(req.account.athleteId) || null, // Latest event of the running sync
+        rateLimits: { strava: getRateLimitStatus('strava') }
       });
     } catch (error) {
       console.error('[CACHE] [ERROR] Failed to check cache status:', error);
@@ -525,18 +1190,67 @@ async function startServer() {
         cacheComplete: false,
         hasActivities: false,
         hasSleep: false,
-        hasReadiness: false
+        hasReadiness: false,
+        syncError: null,
+        progress: null,
+        rateLimits: { strava: getRateLimitStatus('strava') }
       });
     }
   });
 
-  // Logout
+  // Stream sync progress as Server-Sent Events. The first event is a 'status' snapshot
+  // (whether a sync is running or the cache is already complete); sync events follow
+  // as they happen.
+  app.get("/sync/events", requireAuth, async (req, res) => {
+    const athleteId = req.account.athleteId;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = event => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    // Subscribe before reading the cache so no event slips in between
+    syncEvents.on(String(athleteId), send);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25 * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      syncEvents.off(String(athleteId), send);
+    });
+
+    try {
+      const [cacheFresh, activities, sleep, readiness, syncError] = await Promise.all([
+        isCacheFresh(athleteId),
+        getCachedData(athleteId, 'strava:activities'),
+        getCachedData(athleteId, 'oura:sleep'),
+        getCachedData(athleteId, 'oura:readiness'),
+        getCachedData(athleteId, 'sync:error')
+      ]);
+      const cacheComplete = [activities, sleep, readiness].every(list => Array.isArray(list) && list.length > 0);
+      const syncing = activeSyncs.has(athleteId);
+
+      send({
+        stage: 'status',
+        syncing,
+        synced: cacheComplete && cacheFresh,
+        cacheComplete,
+        syncError: syncing ? null : syncError,
+        progress: syncProgress.get(athleteId) || null
+      });
+    } catch (error) {
+      console.error('[SYNC] [ERROR] Failed to read sync status for event stream:', error);
+      send({ stage: 'status', syncing: activeSyncs.has(athleteId), synced: false, cacheComplete: false, syncError: null, progress: null });
+    }
+  });
+
+  // Logout (the account and its cached data stay for the next sign-in)
   app.get("/auth/logout", async (req, res) => {
-    const sessionId = req.sessionID;
-    
-    // Clear cache for this session
-    if (sessionId) {
-      await clearCache(sessionId);
+    if (req.session.athleteId) {
+      await removeAthleteSession(req.session.athleteId, req.sessionID);
     }
     
     req.session.destroy((err) => {
@@ -550,123 +1264,522 @@ async function startServer() {
   });
 
   /* =========================
-     DATA ROUTES
+     ACCOUNT SETTINGS
   ========================= */
 
-  app.get("/data", requireAuth, async (req, res) => {
-    console.log("[API] /data endpoint hit");
+  // Dashboard settings stored on the account so they follow the athlete across devices
+  const ACCOUNT_SETTINGS_KEYS = ['goals', 'yearlyPlan', 'trainingLoad'];
+
+  app.get("/account/settings", requireAuth, (req, res) => {
+    const settings = req.account.settings || {};
+    res.json(Object.fromEntries(ACCOUNT_SETTINGS_KEYS.map(key => [key, settings[key] ?? null])));
+  });
+
+  // Update any of the settings in the body; each must be an object, or null to clear it
+  app.put("/account/settings", requireAuth, async (req, res) => {
+    const updates = Object.entries(req.body || {}).filter(([key]) => ACCOUNT_SETTINGS_KEYS.includes(key));
+    const invalid = updates.find(([, value]) => value !== null && (typeof value !== 'object' || Array.isArray(value)));
+
+    if (updates.length === 0 || invalid) {
+      return res.status(400).json({
+        error: invalid ? `Invalid value for ${invalid[0]}` : `Expected one of: ${ACCOUNT_SETTINGS_KEYS.join(', ')}`
+      });
+    }
 
     try {
-      const startDate = req.query.startDate || "2025-12-01";
-      const endDate = req.query.endDate || "2025-12-31";
-      
-      console.log(`Fetching data for range: ${startDate} to ${endDate}`);
+      const account = await accounts.updateAccount(req.account.athleteId, account => {
+        account.settings = { ...account.settings, ...Object.fromEntries(updates) };
+      });
+      res.json(Object.fromEntries(ACCOUNT_SETTINGS_KEYS.map(key => [key, account.settings[key] ?? null])));
+    } catch (error) {
+      console.error("[ERROR] /account/settings error:", error);
+      res.status(500).json({ error: "Failed to save settings" });
+    }
+  });
 
-      // Check cache first
-      const cacheFresh = await isCacheFresh(req.sessionID);
-      let merged = null;
+  /* =========================
+     PERSONAL ACCESS TOKENS
+  ========================= */
 
-      if (cacheFresh && redisDataClient) {
-        console.log('[CACHE] [INFO] Cache is fresh, attempting to use cached data...');
-        
-        // Try to get cached data
-        const [cachedActivities, cachedSleep, cachedReadiness] = await Promise.all([
-          getCachedData(req.sessionID, 'strava:activities'),
-          getCachedData(req.sessionID, 'oura:sleep'),
-          getCachedData(req.sessionID, 'oura:readiness')
-        ]);
-
-        if (cachedActivities !== null && cachedSleep !== null && cachedReadiness !== null) {
-          console.log('[CACHE] [HIT] Using cached data for all sources');
-          
-          // Reconstruct merged data structure from cache (matching mergeData output)
-          merged = {};
-          
-          // First, add all dates in the requested range to ensure we have entries for all dates
-          const allDatesInRange = [];
-          const start = new Date(startDate);
-          const end = new Date(endDate);
-          for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            const dateStr = d.toISOString().split('T')[0];
-            allDatesInRange.push(dateStr);
-            merged[dateStr] = { runs: [], sleep: null, readiness: null };
-          }
-          
-          // Add sleep data (filter by date range)
-          cachedSleep.forEach(s => {
-            if (s.date >= startDate && s.date <= endDate) {
-              if (!merged[s.date]) {
-                merged[s.date] = { runs: [], sleep: null, readiness: null };
-              }
-              merged[s.date].sleep = {
-                total: s.total > 0 ? s.total : null,
-                rem: s.rem > 0 ? s.rem : null,
-                deep: s.deep > 0 ? s.deep : null,
-                light: s.light > 0 ? s.light : null,
-                score: s.score ?? null
-              };
-            }
-          });
-          
-          // Add readiness data (filter by date range)
-          cachedReadiness.forEach(r => {
-            if (r.date >= startDate && r.date <= endDate) {
-              if (!merged[r.date]) {
-                merged[r.date] = { runs: [], sleep: null, readiness: null };
-              }
-              merged[r.date].readiness = {
-                score: r.score ?? null
-              };
-            }
-          });
-          
-          // Add Strava activities (filter by date range)
-          cachedActivities.forEach(activity => {
-            const activityDate = activity.date;
-            if (activityDate >= startDate && activityDate <= endDate) {
-              if (!merged[activityDate]) {
-                merged[activityDate] = { runs: [], sleep: null, readiness: null };
-              }
-              merged[activityDate].runs.push(activity);
-            }
-          });
-          
-          console.log(`[CACHE] [INFO] Reconstructed merged data for ${Object.keys(merged).length} dates from cache`);
-        } else {
-          console.log('[CACHE] [MISS] Cache incomplete, will fetch from APIs');
+  // Managed from a signed-in session only (requireAuth turns tokens away)
+  app.get("/account/tokens", requireAuth, async (req, res) => {
+    try {
+      res.json({ tokens: await personalTokens.listTokens(req.account.athleteId), scopes: TOKEN_SCOPES });
+    } catch (error) {
+      console.error("[ERROR] /account/tokens error:", error);
+      res.status(500).json({ error: "Failed to list access tokens" });
+    }
+  });
+
+  // Create a token: { name, scopes } (scopes default to all of them). The response
+  // holds the token itself, which can't be retrieved again.
+  app.post("/account/tokens", requireAuth, async (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    const scopes = req.body?.scopes ?? Object.keys(TOKEN_SCOPES);
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ error: 'Name must be 1-100 characters' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !Object.hasOwn(TOKEN_SCOPES, scope))) {
+      return res.status(400).json({ error: `Scopes must be a non-empty list of: ${Object.keys(TOKEN_SCOPES).join(', ')}` });
+    }
+
+    try {
+      const existing = await personalTokens.listTokens(req.account.athleteId);
+      if (existing.length >= MAX_TOKENS_PER_ATHLETE) {
+        return res.status(409).json({ error: `You can have at most ${MAX_TOKENS_PER_ATHLETE} access tokens; revoke one first` });
+      }
+
+      const token = await personalTokens.createToken(req.account.athleteId, { name, scopes: [...new Set(scopes)] });
+      console.log(`[TOKENS] [INFO] Created access token ${token.id} for athlete ${req.account.athleteId}`);
+      res.status(201).json(token);
+    } catch (error) {
+      console.error("[ERROR] /account/tokens error:", error);
+      res.status(500).json({ error: "Failed to create access token" });
+    }
+  });
+
+  app.delete("/account/tokens/:id", requireAuth, async (req, res) => {
+    try {
+      const revoked = await personalTokens.revokeToken(req.account.athleteId, req.params.id);
+      if (!revoked) {
+        return res.status(404).json({ error: "Access token not found" });
+      }
+      console.log(`[TOKENS] [INFO] Revoked access token ${req.params.id} for athlete ${req.account.athleteId}`);
+      res.status(204).end();
+    } catch (error) {
+      console.error("[ERROR] /account/tokens error:", error);
+      res.status(500).json({ error: "Failed to revoke access token" });
+    }
+  });
+
+  /* =========================
+     ACCOUNT EXPORT & DELETION
+  ========================= */
+
+  // Stored data types and the archive file each one is exported to
+  const ACCOUNT_ARCHIVE_FILES = {
+    'strava:activities': 'strava-activities.json',
+    'oura:sleep': 'oura-sleep.json',
+    'oura:readiness': 'oura-readiness.json',
+    'oura:activity': 'oura-daily-activity.json'
+  };
+
+  // Everything stored about the athlete as a zip of JSON files. OAuth tokens and
+  // personal access token hashes are left out.
+  app.get("/account/export", requireAuth, async (req, res) => {
+    const { athleteId } = req.account;
+
+    try {
+      const { ouraUserId, profile, settings, createdAt, updatedAt } = req.account;
+      const syncedAt = await getCacheTimestamp(athleteId);
+      const exportedAt = new Date().toISOString();
+      const files = [
+        {
+          name: 'account.json',
+          content: JSON.stringify({
+            athleteId,
+            ouraUserId,
+            profile,
+            settings,
+            createdAt,
+            updatedAt,
+            lastSyncedAt: syncedAt ? new Date(syncedAt * 1000).toISOString() : null,
+            exportedAt
+          }, null, 2)
+        },
+        { name: 'access-tokens.json', content: JSON.stringify(await personalTokens.listTokens(athleteId), null, 2) }
+      ];
+
+      for (const [dataType, name] of Object.entries(ACCOUNT_ARCHIVE_FILES)) {
+        files.push({ name, content: JSON.stringify((await getCachedData(athleteId, dataType)) || [], null, 2) });
+      }
+
+      console.log(`[ACCOUNT] [INFO] Exported account archive for athlete ${athleteId}`);
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="athletesignal-account-${athleteId}-${exportedAt.split('T')[0]}.zip"`);
+      res.send(createZip(files));
+    } catch (error) {
+      console.error("[ERROR] /account/export error:", error);
+      res.status(500).json({ error: "Failed to export account data" });
+    }
+  });
+
+  // Delete the account: revoke Strava and Oura access, purge stored and cached data and
+  // personal access tokens, and sign out every session. Body: { confirm: "DELETE" }.
+  // Upstream revocation is best effort; the response says which succeeded so the athlete
+  // can revoke the rest from Strava or Oura.
+  app.delete("/account", requireAuth, async (req, res) => {
+    if (req.body?.confirm !== 'DELETE') {
+      return res.status(400).json({ error: 'Confirm deletion with { "confirm": "DELETE" }' });
+    }
+
+    const account = req.account;
+    const athleteId = account.athleteId;
+    const revoked = { strava: false, oura: false };
+    console.log(`[ACCOUNT] [INFO] Deleting account for athlete ${athleteId}`);
+
+    try {
+      revoked.strava = await revokeStravaAccess(account.stravaTokens);
+    } catch (error) {
+      console.error(`[ACCOUNT] [WARNING] Could not revoke Strava access for athlete ${athleteId}:`, error.message);
+    }
+    try {
+      revoked.oura = await revokeOuraAccess(account.ouraToken);
+    } catch (error) {
+      console.error(`[ACCOUNT] [WARNING] Could not revoke Oura access for athlete ${athleteId}:`, error.message);
+    }
+
+    try {
+      // A running sync would write data back after the purge; it fails fast once access is revoked
+      await activeSyncs.get(athleteId)?.catch(() => {});
+
+      if (!(await purgeAthleteData(athleteId))) {
+        throw new Error('Failed to purge stored data');
+      }
+      await personalTokens.revokeAllTokens(athleteId);
+      await accounts.deleteAccount(athleteId);
+
+      const sessionIds = await getAthleteSessionIds(athleteId);
+      for (const sessionId of sessionIds) {
+        if (sessionId === req.sessionID) continue;
+        await destroyStoredSession(sessionId);
+        await removeAthleteSession(athleteId, sessionId);
+      }
+      await removeAthleteSession(athleteId, req.sessionID);
+    } catch (error) {
+      console.error("[ERROR] /account delete error:", error);
+      return res.status(500).json({ error: "Failed to delete account data; please try again" });
+    }
+
+    req.session.destroy((err) => {
+      if (err) {
+        console.error('[ERROR] Session destroy error:', err);
+      }
+      console.log(`[ACCOUNT] [INFO] Deleted account for athlete ${athleteId} (Strava revoked: ${revoked.strava}, Oura revoked: ${revoked.oura})`);
+      res.clearCookie('connect.sid');
+      res.json({ deleted: true, revoked });
+    });
+  });
+
+  /* =========================
+     STRAVA WEBHOOKS
+  ========================= */
+
+  // Apply a Strava push event to the athlete's account and cached activities
+  async function handleStravaWebhookEvent(event) {
+    const account = await accounts.getAccount(event.ownerId);
+
+    if (!account) {
+      console.log(`[WEBHOOK] [INFO] No account for athlete ${event.ownerId}, ignoring ${event.objectType} ${event.aspectType}`);
+      return;
+    }
+
+    // Athlete revoked access: drop cached data and Strava tokens, sign out every session
+    // and revoke their personal access tokens. Only once Strava confirms it, since
+    // anyone can post an event.
+    if (isDeauthorizationEvent(event)) {
+      if (!account.stravaTokens) {
+        console.log(`[WEBHOOK] [INFO] Athlete ${event.ownerId} has no Strava tokens, ignoring deauthorization`);
+        return;
+      }
+      if (!(await isStravaAccessRevoked(account.stravaTokens, { onTokenRefresh: createTokenPersister(event.ownerId) }))) {
+        console.log(`[WEBHOOK] [WARNING] Ignoring deauthorization for athlete ${event.ownerId}: Strava still accepts their token`);
+        return;
+      }
+
+      await accounts.updateAccount(event.ownerId, account => {
+        account.stravaTokens = null;
+      }, { create: false });
+
+      // A running sync would write data back after the purge; it fails fast now that
+      // access is revoked
+      await activeSyncs.get(event.ownerId)?.catch(() => {});
+      if (!(await purgeAthleteData(event.ownerId))) {
+        console.error(`[WEBHOOK] [ERROR] Failed to delete stored data for deauthorized athlete ${event.ownerId}`);
+      }
+      await personalTokens.revokeAllTokens(event.ownerId);
+
+      const sessionIds = await getAthleteSessionIds(event.ownerId);
+      for (const sessionId of sessionIds) {
+        await destroyStoredSession(sessionId);
+        await removeAthleteSession(event.ownerId, sessionId);
+      }
+      console.log(`[WEBHOOK] [INFO] Athlete ${event.ownerId} deauthorized, signed out ${sessionIds.length} session(s)`);
+      return;
+    }
+
+    if (event.objectType !== 'activity' || !account.stravaTokens) {
+      return;
+    }
+
+    // Deletes are checked too: the activity must be gone from Strava before it's dropped
+    const activity = await getStravaActivity(account.stravaTokens, event.objectId, {
+      onTokenRefresh: createTokenPersister(event.ownerId)
+    });
+    if (event.aspectType === 'delete' && activity) {
+      console.log(`[WEBHOOK] [WARNING] Ignoring delete of activity ${event.objectId}: it still exists on Strava`);
+      return;
+    }
+
+    // Cached detail (splits, laps, streams) is refetched on next view
+    await deleteCachedData(event.ownerId, `strava:activity:${event.objectId}`);
+
+    const cachedActivities = await getCachedData(event.ownerId, 'strava:activities');
+    if (cachedActivities === null) {
+      // Nothing cached yet; the next sync will pick the activity up
+      return;
+    }
+
+    await setCachedData(event.ownerId, 'strava:activities', applyActivityEvent(cachedActivities, event, activity));
+    console.log(`[WEBHOOK] [SUCCESS] Applied activity ${event.objectId} ${event.aspectType} for athlete ${event.ownerId}`);
+  }
+
+  // Subscription validation (Strava calls this once when the subscription is created)
+  app.get("/webhooks/strava", (req, res) => {
+    const challenge = verifyStravaSubscription(req.query, process.env.STRAVA_WEBHOOK_VERIFY_TOKEN);
+
+    if (!challenge) {
+      return res.status(403).json({ error: "Webhook verification failed" });
+    }
+
+    console.log('[WEBHOOK] [SUCCESS] Strava subscription verified');
+    res.json({ "hub.challenge": challenge });
+  });
+
+  // Event delivery. Without our subscription ID there is nothing to check senders
+  // against, so events aren't accepted at all.
+  const webhookSubscriptionId = process.env.STRAVA_WEBHOOK_SUBSCRIPTION_ID;
+  if (webhookSubscriptionId) {
+    app.post("/webhooks/strava", (req, res) => {
+      const event = parseStravaWebhookEvent(req.body, webhookSubscriptionId);
+
+      if (!event) {
+        return res.status(400).json({ error: "Invalid webhook event" });
+      }
+
+      console.log(`[WEBHOOK] [INFO] Received ${event.objectType} ${event.aspectType} event for ${event.objectId} (athlete ${event.ownerId})`);
+
+      // Strava expects a 200 within two seconds, so acknowledge before processing
+      res.status(200).json({ received: true });
+
+      handleStravaWebhookEvent(event)
+        .catch(err => console.error('[WEBHOOK] [ERROR] Failed to process event:', err.message));
+    });
+  } else {
+    console.log('[WEBHOOK] [WARNING] STRAVA_WEBHOOK_SUBSCRIPTION_ID not set, not accepting Strava webhook events');
+  }
+
+  /* =========================
+     DATA ROUTES
+  ========================= */
+
+  // Reconstruct merged data structure from cache (matching mergeData output)
+  function buildMergedFromCache(startDate, endDate, cachedActivities, cachedSleep, cachedReadiness, cachedDailyActivity = []) {
+    const merged = {};
+    
+    // First, add all dates in the requested range to ensure we have entries for all dates
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+      const dateStr = d.toISOString().split('T')[0];
+      merged[dateStr] = { runs: [], sleep: null, readiness: null, activity: null };
+    }
+    
+    // Add sleep data (filter by date range)
+    cachedSleep.forEach(s => {
+      if (s.date >= startDate && s.date <= endDate) {
+        if (!merged[s.date]) {
+          merged[s.date] = { runs: [], sleep: null, readiness: null, activity: null };
         }
-      } else {
-        console.log('[CACHE] [MISS] Cache not fresh or Redis unavailable, fetching from APIs');
+        merged[s.date].sleep = {
+          total: s.total > 0 ? s.total : null,
+          rem: s.rem > 0 ? s.rem : null,
+          deep: s.deep > 0 ? s.deep : null,
+          light: s.light > 0 ? s.light : null,
+          score: s.score ?? null,
+          ...getMainSessionDetails(s)
+        };
       }
+    });
+    
+    // Add readiness data (filter by date range)
+    cachedReadiness.forEach(r => {
+      if (r.date >= startDate && r.date <= endDate) {
+        if (!merged[r.date]) {
+          merged[r.date] = { runs: [], sleep: null, readiness: null, activity: null };
+        }
+        merged[r.date].readiness = {
+          score: r.score ?? null,
+          contributors: r.contributors ?? null,
+          temperatureDeviation: r.temperatureDeviation ?? null,
+          temperatureTrendDeviation: r.temperatureTrendDeviation ?? null
+        };
+      }
+    });
+    
+    // Add Oura daily activity (filter by date range)
+    cachedDailyActivity.forEach(a => {
+      if (a.date >= startDate && a.date <= endDate) {
+        if (!merged[a.date]) {
+          merged[a.date] = { runs: [], sleep: null, readiness: null, activity: null };
+        }
+        const { date, ...activity } = a;
+        merged[a.date].activity = activity;
+      }
+    });
+    
+    // Add Strava activities (filter by date range)
+    cachedActivities.forEach(activity => {
+      const activityDate = activity.date;
+      if (activityDate >= startDate && activityDate <= endDate) {
+        if (!merged[activityDate]) {
+          merged[activityDate] = { runs: [], sleep: null, readiness: null, activity: null };
+        }
+        merged[activityDate].runs.push(activity);
+      }
+    });
+    
+    return merged;
+  }
 
-      // If cache miss, fetch from APIs
-      if (!merged) {
-        console.log('[API] [INFO] Fetching data from Strava and Oura APIs...');
-        const mergeData = createMergeDataFunction(
-          req.session.stravaTokens,
-          req.session.ouraToken.accessToken
-        );
-        
-        // Fetch with a wider date range to populate cache
-        const cacheEndDate = new Date().toISOString().split('T')[0];
-        const cacheStartDate = new Date();
-        cacheStartDate.setFullYear(cacheStartDate.getFullYear() - 2);
-        const historicalStartDate = cacheStartDate.toISOString().split('T')[0];
-        
-        const allMerged = await mergeData(historicalStartDate, cacheEndDate);
-        
-        // Filter to requested date range for response
-        merged = {};
-        Object.entries(allMerged).forEach(([date, value]) => {
-          if (date >= startDate && date <= endDate) {
-            merged[date] = value;
-          }
-        });
+  // Bring a stale cache up to date before a read. Returns whether the cache can be read.
+  // With a complete history an incremental sync is quick, so the request waits for it.
+  // Without one (first load, or an interrupted full sync) the full sync runs in the
+  // background and the caller fetches just the requested range live.
+  async function refreshCachedHistory(account) {
+    const { athleteId } = account;
+    const [fresh, history] = await Promise.all([
+      isCacheFresh(athleteId),
+      getCachedData(athleteId, 'strava:history')
+    ]);
+    const hasHistory = Boolean(history?.complete && history.allActivityTypes);
+    if (fresh && hasHistory) return true;
+
+    const sync = syncUserDataToCache(athleteId, account.stravaTokens, account.ouraToken, {
+      mode: 'incremental',
+      onTokenRefresh: createTokenPersister(athleteId)
+    });
+
+    if (!hasHistory) {
+      console.log('[CACHE] [MISS] No complete history yet, syncing in the background');
+      return false;
+    }
+
+    console.log('[CACHE] [MISS] Cache not fresh, running incremental sync...');
+    await sync;
+    return true;
+  }
+
+  // The athlete's merged days (runs, sleep, readiness, activity) for a date range.
+  // Brings the stored history up to date first: stale or missing data gets an incremental
+  // sync (which falls back to a full sync the first time), not a two-year refetch
+  async function loadMergedHistory(account, startDate, endDate) {
+    const useCache = await refreshCachedHistory(account);
+
+    // Read the athlete's history (Redis hot copy, else the history database)
+    const [cachedActivities, cachedSleep, cachedReadiness, cachedDailyActivity] = useCache ? await Promise.all([
+      getCachedData(account.athleteId, 'strava:activities'),
+      getCachedData(account.athleteId, 'oura:sleep'),
+      getCachedData(account.athleteId, 'oura:readiness'),
+      getCachedData(account.athleteId, 'oura:activity')
+    ]) : [];
+
+    if (useCache && cachedActivities !== null && cachedSleep !== null && cachedReadiness !== null) {
+      console.log('[CACHE] [HIT] Using cached data for all sources');
+      const merged = buildMergedFromCache(startDate, endDate, cachedActivities, cachedSleep, cachedReadiness, cachedDailyActivity || []);
+      console.log(`[CACHE] [INFO] Reconstructed merged data for ${Object.keys(merged).length} dates from cache`);
+      return merged;
+    }
+
+    // Without a usable cache, fetch just the requested range live
+    console.log('[CACHE] [MISS] Cache not ready, fetching from Strava and Oura APIs...');
+    const mergeData = createMergeDataFunction(
+      account.stravaTokens,
+      account.ouraToken,
+      { onTokenRefresh: createTokenPersister(account.athleteId) }
+    );
+    return mergeData(startDate, endDate);
+  }
+
+  // One entry per date from startDate to endDate (inclusive), with the merged data
+  // for that date and its activities matching the sport filter
+  function buildDays(mergedByDate, startDate, endDate, matchesSport) {
+    const days = [];
+    const end = new Date(endDate);
+
+    for (let d = new Date(startDate); d <= end; d.setDate(d.getDate() + 1)) {
+      const date = d.toISOString().split('T')[0];
+      const value = mergedByDate.get(date) || { runs: [], sleep: null, readiness: null, activity: null };
+      days.push({ ...value, date, activities: value.runs.filter(matchesSport) });
+    }
 
-        // Cache the full dataset in background (don't await)
-        syncUserDataToCache(req.sessionID, req.session.stravaTokens, req.session.ouraToken)
-          .catch(err => console.error('[CACHE] [ERROR] Background cache update failed:', err.message));
+    return days;
+  }
+
+  // A day from buildDays as /data reports it
+  function formatDayRow(value) {
+    const { date, activities } = value;
+    const summary = summarizeActivities(activities);
+
+    return {
+      date,
+      distance: summary.distance,
+      movingTime: summary.movingTime, // seconds
+      activityCount: summary.activityCount,
+      bySport: summary.bySport, // per-sport breakdown (e.g. for stacked mileage charts)
+      sleep: value.sleep && value.sleep.total ? formatSeconds(value.sleep.total) : null,
+      light: value.sleep && value.sleep.light ? formatSeconds(value.sleep.light) : null,
+      rem: value.sleep && value.sleep.rem ? formatSeconds(value.sleep.rem) : null,
+      deep: value.sleep && value.sleep.deep ? formatSeconds(value.sleep.deep) : null,
+      sleepScore: value.sleep ? value.sleep.score : null,
+      hrv: value.sleep?.averageHrv ?? null,
+      restingHeartRate: value.sleep?.lowestHeartRate ?? null,
+      sleepHeartRate: value.sleep?.averageHeartRate ?? null,
+      respiratoryRate: value.sleep?.respiratoryRate ?? null,
+      sleepEfficiency: value.sleep?.efficiency ?? null,
+      sleepLatency: value.sleep?.latency != null ? Math.round(value.sleep.latency / 60) : null,
+      bedtimeStart: value.sleep?.bedtimeStart ?? null,
+      bedtimeEnd: value.sleep?.bedtimeEnd ?? null,
+      readinessScore: value.readiness ? value.readiness.score : null,
+      readinessContributors: value.readiness?.contributors ?? null,
+      temperatureDeviation: value.readiness?.temperatureDeviation ?? null,
+      temperatureTrendDeviation: value.readiness?.temperatureTrendDeviation ?? null,
+      steps: value.activity?.steps ?? null,
+      activeCalories: value.activity?.activeCalories ?? null,
+      totalCalories: value.activity?.totalCalories ?? null,
+      activityScore: value.activity?.score ?? null,
+      highActivityMinutes: value.activity?.highActivityTime != null ? Math.round(value.activity.highActivityTime / 60) : null,
+      mediumActivityMinutes: value.activity?.mediumActivityTime != null ? Math.round(value.activity.mediumActivityTime / 60) : null,
+      lowActivityMinutes: value.activity?.lowActivityTime != null ? Math.round(value.activity.lowActivityTime / 60) : null,
+      inactivityAlerts: value.activity?.inactivityAlerts ?? null,
+      pace: summary.pace,
+      averageHeartrate: summary.averageHeartrate,
+      maxHeartrate: summary.maxHeartrate,
+      cadence: summary.cadence
+    };
+  }
+
+  app.get("/data", requireReadAccess('read:summaries'), async (req, res) => {
+    console.log("[API] /data endpoint hit");
+
+    try {
+      const startDate = req.query.startDate || "2025-12-01";
+      const endDate = req.query.endDate || "2025-12-31";
+      const matchesSport = parseSportFilter(req.query.sport);
+      const granularity = (req.query.granularity || 'day').toLowerCase();
+      const weekStart = parseWeekStart(req.query.weekStart);
+
+      if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({ error: `Invalid granularity, expected one of: ${GRANULARITIES.join(', ')}` });
       }
+      if (weekStart === undefined) {
+        return res.status(400).json({ error: `Invalid weekStart, expected one of: ${Object.keys(WEEK_START_DAYS).join(', ')}` });
+      }
+      
+      console.log(`Fetching data for range: ${startDate} to ${endDate} (sport: ${req.query.sport || 'run'}, granularity: ${granularity})`);
+
+      const merged = await loadMergedHistory(req.account, startDate, endDate);
 
       // Get all available dates for debugging
       const allDates = Object.keys(merged).sort();
@@ -681,105 +1794,24 @@ async function startServer() {
             console.log(`Date ${date} excluded: ${date} > ${endDate}?`);
           }
           if (included && value.runs && value.runs.length > 0) {
-            console.log(`Date ${date} included with ${value.runs.length} run(s), total distance: ${value.runs.reduce((sum, r) => sum + r.distance, 0) / 1609.34} miles`);
+            console.log(`Date ${date} included with ${value.runs.length} activities, total distance: ${value.runs.reduce((sum, r) => sum + r.distance, 0) / 1609.34} miles`);
           }
           return included;
         });
       
       console.log(`Filtered to ${filtered.length} dates`);
       
-      const filteredMap = new Map(filtered);
-      
-      // Generate all dates in the range and ensure each has an entry
-      const allDatesInRange = [];
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toISOString().split('T')[0];
-        allDatesInRange.push(dateStr);
+      const days = buildDays(new Map(filtered), startDate, endDate, matchesSport);
+      console.log(`Generated ${days.length} dates in range ${startDate} to ${endDate}`);
+
+      // Week/month/year totals and averages instead of one row per day
+      if (granularity !== 'day') {
+        const periods = aggregateByPeriod(days, { granularity, weekStart });
+        console.log(`Aggregated ${days.length} days into ${periods.length} ${granularity} periods`);
+        return res.json(periods);
       }
-      
-      console.log(`Generated ${allDatesInRange.length} dates in range ${startDate} to ${endDate}`);
-      console.log(`Last date in range: ${allDatesInRange[allDatesInRange.length - 1]}`);
-      
-      const mapped = allDatesInRange.map(date => {
-        const value = filteredMap.get(date) || { runs: [], sleep: null, readiness: null };
-        
-        const totalMeters = value.runs && value.runs.length
-          ? value.runs.reduce((sum, r) => sum + r.distance, 0)
-          : 0;
-        
-        const distanceMiles = +(totalMeters / 1609.34).toFixed(2);
-        
-        const runsWithPace = value.runs.filter(r => r.pace !== null && r.pace > 0);
-        const runsWithHR = value.runs.filter(r => r.averageHeartrate !== null);
-        
-        let avgPace = null;
-        if (runsWithPace.length > 0) {
-          let totalWeightedPace = 0;
-          let totalDistance = 0;
-          runsWithPace.forEach(r => {
-            totalWeightedPace += r.pace * r.distance;
-            totalDistance += r.distance;
-          });
-          if (totalDistance > 0) {
-            avgPace = +(totalWeightedPace / totalDistance).toFixed(2);
-          }
-        }
-        
-        let avgHeartrate = null;
-        if (runsWithHR.length > 0) {
-          let totalWeightedHR = 0;
-          let totalDistance = 0;
-          runsWithHR.forEach(r => {
-            totalWeightedHR += r.averageHeartrate * r.distance;
-            totalDistance += r.distance;
-          });
-          if (totalDistance > 0) {
-            avgHeartrate = Math.round(totalWeightedHR / totalDistance);
-          }
-        }
-        
-        let maxHeartrate = null;
-        if (value.runs && value.runs.length > 0) {
-          const maxHRs = value.runs
-            .map(r => r.maxHeartrate)
-            .filter(hr => hr !== null && hr > 0);
-          if (maxHRs.length > 0) {
-            maxHeartrate = Math.max(...maxHRs);
-          }
-        }
-        
-        const runsWithCadence = value.runs.filter(r => r.cadence !== null && r.cadence > 0);
-        let avgCadence = null;
-        if (runsWithCadence.length > 0) {
-          let totalWeightedCadence = 0;
-          let totalDistance = 0;
-          runsWithCadence.forEach(r => {
-            totalWeightedCadence += r.cadence * r.distance;
-            totalDistance += r.distance;
-          });
-          if (totalDistance > 0) {
-            avgCadence = Math.round(totalWeightedCadence / totalDistance);
-          }
-        }
 
-        return {
-          date,
-          distance: distanceMiles,
-          sleep: value.sleep && value.sleep.total ? formatSeconds(value.sleep.total) : null,
-          light: value.sleep && value.sleep.light ? formatSeconds(value.sleep.light) : null,
-          rem: value.sleep && value.sleep.rem ? formatSeconds(value.sleep.rem) : null,
-          deep: value.sleep && value.sleep.deep ? formatSeconds(value.sleep.deep) : null,
-          sleepScore: value.sleep ? value.sleep.score : null,
-          readinessScore: value.readiness ? value.readiness.score : null,
-          pace: avgPace,
-          averageHeartrate: avgHeartrate,
-          maxHeartrate: maxHeartrate,
-          cadence: avgCadence
-        };
-      });
+      const mapped = days.map(formatDayRow);
 
       console.log(`Final mapped data: ${mapped.length} entries`);
       console.log(`Last entry date: ${mapped[mapped.length - 1].date}, distance: ${mapped[mapped.length - 1].distance}`);
@@ -787,25 +1819,285 @@ async function startServer() {
       return res.json(mapped);
     } catch (err) {
       console.error("[ERROR] /data error:", err);
-      return res.status(500).json({ error: "Failed to fetch data" });
+      return sendApiError(res, err, "Failed to fetch data");
+    }
+  });
+
+  // Everything the dashboard loads at once, from one pass over the history: the selected
+  // range's daily rows and weekly totals, plus the current week and month (goals) and
+  // every week of the current year so far (yearly planner). `today` is the browser's
+  // local date, since "this week" depends on the athlete's timezone.
+  app.get("/data/summary", requireReadAccess('read:summaries'), async (req, res) => {
+    console.log("[API] /data/summary endpoint hit");
+
+    try {
+      const { startDate, endDate } = req.query;
+      const today = req.query.today || new Date().toISOString().split('T')[0];
+      const matchesSport = parseSportFilter(req.query.sport);
+      const weekStart = parseWeekStart(req.query.weekStart);
+
+      const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+      if (!isDate(startDate) || !isDate(endDate) || !isDate(today)) {
+        return res.status(400).json({ error: 'startDate, endDate and today must be YYYY-MM-DD dates' });
+      }
+      if (weekStart === undefined) {
+        return res.status(400).json({ error: `Invalid weekStart, expected one of: ${Object.keys(WEEK_START_DAYS).join(', ')}` });
+      }
+
+      // Six days back always reaches the start of the current week
+      const weekAgo = new Date(`${today}T00:00:00Z`);
+      weekAgo.setUTCDate(weekAgo.getUTCDate() - 6);
+      const weekAgoDate = weekAgo.toISOString().split('T')[0];
+      const monthStart = `${today.slice(0, 7)}-01`;
+      const yearStart = `${today.slice(0, 4)}-01-01`;
+
+      const rangeStart = [startDate, weekAgoDate, yearStart].sort()[0];
+      const rangeEnd = [endDate, today].sort()[1];
+      console.log(`Fetching dashboard data for ${startDate} to ${endDate} (today: ${today}, loading ${rangeStart} to ${rangeEnd})`);
+
+      const merged = await loadMergedHistory(req.account, rangeStart, rangeEnd);
+      const allDays = buildDays(new Map(Object.entries(merged)), rangeStart, rangeEnd, matchesSport);
+      const between = (from, to) => allDays.filter(day => day.date >= from && day.date <= to);
+      const lastPeriod = (from, granularity) => aggregateByPeriod(between(from, today), { granularity, weekStart }).pop() || null;
+
+      const days = between(startDate, endDate);
+      return res.json({
+        days: days.map(formatDayRow),
+        weeks: aggregateByPeriod(days, { granularity: 'week', weekStart }),
+        currentWeek: lastPeriod(weekAgoDate, 'week'),
+        currentMonth: lastPeriod(monthStart, 'month'),
+        yearWeeks: aggregateByPeriod(between(yearStart, today), { granularity: 'week', weekStart })
+      });
+    } catch (err) {
+      console.error("[ERROR] /data/summary error:", err);
+      return sendApiError(res, err, "Failed to fetch data");
+    }
+  });
+
+  /* =========================
+     RUN ROUTES
+  ========================= */
+
+  const METERS_PER_MILE = 1609.34;
+
+  const toMiles = (meters, digits = 2) => meters == null ? null : +(meters / METERS_PER_MILE).toFixed(digits);
+
+  // Public shape of one activity (distances in miles, like /data)
+  function formatActivitySummary(activity) {
+    return {
+      id: activity.id,
+      date: activity.date,
+      startDate: activity.startDate,
+      name: activity.name,
+      sportType: getSportType(activity),
+      distance: toMiles(activity.distance),
+      movingTime: activity.movingTime,
+      pace: activity.pace,
+      averageHeartrate: activity.averageHeartrate,
+      maxHeartrate: activity.maxHeartrate,
+      cadence: activity.cadence
+    };
+  }
+
+  const formatSplit = split => ({ ...split, distance: toMiles(split.distance) });
+
+  function formatActivityDetail(detail) {
+    return {
+      ...formatActivitySummary(detail),
+      elapsedTime: detail.elapsedTime,
+      elevationGain: detail.elevationGain,
+      splits: {
+        metric: detail.splitsMetric.map(formatSplit),
+        standard: detail.splitsStandard.map(formatSplit)
+      },
+      laps: detail.laps.map(formatSplit),
+      streams: {
+        ...detail.streams,
+        distance: detail.streams.distance ? detail.streams.distance.map(d => toMiles(d, 3)) : null
+      }
+    };
+  }
+
+  // Activities in a date range, from the cache when possible (same sync rules as /data)
+  async function getActivitiesForRange(account, startDate, endDate) {
+    const useCache = await refreshCachedHistory(account);
+
+    const cachedActivities = useCache ? await getCachedData(account.athleteId, 'strava:activities') : null;
+    if (cachedActivities !== null) {
+      return cachedActivities.filter(a => a.date >= startDate && a.date <= endDate);
+    }
+
+    const activities = await getStravaActivities(account.stravaTokens, {
+      after: Math.floor(new Date(startDate).getTime() / 1000),
+      onTokenRefresh: createTokenPersister(account.athleteId)
+    });
+    return activities.filter(a => a.date >= startDate && a.date <= endDate);
+  }
+
+  // List individual activities, newest first
+  // Query: startDate/endDate (default: last 30 days), sport (same values as /data)
+  app.get("/runs", requireReadAccess('read:activities'), async (req, res) => {
+    console.log("[API] /runs endpoint hit");
+
+    try {
+      const today = new Date();
+      const monthAgo = new Date(today);
+      monthAgo.setDate(today.getDate() - 29);
+
+      const startDate = req.query.startDate || monthAgo.toISOString().split('T')[0];
+      const endDate = req.query.endDate || today.toISOString().split('T')[0];
+      const matchesSport = parseSportFilter(req.query.sport);
+
+      const activities = await getActivitiesForRange(req.account, startDate, endDate);
+      const runs = activities
+        .filter(matchesSport)
+        .sort((a, b) => (b.startDate || b.date).localeCompare(a.startDate || a.date))
+        .map(formatActivitySummary);
+
+      console.log(`[API] [INFO] Returning ${runs.length} activities for ${startDate} to ${endDate}`);
+      return res.json(runs);
+    } catch (err) {
+      console.error("[ERROR] /runs error:", err);
+      return sendApiError(res, err, "Failed to fetch runs");
     }
   });
 
+  // One activity with splits (per km and per mile), laps and time-series streams
+  app.get("/runs/:id", requireReadAccess('read:activities'), async (req, res) => {
+    const activityId = req.params.id;
+    console.log(`[API] /runs/${activityId} endpoint hit`);
+
+    if (!/^\d+$/.test(activityId)) {
+      return res.status(400).json({ error: "Invalid activity ID" });
+    }
+
+    try {
+      const cacheKey = `strava:activity:${activityId}`;
+      let detail = await getCachedData(req.account.athleteId, cacheKey);
+
+      if (!detail) {
+        detail = await getStravaActivityDetail(req.account.stravaTokens, activityId, {
+          onTokenRefresh: createTokenPersister(req.account.athleteId)
+        });
+
+        if (!detail) {
+          return res.status(404).json({ error: "Activity not found" });
+        }
+
+        await setCachedData(req.account.athleteId, cacheKey, detail);
+      }
+
+      return res.json(formatActivityDetail(detail));
+    } catch (err) {
+      console.error(`[ERROR] /runs/${activityId} error:`, err);
+      return sendApiError(res, err, "Failed to fetch run");
+    }
+  });
+
+  /* =========================
+     DATA EXPORT
+  ========================= */
+
+  const EXPORT_MAX_DAYS = 3660;
+
+  const isExportDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(`${value}T00:00:00Z`)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+  // Download the selected range as a file
+  // Query: startDate/endDate (required), type (days|runs), format (csv|json|xlsx),
+  //        units (imperial|metric), sport (same values as /data)
+  // Day exports need the read:summaries scope, run exports read:activities. The type
+  // is checked before the scope, so every spelling of it needs the same scope.
+  app.get("/export", (req, res, next) => {
+    const type = parseExportType(req.query.type);
+    if (!type) {
+      return res.status(400).json({ error: `Invalid type, expected one of: ${EXPORT_TYPES.join(', ')}` });
+    }
+    res.locals.exportType = type;
+    requireReadAccess(EXPORT_SCOPES[type])(req, res, next);
+  }, async (req, res) => {
+    const type = res.locals.exportType;
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const units = String(req.query.units || 'imperial').toLowerCase();
+    const startDate = String(req.query.startDate || '');
+    const endDate = String(req.query.endDate || '');
+    const sport = String(req.query.sport || 'run');
+
+    if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ error: `Invalid format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!Object.hasOwn(UNIT_SYSTEMS, units)) {
+      return res.status(400).json({ error: `Invalid units, expected one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}` });
+    }
+    if (!isExportDate(startDate) || !isExportDate(endDate) || startDate > endDate) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD dates, with startDate first' });
+    }
+    if ((new Date(endDate) - new Date(startDate)) / 86400000 + 1 > EXPORT_MAX_DAYS) {
+      return res.status(400).json({ error: `Exports cover at most ${EXPORT_MAX_DAYS} days` });
+    }
+
+    console.log(`[EXPORT] [INFO] ${type} ${startDate} to ${endDate} as ${format} (${units}, sport: ${sport})`);
+
+    try {
+      const matchesSport = parseSportFilter(sport);
+      let rows;
+
+      if (type === 'runs') {
+        const activities = await getActivitiesForRange(req.account, startDate, endDate);
+        rows = buildRunRows(activities.filter(matchesSport), units);
+      } else {
+        const merged = await loadMergedHistory(req.account, startDate, endDate);
+        const days = [];
+        for (let d = new Date(`${startDate}T00:00:00Z`); d <= new Date(`${endDate}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+          const date = d.toISOString().split('T')[0];
+          const value = merged[date] || { runs: [], sleep: null, readiness: null, activity: null };
+          days.push({ ...value, date, activities: value.runs.filter(matchesSport) });
+        }
+        rows = buildDayRows(days, units);
+      }
+
+      const { contentType, extension } = EXPORT_FORMATS[format];
+      const body = serializeExport(rows, format, { type, units, startDate, endDate, sport });
+
+      console.log(`[EXPORT] [INFO] Exported ${rows.length} ${type} for athlete ${req.account.athleteId}`);
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="athletesignal-${type}-${startDate}-to-${endDate}.${extension}"`);
+      return res.send(body);
+    } catch (err) {
+      console.error("[ERROR] /export error:", err);
+      return sendApiError(res, err, "Failed to export data");
+    }
+  });
+
+  /* =========================
+     API V1
+  ========================= */
+
+  app.use("/api/v1", createApiV1Router({ loadMergedHistory, getActivitiesForRange, parseSportFilter }));
+
   // Cache refresh endpoint (manual invalidation)
   app.post("/cache/refresh", requireAuth, async (req, res) => {
     console.log("[API] /cache/refresh endpoint hit");
     
     try {
-      // Clear existing cache
-      await clearCache(req.sessionID);
-      console.log('[CACHE] [REFRESH] Cleared existing cache');
+      // Incremental by default; ?mode=full clears the cache and refetches the whole window
+      const mode = req.query.mode === 'full' ? 'full' : 'incremental';
+
+      if (mode === 'full') {
+        await clearCache(req.account.athleteId);
+        console.log('[CACHE] [REFRESH] Cleared existing cache');
+      }
       
       // Trigger new data sync in background
-      syncUserDataToCache(req.sessionID, req.session.stravaTokens, req.session.ouraToken)
-        .catch(err => console.error('[CACHE] [ERROR] Background refresh failed:', err.message));
+      syncUserDataToCache(req.account.athleteId, req.account.stravaTokens, req.account.ouraToken, {
+        mode,
+        onTokenRefresh: createTokenPersister(req.account.athleteId)
+      }).catch(err => console.error('[CACHE] [ERROR] Background refresh failed:', err.message));
       
       res.json({ 
         success: true, 
+        mode,
         message: 'Cache refresh initiated. Data will be updated shortly.' 
       });
     } catch (error) {
@@ -821,8 +2113,8 @@ async function startServer() {
 
   // Redirect root to login or dashboard
   app.get("/", (req, res) => {
-    console.log('[HTTP] GET / - Session exists:', !!req.session);
-    if (req.session && req.session.stravaTokens && req.session.ouraToken) {
+    console.log('[HTTP] GET / - Signed in:', !!req.account);
+    if (req.account?.stravaTokens && req.account?.ouraToken) {
       res.redirect('/dashboard');
     } else {
       res.redirect('/login.html');
@@ -831,7 +2123,7 @@ async function startServer() {
 
   // Fallback: serve login or dashboard based on auth status
   app.use((req, res) => {
-    if (req.session && req.session.stravaTokens && req.session.ouraToken) {
+    if (req.account?.stravaTokens && req.account?.ouraToken) {
       res.sendFile(join(__dirname, "..", "public", "trainingDashboard.html"));
     } else {
       res.sendFile(join(__dirname, "..", "public", "login.html"));
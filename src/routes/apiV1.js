@@ -0,0 +1,405 @@
+import express from "express";
+import { ApiError, ERROR_HTTP_STATUS } from "../services/apiClient.js";
+import { getSportType } from "../services/stravaOuraIntegration.js";
+import {
+  WEEK_START_DAYS,
+  groupByPeriod,
+  summarizeRecovery,
+  totalActivities
+} from "../services/periodAggregation.js";
+import { openApiDocument } from "./apiV1OpenApi.js";
+
+/* =========================
+   API V1
+========================= */
+
+// Versioned JSON API for scripts and integrations, mounted at /api/v1 and described by
+// /api/v1/openapi.json. Unlike /data, values are raw numbers whose unit is part of the
+// field name (distanceMeters, movingTimeSeconds, ...), query parameters are validated, long
+// ranges are paginated, and every error has the same { error: { code, message } } shape.
+//
+// Fields and parameters are only ever added to v1; anything incompatible goes in a v2.
+
+// Longest date range one request may span
+const MAX_RANGE_DAYS = 3660;
+
+// Days when no range is given: the last 30, ending today
+const DEFAULT_RANGE_DAYS = 30;
+
+const PERIOD_GRANULARITIES = ["week", "month", "year"];
+
+const PAGE_SIZES = {
+  days: { default: 31, max: 366 },
+  periods: { default: 52, max: 520 },
+  activities: { default: 50, max: 200 }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------- Errors ---------- */
+
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: { code, message, ...extra } });
+}
+
+// A Strava/Oura failure, with the typed error's status, or a plain 500
+function sendUpstreamError(res, error) {
+  if (!(error instanceof ApiError)) {
+    return sendError(res, 500, "INTERNAL_ERROR", "Something went wrong loading your data");
+  }
+
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  return sendError(res, ERROR_HTTP_STATUS[error.code] || 502, error.code, error.message, {
+    provider: error.provider,
+    retryAfter: error.retryAfter ?? null
+  });
+}
+
+/* ---------- Query validation ---------- */
+
+// Each parser records a { parameter, message } for every invalid parameter, so one
+// 400 lists everything that needs fixing
+
+// Rejects impossible dates like 2025-02-30, which Date would roll over into March
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+};
+
+const daysBetween = (startDate, endDate) =>
+  Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000) + 1;
+
+function parseDateRange(query, errors) {
+  const endDate = query.endDate !== undefined ? String(query.endDate) : new Date().toISOString().split("T")[0];
+  const startDate = query.startDate !== undefined
+    ? String(query.startDate)
+    : (isValidDate(endDate) ? addDays(endDate, 1 - DEFAULT_RANGE_DAYS) : endDate);
+
+  [["startDate", startDate], ["endDate", endDate]].forEach(([parameter, value]) => {
+    if (!isValidDate(value)) {
+      errors.push({ parameter, message: "Must be a date in YYYY-MM-DD format" });
+    }
+  });
+
+  if (isValidDate(startDate) && isValidDate(endDate)) {
+    if (startDate > endDate) {
+      errors.push({ parameter: "startDate", message: "Must not be after endDate" });
+    } else if (daysBetween(startDate, endDate) > MAX_RANGE_DAYS) {
+      errors.push({ parameter: "endDate", message: `Range must not span more than ${MAX_RANGE_DAYS} days` });
+    }
+  }
+
+  return { startDate, endDate };
+}
+
+function parsePositiveInteger(query, parameter, { defaultValue, max = Infinity }, errors) {
+  const raw = query[parameter];
+  if (raw === undefined) return defaultValue;
+
+  const value = Number(raw);
+  if (!/^\d+$/.test(raw) || value < 1 || value > max) {
+    const range = max === Infinity ? "a whole number of at least 1" : `a whole number from 1 to ${max}`;
+    errors.push({ parameter, message: `Must be ${range}` });
+    return defaultValue;
+  }
+  return value;
+}
+
+function parsePagination(query, pageSizes, errors) {
+  return {
+    page: parsePositiveInteger(query, "page", { defaultValue: 1 }, errors),
+    pageSize: parsePositiveInteger(query, "pageSize", { defaultValue: pageSizes.default, max: pageSizes.max }, errors)
+  };
+}
+
+function parseChoice(query, parameter, choices, defaultValue, errors) {
+  const value = String(query[parameter] ?? defaultValue).toLowerCase();
+  if (!choices.includes(value)) {
+    errors.push({ parameter, message: `Must be one of: ${choices.join(", ")}` });
+    return defaultValue;
+  }
+  return value;
+}
+
+function parseSport(query, errors) {
+  const value = query.sport ?? "run";
+  if (typeof value !== "string" || !/^[A-Za-z]+(,[A-Za-z]+)*$/.test(value.replace(/\s/g, ""))) {
+    errors.push({ parameter: "sport", message: "Must be run, all, or a comma-separated list of Strava sport types" });
+    return "run";
+  }
+  return value;
+}
+
+function sendValidationErrors(res, errors) {
+  return sendError(res, 400, "INVALID_PARAMETER", "One or more query parameters are invalid", { details: errors });
+}
+
+/* ---------- Pagination ---------- */
+
+function paginate(items, { page, pageSize }) {
+  const totalItems = items.length;
+  const totalPages = Math.max(1, Math.ceil(totalItems / pageSize));
+
+  return {
+    items: items.slice((page - 1) * pageSize, page * pageSize),
+    pagination: {
+      page,
+      pageSize,
+      totalItems,
+      totalPages,
+      nextPage: page < totalPages ? page + 1 : null
+    }
+  };
+}
+
+/* ---------- Response shapes ---------- */
+
+function formatTraining(activities) {
+  const totals = totalActivities(activities);
+
+  return {
+    activityCount: totals.activityCount,
+    distanceMeters: totals.distance,
+    movingTimeSeconds: totals.movingTime,
+    paceMinutesPerMile: totals.pace,
+    averageHeartrateBpm: totals.averageHeartrate,
+    maxHeartrateBpm: totals.maxHeartrate,
+    cadenceStepsPerMinute: totals.cadence,
+    bySport: Object.fromEntries(Object.entries(totals.bySport).map(([sportType, sport]) => [sportType, {
+      activityCount: sport.count,
+      distanceMeters: sport.distance,
+      movingTimeSeconds: sport.movingTime
+    }]))
+  };
+}
+
+function formatSleep(sleep) {
+  if (!sleep || !sleep.total) return null;
+
+  return {
+    totalSeconds: sleep.total,
+    remSeconds: sleep.rem ?? null,
+    deepSeconds: sleep.deep ?? null,
+    lightSeconds: sleep.light ?? null,
+    score: sleep.score ?? null,
+    averageHrvMs: sleep.averageHrv ?? null,
+    lowestHeartRateBpm: sleep.lowestHeartRate ?? null,
+    averageHeartRateBpm: sleep.averageHeartRate ?? null,
+    respiratoryRateBreathsPerMinute: sleep.respiratoryRate ?? null,
+    efficiencyPercent: sleep.efficiency ?? null,
+    latencySeconds: sleep.latency ?? null,
+    bedtimeStart: sleep.bedtimeStart ?? null,
+    bedtimeEnd: sleep.bedtimeEnd ?? null
+  };
+}
+
+function formatReadiness(readiness) {
+  if (!readiness || readiness.score === null || readiness.score === undefined) return null;
+
+  return {
+    score: readiness.score,
+    contributors: readiness.contributors ?? null,
+    temperatureDeviationCelsius: readiness.temperatureDeviation ?? null,
+    temperatureTrendDeviationCelsius: readiness.temperatureTrendDeviation ?? null
+  };
+}
+
+function formatDailyActivity(activity) {
+  if (!activity) return null;
+
+  return {
+    score: activity.score ?? null,
+    steps: activity.steps ?? null,
+    activeCaloriesKcal: activity.activeCalories ?? null,
+    totalCaloriesKcal: activity.totalCalories ?? null,
+    walkingEquivalentDistanceMeters: activity.walkingEquivalentDistance ?? null,
+    highActivitySeconds: activity.highActivityTime ?? null,
+    mediumActivitySeconds: activity.mediumActivityTime ?? null,
+    lowActivitySeconds: activity.lowActivityTime ?? null,
+    sedentarySeconds: activity.sedentaryTime ?? null,
+    inactivityAlerts: activity.inactivityAlerts ?? null
+  };
+}
+
+function formatDay(day) {
+  return {
+    date: day.date,
+    training: formatTraining(day.activities),
+    sleep: formatSleep(day.sleep),
+    readiness: formatReadiness(day.readiness),
+    dailyActivity: formatDailyActivity(day.activity)
+  };
+}
+
+function formatPeriod({ period, days }) {
+  const recovery = summarizeRecovery(days);
+
+  return {
+    period,
+    startDate: days[0].date,
+    endDate: days[days.length - 1].date,
+    days: days.length,
+    activeDays: days.filter(d => d.activities.length > 0).length,
+    training: formatTraining(days.flatMap(d => d.activities)),
+    recovery: {
+      sleepNights: recovery.sleepDays,
+      averageSleepSeconds: recovery.sleepTotal,
+      averageSleepScore: recovery.sleepScore,
+      averageHrvMs: recovery.hrv,
+      averageRestingHeartRateBpm: recovery.restingHeartRate,
+      readinessDays: recovery.readinessDays,
+      averageReadinessScore: recovery.readinessScore
+    }
+  };
+}
+
+function formatActivity(activity) {
+  return {
+    id: activity.id,
+    date: activity.date,
+    startDateLocal: activity.startDate ?? null,
+    name: activity.name ?? null,
+    sportType: getSportType(activity),
+    distanceMeters: activity.distance ?? 0,
+    movingTimeSeconds: activity.movingTime ?? null,
+    paceMinutesPerMile: activity.pace ?? null,
+    averageHeartrateBpm: activity.averageHeartrate ?? null,
+    maxHeartrateBpm: activity.maxHeartrate ?? null,
+    cadenceStepsPerMinute: activity.cadence ?? null
+  };
+}
+
+/* ---------- Router ---------- */
+
+// Personal access tokens (req.apiToken, set by the server for Bearer requests) need the
+// route's scope; signed-in sessions can read everything
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      return sendError(res, 403, "FORBIDDEN", `Access token is missing the ${scope} scope`);
+    }
+    next();
+  };
+}
+
+// Dependencies come from the server, which owns sync and storage:
+//   loadMergedHistory(account, startDate, endDate) -> { [date]: { runs, sleep, readiness, activity } }
+//   getActivitiesForRange(account, startDate, endDate) -> activities
+//   parseSportFilter(sport) -> activity predicate (same sport values as /data)
+export function createApiV1Router({ loadMergedHistory, getActivitiesForRange, parseSportFilter }) {
+  const router = express.Router();
+
+  // Days of a range with each date's selected activities, filling dates without data
+  async function loadDays(account, startDate, endDate, matchesSport) {
+    const merged = await loadMergedHistory(account, startDate, endDate);
+    const days = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const value = merged[date] || { runs: [], sleep: null, readiness: null, activity: null };
+      days.push({ ...value, date, activities: value.runs.filter(matchesSport) });
+    }
+    return days;
+  }
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // Everything else needs a signed-in athlete with both services connected
+  router.use((req, res, next) => {
+    if (!req.account?.stravaTokens || !req.account?.ouraToken) {
+      return sendError(res, 401, "UNAUTHORIZED", "Sign in and connect Strava and Oura to use the API");
+    }
+    next();
+  });
+
+  // One entry per day. Pages split the range, so only the requested days are loaded.
+  router.get("/days", requireScope("read:summaries"), async (req, res) => {
+    const errors = [];
+    const { startDate, endDate } = parseDateRange(req.query, errors);
+    const sport = parseSport(req.query, errors);
+    const paging = parsePagination(req.query, PAGE_SIZES.days, errors);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    try {
+      const dates = Array.from({ length: daysBetween(startDate, endDate) }, (_, i) => addDays(startDate, i));
+      const { items: pageDates, pagination } = paginate(dates, paging);
+      const days = pageDates.length > 0
+        ? await loadDays(req.account, pageDates[0], pageDates[pageDates.length - 1], parseSportFilter(sport))
+        : [];
+
+      console.log(`[API] [INFO] v1 /days returning ${days.length} days (page ${paging.page} of ${pagination.totalPages})`);
+      res.json({ data: days.map(formatDay), pagination });
+    } catch (error) {
+      console.error("[API] [ERROR] v1 /days failed:", error);
+      sendUpstreamError(res, error);
+    }
+  });
+
+  // Totals and averages per week, month or year
+  router.get("/periods", requireScope("read:summaries"), async (req, res) => {
+    const errors = [];
+    const { startDate, endDate } = parseDateRange(req.query, errors);
+    const sport = parseSport(req.query, errors);
+    const granularity = parseChoice(req.query, "granularity", PERIOD_GRANULARITIES, "week", errors);
+    const weekStart = parseChoice(req.query, "weekStart", Object.keys(WEEK_START_DAYS), "monday", errors);
+    const paging = parsePagination(req.query, PAGE_SIZES.periods, errors);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    try {
+      const days = await loadDays(req.account, startDate, endDate, parseSportFilter(sport));
+      const periods = groupByPeriod(days, { granularity, weekStart: WEEK_START_DAYS[weekStart] });
+      const { items, pagination } = paginate(periods, paging);
+
+      console.log(`[API] [INFO] v1 /periods returning ${items.length} ${granularity} periods`);
+      res.json({ data: items.map(formatPeriod), pagination });
+    } catch (error) {
+      console.error("[API] [ERROR] v1 /periods failed:", error);
+      sendUpstreamError(res, error);
+    }
+  });
+
+  // Individual activities, newest first
+  router.get("/activities", requireScope("read:activities"), async (req, res) => {
+    const errors = [];
+    const { startDate, endDate } = parseDateRange(req.query, errors);
+    const sport = parseSport(req.query, errors);
+    const paging = parsePagination(req.query, PAGE_SIZES.activities, errors);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    try {
+      const matchesSport = parseSportFilter(sport);
+      const activities = (await getActivitiesForRange(req.account, startDate, endDate))
+        .filter(matchesSport)
+        .sort((a, b) => (b.startDate || b.date).localeCompare(a.startDate || a.date));
+      const { items, pagination } = paginate(activities, paging);
+
+      console.log(`[API] [INFO] v1 /activities returning ${items.length} of ${activities.length} activities`);
+      res.json({ data: items.map(formatActivity), pagination });
+    } catch (error) {
+      console.error("[API] [ERROR] v1 /activities failed:", error);
+      sendUpstreamError(res, error);
+    }
+  });
+
+  // Unknown v1 paths answer in JSON instead of falling through to the dashboard
+  router.use((req, res) => {
+    sendError(res, 404, "NOT_FOUND", `No API route for ${req.method} ${req.baseUrl}${req.path}`);
+  });
+
+  return router;
+}
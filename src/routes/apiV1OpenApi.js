@@ -0,0 +1,328 @@
+/* =========================
+   API V1 OPENAPI DOCUMENT
+========================= */
+
+// Served at /api/v1/openapi.json. Keep in step with apiV1.js when fields or
+// parameters are added.
+
+const nullable = schema => ({ ...schema, type: [schema.type, "null"] });
+
+const integer = description => ({ type: "integer", description });
+const number = description => ({ type: "number", description });
+
+const dateParameter = (name, description) => ({
+  name,
+  in: "query",
+  required: false,
+  description,
+  schema: { type: "string", format: "date", example: "2025-12-01" }
+});
+
+const rangeParameters = [
+  dateParameter("startDate", "First date of the range (default: 29 days before endDate)"),
+  dateParameter("endDate", "Last date of the range (default: today, UTC). Ranges span at most 3660 days.")
+];
+
+const sportParameter = {
+  name: "sport",
+  in: "query",
+  required: false,
+  description: "Which Strava activities count: `run` (Run, TrailRun, VirtualRun), `all`, or a comma-separated list of Strava sport types such as `Ride,Swim`",
+  schema: { type: "string", default: "run" }
+};
+
+const pageParameters = (defaultSize, maxSize) => [
+  {
+    name: "page",
+    in: "query",
+    required: false,
+    description: "Page number, starting at 1",
+    schema: { type: "integer", minimum: 1, default: 1 }
+  },
+  {
+    name: "pageSize",
+    in: "query",
+    required: false,
+    description: "Items per page",
+    schema: { type: "integer", minimum: 1, maximum: maxSize, default: defaultSize }
+  }
+];
+
+const errorResponse = description => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+});
+
+const listResponse = (itemSchema, description) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: {
+        type: "object",
+        required: ["data", "pagination"],
+        properties: {
+          data: { type: "array", items: { $ref: `#/components/schemas/${itemSchema}` } },
+          pagination: { $ref: "#/components/schemas/Pagination" }
+        }
+      }
+    }
+  }
+});
+
+const commonErrors = {
+  400: errorResponse("Invalid query parameters (`INVALID_PARAMETER`, with one `details` entry per parameter)"),
+  401: errorResponse("Not signed in (`UNAUTHORIZED`), or Strava/Oura access has expired (`AUTH_EXPIRED`)"),
+  403: errorResponse("The access token lacks the endpoint's scope (`FORBIDDEN`)"),
+  429: errorResponse("Strava or Oura rate limit reached (`RATE_LIMITED`); see `retryAfter` and the Retry-After header"),
+  503: errorResponse("Strava or Oura is unavailable (`UPSTREAM_DOWN`)")
+};
+
+export const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "Athlete Signal API",
+    version: "1.0.0",
+    description: "Training (Strava) and recovery (Oura) data for the signed-in athlete. Values are raw numbers; each field name carries its unit."
+  },
+  servers: [{ url: "/api/v1" }],
+  security: [{ bearerToken: [] }, { sessionCookie: [] }],
+  paths: {
+    "/days": {
+      get: {
+        summary: "Daily training and recovery",
+        description: "One entry per day in the range, including days without data. Pages split the range into consecutive days.",
+        parameters: [...rangeParameters, sportParameter, ...pageParameters(31, 366)],
+        security: [{ bearerToken: ["read:summaries"] }, { sessionCookie: [] }],
+        responses: { 200: listResponse("Day", "Days in date order"), ...commonErrors }
+      }
+    },
+    "/periods": {
+      get: {
+        summary: "Weekly, monthly or yearly totals and averages",
+        description: "Periods only cover days inside the range, so the first and last period can be partial (see `days`).",
+        parameters: [
+          ...rangeParameters,
+          sportParameter,
+          {
+            name: "granularity",
+            in: "query",
+            required: false,
+            schema: { type: "string", enum: ["week", "month", "year"], default: "week" }
+          },
+          {
+            name: "weekStart",
+            in: "query",
+            required: false,
+            description: "First day of the week for `granularity=week`",
+            schema: {
+              type: "string",
+              enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
+              default: "monday"
+            }
+          },
+          ...pageParameters(52, 520)
+        ],
+        security: [{ bearerToken: ["read:summaries"] }, { sessionCookie: [] }],
+        responses: { 200: listResponse("Period", "Periods in date order"), ...commonErrors }
+      }
+    },
+    "/activities": {
+      get: {
+        summary: "Individual Strava activities",
+        parameters: [...rangeParameters, sportParameter, ...pageParameters(50, 200)],
+        security: [{ bearerToken: ["read:activities"] }, { sessionCookie: [] }],
+        responses: { 200: listResponse("Activity", "Activities, newest first"), ...commonErrors }
+      }
+    },
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: [],
+        responses: { 200: { description: "OpenAPI 3.1 document", content: { "application/json": {} } } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerToken: {
+        type: "http",
+        scheme: "bearer",
+        description: "Personal access token created in the dashboard (API Tokens). Scopes: `read:activities`, `read:summaries`."
+      },
+      sessionCookie: {
+        type: "apiKey",
+        in: "cookie",
+        name: "connect.sid",
+        description: "Session cookie set when signing in to the dashboard"
+      }
+    },
+    schemas: {
+      Training: {
+        type: "object",
+        description: "Totals over the selected activities; averages are weighted by distance",
+        properties: {
+          activityCount: integer("Number of activities"),
+          distanceMeters: number("Total distance"),
+          movingTimeSeconds: integer("Total moving time"),
+          paceMinutesPerMile: nullable(number("Average pace of foot sports")),
+          averageHeartrateBpm: nullable(integer("Average heart rate")),
+          maxHeartrateBpm: nullable(integer("Highest heart rate")),
+          cadenceStepsPerMinute: nullable(integer("Average cadence of foot sports")),
+          bySport: {
+            type: "object",
+            description: "The same totals per Strava sport type",
+            additionalProperties: {
+              type: "object",
+              properties: {
+                activityCount: integer("Number of activities"),
+                distanceMeters: number("Total distance"),
+                movingTimeSeconds: integer("Total moving time")
+              }
+            }
+          }
+        }
+      },
+      Sleep: {
+        type: ["object", "null"],
+        description: "The night's sleep; vitals and bed/wake times come from the main sleep session",
+        properties: {
+          totalSeconds: integer("Total sleep"),
+          remSeconds: nullable(integer("REM sleep")),
+          deepSeconds: nullable(integer("Deep sleep")),
+          lightSeconds: nullable(integer("Light sleep")),
+          score: nullable(integer("Oura sleep score (1-100)")),
+          averageHrvMs: nullable(number("Average heart rate variability")),
+          lowestHeartRateBpm: nullable(number("Lowest heart rate")),
+          averageHeartRateBpm: nullable(number("Average heart rate")),
+          respiratoryRateBreathsPerMinute: nullable(number("Average breathing rate")),
+          efficiencyPercent: nullable(number("Time asleep as a share of time in bed")),
+          latencySeconds: nullable(integer("Time to fall asleep")),
+          bedtimeStart: nullable({ type: "string", format: "date-time", description: "Local time with UTC offset" }),
+          bedtimeEnd: nullable({ type: "string", format: "date-time", description: "Local time with UTC offset" })
+        }
+      },
+      Readiness: {
+        type: ["object", "null"],
+        properties: {
+          score: integer("Oura readiness score (1-100)"),
+          contributors: {
+            type: ["object", "null"],
+            description: "Oura's contributor scores (1-100) by name",
+            additionalProperties: { type: ["integer", "null"] }
+          },
+          temperatureDeviationCelsius: nullable(number("Body temperature deviation from baseline")),
+          temperatureTrendDeviationCelsius: nullable(number("Oura's weighted 3-day temperature deviation"))
+        }
+      },
+      DailyActivity: {
+        type: ["object", "null"],
+        description: "All-day movement from Oura",
+        properties: {
+          score: nullable(integer("Oura activity score (1-100)")),
+          steps: nullable(integer("Steps")),
+          activeCaloriesKcal: nullable(integer("Active calories")),
+          totalCaloriesKcal: nullable(integer("Total calories")),
+          walkingEquivalentDistanceMeters: nullable(integer("Distance walked, including movement converted to walking")),
+          highActivitySeconds: nullable(integer("Time at high intensity")),
+          mediumActivitySeconds: nullable(integer("Time at medium intensity")),
+          lowActivitySeconds: nullable(integer("Time at low intensity")),
+          sedentarySeconds: nullable(integer("Time sedentary")),
+          inactivityAlerts: nullable(integer("Inactivity alerts"))
+        }
+      },
+      Day: {
+        type: "object",
+        required: ["date", "training", "sleep", "readiness", "dailyActivity"],
+        properties: {
+          date: { type: "string", format: "date" },
+          training: { $ref: "#/components/schemas/Training" },
+          sleep: { $ref: "#/components/schemas/Sleep" },
+          readiness: { $ref: "#/components/schemas/Readiness" },
+          dailyActivity: { $ref: "#/components/schemas/DailyActivity" }
+        }
+      },
+      Period: {
+        type: "object",
+        required: ["period", "startDate", "endDate", "days", "activeDays", "training", "recovery"],
+        properties: {
+          period: { type: "string", format: "date", description: "First date of the week, month or year" },
+          startDate: { type: "string", format: "date", description: "First date of the period inside the range" },
+          endDate: { type: "string", format: "date", description: "Last date of the period inside the range" },
+          days: integer("Days of the period inside the range"),
+          activeDays: integer("Days with at least one selected activity"),
+          training: { $ref: "#/components/schemas/Training" },
+          recovery: {
+            type: "object",
+            description: "Averages over the nights and days with data",
+            properties: {
+              sleepNights: integer("Nights with sleep data"),
+              averageSleepSeconds: nullable(integer("Average total sleep")),
+              averageSleepScore: nullable(integer("Average sleep score")),
+              averageHrvMs: nullable(integer("Average HRV")),
+              averageRestingHeartRateBpm: nullable(integer("Average lowest sleeping heart rate")),
+              readinessDays: integer("Days with a readiness score"),
+              averageReadinessScore: nullable(integer("Average readiness score"))
+            }
+          }
+        }
+      },
+      Activity: {
+        type: "object",
+        properties: {
+          id: integer("Strava activity ID"),
+          date: { type: "string", format: "date", description: "Local date the activity started" },
+          startDateLocal: nullable({ type: "string", description: "Local start time" }),
+          name: { type: "string" },
+          sportType: { type: "string", description: "Strava sport type, e.g. Run or Ride" },
+          distanceMeters: number("Distance"),
+          movingTimeSeconds: nullable(integer("Moving time")),
+          paceMinutesPerMile: nullable(number("Pace (foot sports only)")),
+          averageHeartrateBpm: nullable(number("Average heart rate")),
+          maxHeartrateBpm: nullable(number("Highest heart rate")),
+          cadenceStepsPerMinute: nullable(number("Cadence (foot sports only)"))
+        }
+      },
+      Pagination: {
+        type: "object",
+        required: ["page", "pageSize", "totalItems", "totalPages", "nextPage"],
+        properties: {
+          page: integer("Current page"),
+          pageSize: integer("Items per page"),
+          totalItems: integer("Items across all pages"),
+          totalPages: integer("Number of pages"),
+          nextPage: nullable(integer("Next page number, or null on the last page"))
+        }
+      },
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+              code: {
+                type: "string",
+                enum: ["INVALID_PARAMETER", "UNAUTHORIZED", "FORBIDDEN", "NOT_FOUND", "AUTH_EXPIRED", "RATE_LIMITED", "UPSTREAM_DOWN", "API_ERROR", "INTERNAL_ERROR"]
+              },
+              message: { type: "string" },
+              details: {
+                type: "array",
+                description: "Invalid parameters (INVALID_PARAMETER only)",
+                items: {
+                  type: "object",
+                  properties: {
+                    parameter: { type: "string" },
+                    message: { type: "string" }
+                  }
+                }
+              },
+              provider: { type: "string", enum: ["strava", "oura"], description: "Service that failed (upstream errors only)" },
+              retryAfter: { type: ["integer", "null"], description: "Seconds until retrying is worthwhile (upstream errors only)" }
+            }
+          }
+        }
+      }
+    }
+  }
+};
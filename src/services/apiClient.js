@@ -0,0 +1,260 @@
+import fetch from "node-fetch";
+
+/* =========================
+   STRAVA & OURA HTTP CLIENT
+========================= */
+
+// Every request to Strava and Oura goes through apiRequest, which:
+//   - records the rate-limit quota Strava reports in its response headers
+//   - retries 429s and 5xx/network failures with exponential backoff and jitter
+//   - turns failures into the typed errors below, so routes can answer with a
+//     meaningful status instead of a generic 500
+
+/* ---------- Typed errors ---------- */
+
+class ApiError extends Error {
+  constructor(message, { provider, status = null, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.code = "API_ERROR";
+    this.provider = provider;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// The access token was rejected (and refreshing didn't help); the athlete has to reconnect
+class AuthExpiredError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthExpiredError";
+    this.code = "AUTH_EXPIRED";
+  }
+}
+
+// Out of quota; `retryAfter` is the number of seconds until it is worth trying again
+class RateLimitedError extends ApiError {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = "RateLimitedError";
+    this.code = "RATE_LIMITED";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The provider is erroring or unreachable even after retries
+class UpstreamUnavailableError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "UpstreamUnavailableError";
+    this.code = "UPSTREAM_DOWN";
+  }
+}
+
+// HTTP status to answer our own clients with for each typed error
+const ERROR_HTTP_STATUS = {
+  AUTH_EXPIRED: 401,
+  RATE_LIMITED: 429,
+  UPSTREAM_DOWN: 503
+};
+
+/* ---------- Rate-limit tracking ---------- */
+
+const PROVIDER_NAMES = { strava: "Strava", oura: "Oura" };
+
+// Attempts per request, and the backoff between them
+const MAX_ATTEMPTS = 4;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Requests kept in reserve in Strava's 15-minute window; syncs pause below this
+const QUOTA_RESERVE = 5;
+
+// Latest quota reported per provider (Strava only; Oura sends no rate-limit headers)
+//   { shortTerm: { limit, usage }, daily: { limit, usage }, updatedAt }
+const rateLimits = new Map();
+
+// Strava reports "15-minute,daily" pairs, e.g. X-RateLimit-Limit: 200,2000.
+// The read limits (X-ReadRateLimit-*) are lower and apply to every GET, so prefer them.
+function recordRateLimits(provider, res) {
+  const limitHeader = res.headers.get("x-readratelimit-limit") || res.headers.get("x-ratelimit-limit");
+  const usageHeader = res.headers.get("x-readratelimit-usage") || res.headers.get("x-ratelimit-usage");
+  if (!limitHeader || !usageHeader) return;
+
+  const [shortTermLimit, dailyLimit] = limitHeader.split(",").map(Number);
+  const [shortTermUsage, dailyUsage] = usageHeader.split(",").map(Number);
+
+  rateLimits.set(provider, {
+    shortTerm: { limit: shortTermLimit, usage: shortTermUsage },
+    daily: { limit: dailyLimit, usage: dailyUsage },
+    updatedAt: Date.now()
+  });
+}
+
+// Strava's 15-minute windows start on the quarter hour; the daily window at midnight UTC
+function getWindowResets(now = new Date()) {
+  const shortTerm = new Date(now);
+  shortTerm.setUTCMinutes(Math.floor(now.getUTCMinutes() / 15) * 15 + 15, 0, 0);
+
+  const daily = new Date(now);
+  daily.setUTCHours(24, 0, 0, 0);
+
+  return { shortTerm, daily };
+}
+
+// Remaining quota for a provider, or null when it hasn't reported any yet.
+// Usage recorded in an earlier window has since been reset, so it counts as unused.
+function getRateLimitStatus(provider) {
+  const recorded = rateLimits.get(provider);
+  if (!recorded) return null;
+
+  const resets = getWindowResets(new Date(recorded.updatedAt));
+  const now = Date.now();
+  const remaining = period => (now >= resets[period].getTime()
+    ? recorded[period].limit
+    : Math.max(0, recorded[period].limit - recorded[period].usage));
+
+  return {
+    shortTerm: { limit: recorded.shortTerm.limit, remaining: remaining("shortTerm"), resetsAt: resets.shortTerm.toISOString() },
+    daily: { limit: recorded.daily.limit, remaining: remaining("daily"), resetsAt: resets.daily.toISOString() },
+    updatedAt: new Date(recorded.updatedAt).toISOString()
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Called between pages of a long sync: when the quota is nearly used up, stop with a
+// RateLimitedError saying when the window resets instead of running into 429s.
+// Waiting out a window would hold the sync (and anyone awaiting it) for minutes;
+// resumable syncs pick up where they stopped on the next run.
+async function waitForQuota(provider) {
+  const status = getRateLimitStatus(provider);
+  if (!status) return;
+
+  const period = status.daily.remaining <= QUOTA_RESERVE ? "daily"
+    : status.shortTerm.remaining <= QUOTA_RESERVE ? "shortTerm"
+    : null;
+  if (!period) return;
+
+  const retryAfter = Math.max(0, Math.ceil((new Date(status[period].resetsAt).getTime() - Date.now()) / 1000));
+  const windowName = period === "daily" ? "daily" : "15-minute";
+  console.log(`[API] [WARNING] ${PROVIDER_NAMES[provider]} ${windowName} quota low (${status[period].remaining} left), stopping for ${retryAfter}s`);
+  throw new RateLimitedError(`${PROVIDER_NAMES[provider]} ${windowName} rate limit reached`, { provider, retryAfter });
+}
+
+/* ---------- Requests ---------- */
+
+// Seconds to wait before retrying a 429, from Retry-After or the rate-limit window
+function getRetryAfter(provider, res) {
+  const header = Number(res.headers.get("retry-after"));
+  if (Number.isFinite(header) && header > 0) {
+    return header;
+  }
+
+  const status = getRateLimitStatus(provider);
+  if (!status) return null;
+
+  const period = status.daily.remaining === 0 ? "daily" : "shortTerm";
+  return Math.ceil((new Date(status[period].resetsAt).getTime() - Date.now()) / 1000);
+}
+
+// Exponential backoff with full jitter: a random delay up to 500ms, 1s, 2s, ...
+function getBackoffDelay(attempt) {
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+// Make a request, retrying rate-limited and failed attempts. Returns the response for
+// any other status (including 401/404, which callers handle themselves).
+// Pass `retry: false` for requests that must not be sent twice (e.g. exchanging a
+// single-use refresh token, which a failed-looking attempt may already have spent).
+async function apiRequest(provider, url, options = {}, { retry = true } = {}) {
+  const name = PROVIDER_NAMES[provider];
+
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = !retry || attempt === MAX_ATTEMPTS - 1;
+    let res;
+
+    try {
+      res = await fetch(url, options);
+    } catch (error) {
+      if (isLastAttempt) {
+        throw new UpstreamUnavailableError(`${name} API unreachable: ${error.message}`, { provider });
+      }
+      const delay = getBackoffDelay(attempt);
+      console.log(`[API] [WARNING] ${name} request failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    recordRateLimits(provider, res);
+
+    if (res.status === 429) {
+      const retryAfter = getRetryAfter(provider, res);
+      // Waiting out a whole rate-limit window would hang the request; report it instead
+      if (isLastAttempt || (retryAfter !== null && retryAfter * 1000 > MAX_RETRY_DELAY_MS)) {
+        throw new RateLimitedError(`${name} rate limit exceeded`, {
+          provider,
+          status: 429,
+          body: await res.text(),
+          retryAfter
+        });
+      }
+      const delay = retryAfter !== null ? retryAfter * 1000 : getBackoffDelay(attempt);
+      console.log(`[API] [WARNING] ${name} rate limited, retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (res.status >= 500) {
+      if (isLastAttempt) {
+        throw new UpstreamUnavailableError(`${name} API error: ${res.status}`, {
+          provider,
+          status: res.status,
+          body: await res.text()
+        });
+      }
+      const delay = getBackoffDelay(attempt);
+      console.log(`[API] [WARNING] ${name} returned ${res.status}, retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    return res;
+  }
+}
+
+// Throw the typed error for a non-OK response that wasn't retried
+async function throwForStatus(provider, res) {
+  const body = await res.text();
+  const message = `${PROVIDER_NAMES[provider]} API error: ${res.status} - ${body}`;
+
+  if (res.status === 401 || res.status === 403) {
+    throw new AuthExpiredError(message, { provider, status: res.status, body });
+  }
+  throw new ApiError(message, { provider, status: res.status, body });
+}
+
+// Request JSON, throwing a typed error unless the response is OK
+async function apiRequestJson(provider, url, options = {}) {
+  const res = await apiRequest(provider, url, options);
+
+  if (!res.ok) {
+    await throwForStatus(provider, res);
+  }
+
+  return res.json();
+}
+
+export {
+  ApiError,
+  AuthExpiredError,
+  RateLimitedError,
+  UpstreamUnavailableError,
+  ERROR_HTTP_STATUS,
+  apiRequest,
+  apiRequestJson,
+  throwForStatus,
+  getRateLimitStatus,
+  waitForQuota
+};
@@ -0,0 +1,126 @@
+/* =========================
+   CACHE BACKENDS
+========================= */
+
+// The cache helpers in fitnessApiServer.js talk to one of these instead of Redis
+// directly, so caching keeps working without Redis. Every backend stores string
+// values and implements:
+//   get(key)                    -> value or null
+//   set(key, value, ttlSeconds) -> stores value for ttlSeconds
+//   delete(keys)                -> removes an array of keys
+//   keys(prefix)                -> keys starting with prefix
+//   rename(fromKey, toKey)      -> moves a value, keeping its remaining TTL (nothing
+//                                  happens if fromKey is missing or has expired)
+
+// Redis (shared between instances, survives restarts)
+export function createRedisCacheBackend(client) {
+  return {
+    name: "redis",
+
+    get(key) {
+      return client.get(key);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await client.setEx(key, ttlSeconds, value);
+    },
+
+    async delete(keys) {
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    },
+
+    keys(prefix) {
+      return client.keys(`${prefix}*`);
+    },
+
+    async rename(fromKey, toKey) {
+      try {
+        await client.rename(fromKey, toKey);
+      } catch (error) {
+        // The key expired (or was deleted) since it was listed
+        if (!/no such key/i.test(error.message)) throw error;
+      }
+    }
+  };
+}
+
+// In-process LRU for development and single-instance deployments without Redis.
+// Bounded by entry count and total value size; the least recently used entries are
+// evicted first, and expired entries are dropped when they are next looked at.
+export function createMemoryCacheBackend({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024 } = {}) {
+  // Map iteration order is insertion order, so re-inserting on access keeps the
+  // least recently used entry first
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const sizeOf = value => value.length * 2; // JS strings are UTF-16
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= sizeOf(entry.value);
+    entries.delete(key);
+  }
+
+  function getLiveEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function evict() {
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+      remove(key);
+      console.log(`[CACHE] [INFO] Evicted ${key} from memory cache`);
+    }
+  }
+
+  function store(key, entry) {
+    remove(key);
+    if (sizeOf(entry.value) > maxBytes) {
+      console.log(`[CACHE] [WARNING] Not caching ${key} in memory: larger than the ${maxBytes} byte limit`);
+      return;
+    }
+    entries.set(key, entry);
+    totalBytes += sizeOf(entry.value);
+    evict();
+  }
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const entry = getLiveEntry(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      store(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+
+    async delete(keys) {
+      keys.forEach(remove);
+    },
+
+    async keys(prefix) {
+      return Array.from(entries.keys()).filter(key => key.startsWith(prefix) && getLiveEntry(key));
+    },
+
+    async rename(fromKey, toKey) {
+      const entry = getLiveEntry(fromKey);
+      if (!entry) return;
+      remove(fromKey);
+      store(toKey, entry);
+    }
+  };
+}
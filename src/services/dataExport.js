@@ -0,0 +1,156 @@
+import { READINESS_CONTRIBUTORS, getSportType } from "./stravaOuraIntegration.js";
+import { totalActivities } from "./periodAggregation.js";
+import { createXlsx } from "./xlsxWriter.js";
+
+/* =========================
+   DATA EXPORT
+========================= */
+
+// Per-day and per-run files for /export. Rows are flat objects whose keys carry their
+// unit (distanceMiles, sleepRemSeconds, ...), so the same columns work as CSV headers,
+// spreadsheet headers and JSON fields.
+
+export const EXPORT_TYPES = ["days", "runs"];
+
+// Personal access token scope each export type needs
+export const EXPORT_SCOPES = {
+  days: "read:summaries",
+  runs: "read:activities"
+};
+
+// The `type` query value (default days), lowercased, or null if it isn't an export type
+export function parseExportType(value) {
+  const type = String(value || "days").toLowerCase();
+  return EXPORT_TYPES.includes(type) ? type : null;
+}
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" }
+};
+
+// Distance and pace units; everything else is the same in both
+export const UNIT_SYSTEMS = {
+  imperial: { distanceKey: "distanceMiles", paceKey: "paceMinutesPerMile", metersPerUnit: 1609.34 },
+  metric: { distanceKey: "distanceKilometers", paceKey: "paceMinutesPerKilometer", metersPerUnit: 1000 }
+};
+
+// Oura readiness contributors (the names merged days use), exported as readiness<Name> columns
+const CONTRIBUTOR_NAMES = Object.values(READINESS_CONTRIBUTORS);
+
+const round = (value, digits) => value === null || value === undefined ? null : +value.toFixed(digits);
+
+// Activities store pace in minutes per mile
+function convertPace(paceMinutesPerMile, units) {
+  if (!paceMinutesPerMile) return null;
+  return round(paceMinutesPerMile * units.metersPerUnit / UNIT_SYSTEMS.imperial.metersPerUnit, 2);
+}
+
+const capitalize = name => name.charAt(0).toUpperCase() + name.slice(1);
+
+// One row per day. `days` are { date, activities, sleep, readiness, activity } with the
+// cached Strava activities (already filtered by sport) and Oura records for each date.
+export function buildDayRows(days, unitSystem = "imperial") {
+  const units = UNIT_SYSTEMS[unitSystem];
+
+  return days.map(({ date, activities, sleep, readiness, activity }) => {
+    const training = totalActivities(activities);
+    const contributors = readiness?.contributors || {};
+
+    return {
+      date,
+      activityCount: training.activityCount,
+      [units.distanceKey]: round(training.distance / units.metersPerUnit, 2),
+      movingTimeSeconds: training.movingTime,
+      [units.paceKey]: convertPace(training.pace, units),
+      averageHeartrateBpm: training.averageHeartrate,
+      maxHeartrateBpm: training.maxHeartrate,
+      cadenceStepsPerMinute: training.cadence,
+      sleepTotalSeconds: sleep?.total || null,
+      sleepLightSeconds: sleep?.light ?? null,
+      sleepRemSeconds: sleep?.rem ?? null,
+      sleepDeepSeconds: sleep?.deep ?? null,
+      sleepLatencySeconds: sleep?.latency ?? null,
+      sleepEfficiencyPercent: sleep?.efficiency ?? null,
+      sleepScore: sleep?.score ?? null,
+      averageHrvMs: sleep?.averageHrv ?? null,
+      lowestHeartRateBpm: sleep?.lowestHeartRate ?? null,
+      averageSleepHeartRateBpm: sleep?.averageHeartRate ?? null,
+      respiratoryRateBreathsPerMinute: sleep?.respiratoryRate ?? null,
+      bedtimeStart: sleep?.bedtimeStart ?? null,
+      bedtimeEnd: sleep?.bedtimeEnd ?? null,
+      readinessScore: readiness?.score ?? null,
+      ...Object.fromEntries(CONTRIBUTOR_NAMES.map(name => [`readiness${capitalize(name)}`, contributors[name] ?? null])),
+      temperatureDeviationCelsius: readiness?.temperatureDeviation ?? null,
+      steps: activity?.steps ?? null,
+      activeCaloriesKcal: activity?.activeCalories ?? null,
+      totalCaloriesKcal: activity?.totalCalories ?? null,
+      activityScore: activity?.score ?? null
+    };
+  });
+}
+
+// One row per activity, oldest first
+export function buildRunRows(activities, unitSystem = "imperial") {
+  const units = UNIT_SYSTEMS[unitSystem];
+
+  return [...activities]
+    .sort((a, b) => (a.startDate || a.date).localeCompare(b.startDate || b.date))
+    .map(activity => ({
+      id: activity.id,
+      date: activity.date,
+      startDateLocal: activity.startDate ?? null,
+      name: activity.name ?? null,
+      sportType: getSportType(activity),
+      [units.distanceKey]: round((activity.distance || 0) / units.metersPerUnit, 2),
+      movingTimeSeconds: activity.movingTime ?? null,
+      [units.paceKey]: convertPace(activity.pace, units),
+      averageHeartrateBpm: activity.averageHeartrate ?? null,
+      maxHeartrateBpm: activity.maxHeartrate ?? null,
+      cadenceStepsPerMinute: activity.cadence ?? null
+    }));
+}
+
+// Spreadsheets run cells starting with these as formulas; activity names are
+// athlete-written, so text cells get a leading quote instead
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Column names for an export, so files without rows still get a header
+function getColumns(type, unitSystem) {
+  return type === "runs"
+    ? Object.keys(buildRunRows([{ date: "" }], unitSystem)[0])
+    : Object.keys(buildDayRows([{ date: "", activities: [] }], unitSystem)[0]);
+}
+
+// File contents for `rows` in `format`. `meta` ({ type, units, startDate, endDate, sport })
+// heads JSON exports and names the spreadsheet tab.
+export function serializeExport(rows, format, meta) {
+  const columns = getColumns(meta.type, meta.units);
+
+  switch (format) {
+    case "json":
+      return JSON.stringify({ ...meta, exportedAt: new Date().toISOString(), rows }, null, 2);
+    case "xlsx":
+      // Inline strings are never evaluated, so names need no escaping here
+      return createXlsx(
+        [columns, ...rows.map(row => columns.map(column => row[column]))],
+        `${meta.type} ${meta.startDate} to ${meta.endDate}`
+      );
+    default: {
+      // Byte order mark so Excel reads the file as UTF-8
+      const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(","));
+      return `\uFEFF${lines.join("\r\n")}\r\n`;
+    }
+  }
+}
@@ -0,0 +1,249 @@
+import Database from "better-sqlite3";
+import { mkdirSync } from "fs";
+import { dirname } from "path";
+
+/* =========================
+   ACTIVITY & RECOVERY HISTORY
+========================= */
+
+// Durable per-athlete history in a SQLite file: Strava activities, Oura sleep,
+// readiness and daily activity days, and the sync bookkeeping that goes with them.
+// Records are stored as JSON alongside the columns they are looked up by, so new
+// record fields don't need a schema change.
+//
+// Data is read and written by the same data types as the cache
+// ('strava:activities', 'oura:sleep', ...), so Redis can sit in front as a hot cache.
+
+// Schema changes are appended here and applied in order on startup. Never edit a
+// migration that has shipped; add a new one instead.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create history tables",
+    up: `
+      CREATE TABLE activities (
+        athlete_id TEXT NOT NULL,
+        id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        sport_type TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (athlete_id, id)
+      );
+      CREATE INDEX activities_by_date ON activities (athlete_id, date);
+
+      CREATE TABLE sleep_days (
+        athlete_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (athlete_id, date)
+      );
+
+      CREATE TABLE readiness_days (
+        athlete_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (athlete_id, date)
+      );
+
+      CREATE TABLE activity_days (
+        athlete_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (athlete_id, date)
+      );
+
+      CREATE TABLE sync_state (
+        athlete_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (athlete_id, key)
+      );
+    `
+  }
+];
+
+// Data types held as one row per day
+const DAY_TABLES = {
+  "oura:sleep": "sleep_days",
+  "oura:readiness": "readiness_days",
+  "oura:activity": "activity_days"
+};
+
+// Bookkeeping values (history walk state, cache format, last sync time)
+const STATE_TYPES = ["strava:history", "oura:format", "timestamp"];
+
+// Apply any migrations the database hasn't seen yet, each in its own transaction
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare("SELECT version FROM schema_migrations").pluck().all());
+  const record = db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)");
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`[DB] [INFO] Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
+
+export function createHistoryRepository(filename) {
+  if (filename !== ":memory:") {
+    mkdirSync(dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  migrate(db);
+  console.log(`[DB] [INFO] History database ready at ${filename}`);
+
+  const getState = db.prepare("SELECT value FROM sync_state WHERE athlete_id = ? AND key = ?");
+  const setState = db.prepare(`
+    INSERT INTO sync_state (athlete_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (athlete_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const deleteState = db.prepare("DELETE FROM sync_state WHERE athlete_id = ?");
+
+  // Every list table, keyed by activity ID or by date
+  const listTables = {
+    "strava:activities": {
+      table: "activities",
+      key: "id",
+      keyOf: a => String(a.id),
+      upsert: db.prepare(`
+        INSERT INTO activities (athlete_id, id, date, sport_type, data) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (athlete_id, id) DO UPDATE SET date = excluded.date, sport_type = excluded.sport_type, data = excluded.data
+      `),
+      columns: a => [String(a.id), a.date, a.sportType || a.type || null]
+    },
+    ...Object.fromEntries(Object.entries(DAY_TABLES).map(([dataType, table]) => [dataType, {
+      table,
+      key: "date",
+      keyOf: entry => entry.date,
+      upsert: db.prepare(`
+        INSERT INTO ${table} (athlete_id, date, data) VALUES (?, ?, ?)
+        ON CONFLICT (athlete_id, date) DO UPDATE SET data = excluded.data
+      `),
+      columns: entry => [entry.date]
+    }]))
+  };
+
+  const listStatements = Object.fromEntries(Object.entries(listTables).map(([dataType, t]) => [dataType, {
+    ...t,
+    list: db.prepare(`SELECT data FROM ${t.table} WHERE athlete_id = ? ORDER BY ${t.key === "id" ? "date, id" : "date"}`),
+    rows: db.prepare(`SELECT ${t.key} AS key, data FROM ${t.table} WHERE athlete_id = ?`),
+    remove: db.prepare(`DELETE FROM ${t.table} WHERE athlete_id = ? AND ${t.key} = ?`),
+    count: db.prepare(`SELECT COUNT(*) AS count FROM ${t.table} WHERE athlete_id = ?`),
+    clear: db.prepare(`DELETE FROM ${t.table} WHERE athlete_id = ?`)
+  }]));
+
+  // Lists are written as a whole, like the cache entries they mirror, but only the
+  // rows that changed are touched: new and edited records are upserted and records
+  // missing from the list are deleted, so a sync's final write of a large history
+  // doesn't rewrite every row. A sync_state row per list
+  // records that it has been written, so an empty list reads back as [] while a list
+  // that was never synced reads back as null.
+  const replaceList = db.transaction((athleteId, dataType, entries) => {
+    const statements = listStatements[dataType];
+    const stored = new Map(statements.rows.all(athleteId).map(row => [row.key, row.data]));
+    const written = new Set();
+
+    entries.forEach(entry => {
+      const key = statements.keyOf(entry);
+      const data = JSON.stringify(entry);
+      written.add(key);
+      if (stored.get(key) !== data) {
+        statements.upsert.run(athleteId, ...statements.columns(entry), data);
+        stored.set(key, data);
+      }
+    });
+    stored.forEach((_, key) => {
+      if (!written.has(key)) statements.remove.run(athleteId, key);
+    });
+
+    setState.run(athleteId, `written:${dataType}`, JSON.stringify(entries.length), new Date().toISOString());
+  });
+
+  // Add or update records without deleting any others, for syncs that see a list one
+  // page at a time and only write the whole list once they complete
+  const upsertEntries = db.transaction((athleteId, dataType, entries) => {
+    const statements = listStatements[dataType];
+    entries.forEach(entry => statements.upsert.run(athleteId, ...statements.columns(entry), JSON.stringify(entry)));
+
+    const { count } = statements.count.get(athleteId);
+    setState.run(athleteId, `written:${dataType}`, JSON.stringify(count), new Date().toISOString());
+  });
+
+  const clearAthlete = db.transaction((athleteId) => {
+    Object.values(listStatements).forEach(statements => statements.clear.run(athleteId));
+    deleteState.run(athleteId);
+  });
+
+  function isList(dataType) {
+    return dataType in listStatements;
+  }
+
+  // Whether a data type is kept here (everything else lives only in the cache)
+  function stores(dataType) {
+    return isList(dataType) || STATE_TYPES.includes(dataType);
+  }
+
+  async function read(athleteId, dataType) {
+    const id = String(athleteId);
+
+    if (isList(dataType)) {
+      if (!getState.get(id, `written:${dataType}`)) return null;
+      return listStatements[dataType].list.all(id).map(row => JSON.parse(row.data));
+    }
+
+    const row = getState.get(id, dataType);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async function write(athleteId, dataType, value) {
+    const id = String(athleteId);
+
+    if (isList(dataType)) {
+      replaceList(id, dataType, value);
+    } else {
+      setState.run(id, dataType, JSON.stringify(value), new Date().toISOString());
+    }
+  }
+
+  // Add or update some records of a list, keeping the rest
+  async function upsert(athleteId, dataType, entries) {
+    if (!isList(dataType)) {
+      throw new Error(`${dataType} is not a list`);
+    }
+    upsertEntries(String(athleteId), dataType, entries);
+  }
+
+  // Delete everything stored for an athlete (account deletion or Strava
+  // deauthorization only: the history is otherwise kept permanently)
+  async function clear(athleteId) {
+    clearAthlete(String(athleteId));
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    stores,
+    read,
+    write,
+    upsert,
+    clear,
+    close
+  };
+}
@@ -0,0 +1,159 @@
+import { RUN_SPORT_TYPES, getSportType } from "./stravaOuraIntegration.js";
+
+/* =========================
+   PERIOD AGGREGATION
+========================= */
+
+// Rolls daily training and recovery data up into day, week, month or year buckets
+// for /data?granularity=..., so the mileage chart, goals and the yearly planner all
+// total the same way. Kept free of Express so it can be checked with plain arrays.
+
+const METERS_PER_MILE = 1609.34;
+
+export const GRANULARITIES = ["day", "week", "month", "year"];
+
+// Accepted `weekStart` values, as Date#getUTCDay() numbers
+export const WEEK_START_DAYS = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6
+};
+
+// First date (YYYY-MM-DD) of the period containing `date`
+export function getPeriodStart(date, granularity, weekStart = WEEK_START_DAYS.monday) {
+  switch (granularity) {
+    case "year":
+      return `${date.slice(0, 4)}-01-01`;
+    case "month":
+      return `${date.slice(0, 7)}-01`;
+    case "week": {
+      const d = new Date(`${date}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() - weekStart + 7) % 7));
+      return d.toISOString().split("T")[0];
+    }
+    default:
+      return date;
+  }
+}
+
+const mean = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+const round = (value, digits = 0) => value === null ? null : +value.toFixed(digits);
+
+// Mean of `field`, weighted by distance, over the activities that report it
+function distanceWeightedMean(activities, field) {
+  let weighted = 0;
+  let totalDistance = 0;
+  activities.forEach(a => {
+    if (a[field] !== null && a[field] !== undefined && a[field] > 0) {
+      weighted += a[field] * a.distance;
+      totalDistance += a.distance;
+    }
+  });
+  return totalDistance > 0 ? weighted / totalDistance : null;
+}
+
+// Totals and distance-weighted averages for a set of activities, in the units the
+// activities are stored in (meters, seconds, min/mile, bpm, steps per minute)
+export function totalActivities(activities) {
+  const bySport = {};
+  activities.forEach(a => {
+    const sportType = getSportType(a);
+    if (!bySport[sportType]) {
+      bySport[sportType] = { count: 0, distance: 0, movingTime: 0 };
+    }
+    bySport[sportType].count += 1;
+    bySport[sportType].distance += a.distance || 0;
+    bySport[sportType].movingTime += a.movingTime || 0;
+  });
+
+  const maxHeartrates = activities.map(a => a.maxHeartrate).filter(hr => hr !== null && hr > 0);
+
+  return {
+    distance: activities.reduce((sum, a) => sum + (a.distance || 0), 0), // meters
+    movingTime: activities.reduce((sum, a) => sum + (a.movingTime || 0), 0), // seconds
+    activityCount: activities.length,
+    bySport,
+    pace: round(distanceWeightedMean(activities, "pace"), 2), // min/mile
+    averageHeartrate: round(distanceWeightedMean(activities, "averageHeartrate")), // bpm
+    maxHeartrate: maxHeartrates.length > 0 ? Math.max(...maxHeartrates) : null, // bpm
+    cadence: round(distanceWeightedMean(activities, "cadence")) // steps per minute
+  };
+}
+
+// totalActivities with distances in miles, as /data reports them
+export function summarizeActivities(activities) {
+  const totals = totalActivities(activities);
+  const toMiles = meters => round(meters / METERS_PER_MILE, 2);
+
+  return {
+    ...totals,
+    distance: toMiles(totals.distance),
+    bySport: Object.fromEntries(Object.entries(totals.bySport).map(([sportType, sport]) => [
+      sportType,
+      { ...sport, distance: toMiles(sport.distance) }
+    ]))
+  };
+}
+
+// Averages over the nights (sleep) and days (readiness) that have data
+export function summarizeRecovery(days) {
+  const sleepDays = days.filter(d => d.sleep && d.sleep.total > 0);
+  const readinessDays = days.filter(d => d.readiness && d.readiness.score !== null && d.readiness.score !== undefined);
+  const sleepValues = field => sleepDays.map(d => d.sleep[field]).filter(v => v !== null && v !== undefined);
+
+  return {
+    sleepDays: sleepDays.length,
+    sleepTotal: round(mean(sleepDays.map(d => d.sleep.total))), // seconds
+    sleepScore: round(mean(sleepValues("score"))),
+    hrv: round(mean(sleepValues("averageHrv"))), // ms
+    restingHeartRate: round(mean(sleepValues("lowestHeartRate"))), // bpm
+    readinessDays: readinessDays.length,
+    readinessScore: round(mean(readinessDays.map(d => d.readiness.score)))
+  };
+}
+
+// Group days ({ date, ... } in date order) by the period they fall in, in date order
+export function groupByPeriod(days, { granularity = "week", weekStart = WEEK_START_DAYS.monday } = {}) {
+  const buckets = new Map();
+  days.forEach(day => {
+    const period = getPeriodStart(day.date, granularity, weekStart);
+    if (!buckets.has(period)) {
+      buckets.set(period, []);
+    }
+    buckets.get(period).push(day);
+  });
+
+  return Array.from(buckets, ([period, periodDays]) => ({ period, days: periodDays }));
+}
+
+// Roll days up into periods for /data. `days` are { date, activities, sleep, readiness }
+// in date order, with the raw cached Strava activities and Oura records for each date.
+// Buckets only cover the days given, so the first and last bucket of a date range can
+// be partial; `days` says how many days each one holds.
+export function aggregateByPeriod(days, options = {}) {
+  return groupByPeriod(days, options).map(({ period, days: periodDays }) => {
+    const { sleepTotal, ...recovery } = summarizeRecovery(periodDays);
+    const activities = periodDays.flatMap(d => d.activities);
+
+    return {
+      period,
+      startDate: periodDays[0].date,
+      endDate: periodDays[periodDays.length - 1].date,
+      days: periodDays.length,
+      activeDays: periodDays.filter(d => d.activities.length > 0).length,
+      runCount: activities.filter(a => RUN_SPORT_TYPES.includes(getSportType(a))).length,
+      ...summarizeActivities(activities),
+      sleepDays: recovery.sleepDays,
+      sleepHours: sleepTotal === null ? null : round(sleepTotal / 3600, 2),
+      sleepScore: recovery.sleepScore,
+      hrv: recovery.hrv,
+      restingHeartRate: recovery.restingHeartRate,
+      readinessDays: recovery.readinessDays,
+      readinessScore: recovery.readinessScore
+    };
+  });
+}
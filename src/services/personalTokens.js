@@ -0,0 +1,198 @@
+import { createHash, randomBytes, randomUUID } from "crypto";
+
+/* =========================
+   PERSONAL ACCESS TOKENS
+========================= */
+
+// Tokens athletes create to read their data from scripts, notebooks and spreadsheets
+// (`Authorization: Bearer <token>`). Only a SHA-256 hash of each token is stored; the
+// token itself is shown once, when it is created.
+//
+// Token record shape:
+//   { id, athleteId, name, scopes, prefix, createdAt, lastUsedAt }
+//
+// Stored like accounts: in Redis without expiry when available, otherwise in process
+// memory (development only). Each record has its own key, and each athlete a set of
+// their token hashes, so creating, using and revoking tokens never rewrite a shared
+// list (concurrent requests would overwrite each other's changes).
+
+// Every scope is read-only; tokens can't change settings, trigger syncs or manage tokens
+export const TOKEN_SCOPES = {
+  "read:activities": "Individual Strava activities (/api/v1/activities, /runs, run exports)",
+  "read:summaries": "Daily and period summaries of training and recovery (/api/v1/days, /api/v1/periods, /data, /data/summary, day exports)"
+};
+
+// Recognizable in logs and secret scanners
+const TOKEN_PREFIX = "asig_";
+
+// Tokens an athlete may have at once
+export const MAX_TOKENS_PER_ATHLETE = 20;
+
+// lastUsedAt is only rewritten when it is older than this, so busy scripts don't
+// turn every read into a write
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function getTokenKey(tokenHash) {
+  return `api-token:${tokenHash}`;
+}
+
+function getAthleteTokensKey(athleteId) {
+  return `api-tokens:${athleteId}`;
+}
+
+// Public shape of a token (never includes the hash)
+function describeToken({ hash, ...token }) {
+  return token;
+}
+
+export function createPersonalTokenStore(redisClient) {
+  const memory = new Map();
+
+  async function read(key) {
+    if (!redisClient) {
+      return memory.get(key) ?? null;
+    }
+    const value = await redisClient.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function write(key, value) {
+    if (!redisClient) {
+      memory.set(key, value);
+      return;
+    }
+    await redisClient.set(key, JSON.stringify(value));
+  }
+
+  // Overwrite a key only if it still exists, so a token revoked meanwhile stays revoked
+  async function update(key, value) {
+    if (!redisClient) {
+      if (memory.has(key)) memory.set(key, value);
+      return;
+    }
+    await redisClient.set(key, JSON.stringify(value), { XX: true });
+  }
+
+  async function remove(key) {
+    if (!redisClient) {
+      memory.delete(key);
+      return;
+    }
+    await redisClient.del(key);
+  }
+
+  async function addHash(athleteId, hash) {
+    const key = getAthleteTokensKey(athleteId);
+    if (!redisClient) {
+      memory.set(key, new Set(memory.get(key)).add(hash));
+      return;
+    }
+    await redisClient.sAdd(key, hash);
+  }
+
+  async function removeHash(athleteId, hash) {
+    if (!redisClient) {
+      memory.get(getAthleteTokensKey(athleteId))?.delete(hash);
+      return;
+    }
+    await redisClient.sRem(getAthleteTokensKey(athleteId), hash);
+  }
+
+  // Remove and return up to `count` of the athlete's token hashes
+  async function popHashes(athleteId, count) {
+    const key = getAthleteTokensKey(athleteId);
+    if (!redisClient) {
+      const hashes = Array.from(memory.get(key) || []).slice(0, count);
+      hashes.forEach(hash => memory.get(key).delete(hash));
+      return hashes;
+    }
+    return redisClient.sPop(key, count);
+  }
+
+  // The athlete's token records, including hashes, oldest first
+  async function readTokens(athleteId) {
+    const key = getAthleteTokensKey(athleteId);
+    const hashes = redisClient ? await redisClient.sMembers(key) : Array.from(memory.get(key) || []);
+    const records = await Promise.all(hashes.map(hash => read(getTokenKey(hash))));
+    return records
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function listTokens(athleteId) {
+    return (await readTokens(athleteId)).map(describeToken);
+  }
+
+  // Create a token; the returned `token` is the only time the secret is available
+  async function createToken(athleteId, { name, scopes }) {
+    const secret = `${TOKEN_PREFIX}${randomBytes(32).toString("base64url")}`;
+    const record = {
+      id: randomUUID(),
+      athleteId,
+      name,
+      scopes,
+      prefix: secret.slice(0, TOKEN_PREFIX.length + 4),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      hash: hashToken(secret)
+    };
+
+    // The record goes first: revoking everything pops hashes from the set, and a hash
+    // popped before its record existed would leave the record behind, still valid
+    await write(getTokenKey(record.hash), record);
+    await addHash(athleteId, record.hash);
+    return { ...describeToken(record), token: secret };
+  }
+
+  async function revokeToken(athleteId, tokenId) {
+    const tokens = await readTokens(athleteId);
+    const token = tokens.find(t => t.id === tokenId);
+    if (!token) return false;
+
+    await remove(getTokenKey(token.hash));
+    await removeHash(athleteId, token.hash);
+    return true;
+  }
+
+  // Popping hashes off the set (rather than reading it, then deleting it) also catches
+  // tokens created while this runs
+  async function revokeAllTokens(athleteId) {
+    let revoked = 0;
+    for (;;) {
+      const hashes = await popHashes(athleteId, 100);
+      if (hashes.length === 0) return revoked;
+
+      await Promise.all(hashes.map(hash => remove(getTokenKey(hash))));
+      revoked += hashes.length;
+    }
+  }
+
+  // Look up the token presented in a request; null for unknown (or revoked) tokens
+  async function authenticate(secret) {
+    if (!secret || !secret.startsWith(TOKEN_PREFIX)) return null;
+
+    const key = getTokenKey(hashToken(secret));
+    const record = await read(key);
+    if (!record) return null;
+
+    const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date().toISOString();
+      await update(key, record);
+    }
+
+    return describeToken(record);
+  }
+
+  return {
+    listTokens,
+    createToken,
+    revokeToken,
+    revokeAllTokens,
+    authenticate
+  };
+}
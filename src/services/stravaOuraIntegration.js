@@ -1,13 +1,20 @@
-import fetch from "node-fetch";
 import "dotenv/config";
+import {
+  ApiError,
+  AuthExpiredError,
+  apiRequest,
+  apiRequestJson,
+  throwForStatus,
+  waitForQuota
+} from "./apiClient.js";
 
 /* =========================
    STRAVA
 ========================= */
 
 // Refresh Strava token
-async function refreshStravaToken(stravaTokens) {
-  const res = await fetch("https://www.strava.com/oauth/token", {
+async function refreshStravaToken(stravaTokens, onTokenRefresh) {
+  const res = await apiRequest("strava", "https://www.strava.com/oauth/token", {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body: new URLSearchParams({
@@ -18,6 +25,16 @@ async function refreshStravaToken(stravaTokens) {
     })
   });
 
+  // A rejected refresh token means the athlete has to reconnect Strava
+  if (!res.ok) {
+    const errorText = await res.text();
+    throw new AuthExpiredError(`Strava token refresh failed: ${res.status} - ${errorText}`, {
+      provider: "strava",
+      status: res.status,
+      body: errorText
+    });
+  }
+
   const data = await res.json();
   
   // Update the tokens object
@@ -25,120 +42,198 @@ async function refreshStravaToken(stravaTokens) {
   stravaTokens.refreshToken = data.refresh_token;
   stravaTokens.expiresAt = data.expires_at;
   
+  // Let the caller persist the rotated tokens (e.g. back to the session)
+  if (onTokenRefresh) {
+    await onTokenRefresh("strava", stravaTokens);
+  }
+  
   return data.access_token;
 }
 
-// Fetch Strava runs
-async function getStravaActivities(stravaTokens) {
-  // Check if token needs refresh
+// Strava sport types that count as running (the dashboard's default view)
+const RUN_SPORT_TYPES = ["Run", "TrailRun", "VirtualRun"];
+
+// Foot-based sport types, where pace (min/mile) and per-foot cadence make sense
+const FOOT_SPORT_TYPES = [...RUN_SPORT_TYPES, "Walk", "Hike"];
+
+// Sport type of a normalized activity
+// Activities cached before all types were synced have no sportType and were all runs
+function getSportType(activity) {
+  return activity.sportType || activity.type || "Run";
+}
+
+// Normalize a raw Strava activity into the activity shape used throughout the app
+function normalizeStravaActivity(a) {
+  const sportType = a.sport_type || a.type;
+  const isFootSport = FOOT_SPORT_TYPES.includes(sportType);
+
+  // Extract date from start_date_local
+  // Parse as Date object and extract local date components to avoid timezone issues
+  let dateStr;
+  if (a.start_date_local) {
+    // Parse the datetime string - if it has timezone info, Date will handle it
+    // Then extract local date components (not UTC) to get the correct local date
+    const dateObj = new Date(a.start_date_local);
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+    dateStr = `${year}-${month}-${day}`;
+  } else {
+    // Fallback to start_date (UTC) if start_date_local is not available
+    const fallbackDate = a.start_date ? new Date(a.start_date) : new Date();
+    const year = fallbackDate.getFullYear();
+    const month = String(fallbackDate.getMonth() + 1).padStart(2, '0');
+    const day = String(fallbackDate.getDate()).padStart(2, '0');
+    dateStr = `${year}-${month}-${day}`;
+  }
+  
+  // Calculate pace (min/mile) from moving_time (seconds) and distance (meters)
+  // Pace = (moving_time in minutes) / (distance in miles)
+  let pace = null;
+  if (isFootSport && a.moving_time && a.distance && a.distance > 0) {
+    const distanceMiles = a.distance / 1609.34; // meters to miles
+    const timeMinutes = a.moving_time / 60; // seconds to minutes
+    pace = timeMinutes / distanceMiles; // min/mile
+  }
+  
+  // Strava reports cadence per foot, so multiply by 2 to get total steps per minute
+  // (for rides it is pedal RPM, which doesn't belong in the SPM averages)
+  let cadence = null;
+  if (isFootSport && a.average_cadence && a.average_cadence > 0) {
+    cadence = a.average_cadence * 2;
+  }
+  
+  return {
+    id: a.id,
+    date: dateStr,
+    type: a.type,
+    sportType, // e.g. Run, TrailRun, Ride, Swim, Hike, WeightTraining
+    distance: a.distance, // meters
+    startDate: a.start_date_local,
+    name: a.name || sportType || "Activity",
+    pace: pace ? +(pace.toFixed(2)) : null, // min/mile, rounded to 2 decimals
+    averageHeartrate: a.average_heartrate || null, // bpm
+    maxHeartrate: a.max_heartrate || null, // bpm
+    cadence: cadence, // steps per minute (SPM) - already multiplied by 2
+    movingTime: a.moving_time || null // seconds
+  };
+}
+
+// Start time of a raw Strava activity as a Unix epoch (seconds)
+function getActivityEpoch(a) {
+  return Math.floor(new Date(a.start_date || a.start_date_local).getTime() / 1000);
+}
+
+// Get a valid Strava access token, refreshing it first if it has expired
+async function getStravaAccessToken(stravaTokens, onTokenRefresh) {
   const now = Math.floor(Date.now() / 1000);
-  let accessToken = stravaTokens.accessToken;
   
   if (now >= stravaTokens.expiresAt) {
     console.log('[INFO] Strava token expired, refreshing...');
-    accessToken = await refreshStravaToken(stravaTokens);
+    return refreshStravaToken(stravaTokens, onTokenRefresh);
   }
+  
+  return stravaTokens.accessToken;
+}
+
+// Fetch Strava activities (every sport type; filtering happens when data is served)
+//
+// Walks the athlete's activity list backwards in time using Strava's `before` bound,
+// one page at a time, until the list is exhausted or activities start before `after`.
+// Progress is tracked in a `history` object so an interrupted walk can be resumed:
+//   { after, allActivityTypes, oldest, newest, complete, pages, updatedAt }
+// `oldest` is the start epoch of the oldest activity seen and becomes the next `before`
+// cursor. Pass a previously saved history to continue from where it stopped.
+// `onPage(pageRuns, history)` is awaited after every page so callers can persist progress.
+async function getStravaActivities(stravaTokens, { after = null, history = null, onPage, onTokenRefresh } = {}) {
+  const accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+
+  const state = history || {
+    after,
+    allActivityTypes: true,
+    oldest: null,
+    newest: null,
+    complete: false,
+    pages: 0,
+    updatedAt: null
+  };
 
-  // Fetch activities with pagination to ensure we get all recent ones
-  let allActivities = [];
-  let page = 1;
+  if (state.oldest) {
+    console.log(`[SYNC] [INFO] Resuming Strava history before ${new Date(state.oldest * 1000).toISOString()}`);
+  }
+
+  // Page through history. Strava returns activities newest-first when only `before` is
+  // given, so the window's lower bound (`after`) is applied here rather than sent along,
+  // which would flip the sort order and break the cursor.
+  const runs = [];
   const perPage = 200;
+  let fetchedActivities = 0;
+  let pagesThisRun = 0;
   
-  while (true) {
-    const res = await fetch(
-      `https://www.strava.com/api/v3/athlete/activities?page=${page}&per_page=${perPage}`,
+  while (!state.complete) {
+    const params = new URLSearchParams({ per_page: String(perPage) });
+    if (state.oldest) {
+      params.set('before', String(state.oldest));
+    }
+
+    // Long history walks stop here when the rate-limit quota runs low
+    await waitForQuota("strava");
+
+    const data = await apiRequestJson(
+      "strava",
+      `https://www.strava.com/api/v3/athlete/activities?${params}`,
       { headers: { Authorization: `Bearer ${accessToken}` } }
     );
-
-    const data = await res.json();
     
-    if (!data || data.length === 0) {
-      break;
+    if (!Array.isArray(data)) {
+      throw new ApiError(`Strava API error: unexpected activity list - ${JSON.stringify(data)}`, { provider: "strava" });
     }
     
-    allActivities = allActivities.concat(data);
+    pagesThisRun++;
+    state.pages++;
     
-    // Stop if we got fewer than per_page (last page)
-    if (data.length < perPage) {
-      break;
+    const inWindow = state.after
+      ? data.filter(a => getActivityEpoch(a) >= state.after)
+      : data;
+    fetchedActivities += inWindow.length;
+    
+    if (data.length > 0) {
+      const epochs = data.map(getActivityEpoch);
+      const pageOldest = Math.min(...epochs);
+      const pageNewest = Math.max(...epochs);
+      state.oldest = state.oldest ? Math.min(state.oldest, pageOldest) : pageOldest;
+      state.newest = state.newest ? Math.max(state.newest, pageNewest) : pageNewest;
     }
     
-    // Safety limit: don't fetch more than 3 pages (600 activities)
-    if (page >= 3) {
-      console.log("Reached page limit (3 pages), stopping fetch");
-      break;
+    // Done once the list is exhausted or the page reaches past the start of the window
+    if (data.length < perPage || inWindow.length < data.length) {
+      state.complete = true;
     }
+    state.updatedAt = new Date().toISOString();
+    
+    const pageRuns = inWindow.map(normalizeStravaActivity);
+    runs.push(...pageRuns);
     
-    page++;
+    if (onPage) {
+      await onPage(pageRuns, state);
+    }
   }
   
-  console.log(`Fetched ${allActivities.length} total activities from Strava across ${page} page(s)`);
-  
-  const data = allActivities;
-
-  const runs = (data || [])
-    .filter(a => a.type === "Run")
-    .map(a => {
-      // Extract date from start_date_local
-      // Parse as Date object and extract local date components to avoid timezone issues
-      let dateStr;
-      if (a.start_date_local) {
-        // Parse the datetime string - if it has timezone info, Date will handle it
-        // Then extract local date components (not UTC) to get the correct local date
-        const dateObj = new Date(a.start_date_local);
-        const year = dateObj.getFullYear();
-        const month = String(dateObj.getMonth() + 1).padStart(2, '0');
-        const day = String(dateObj.getDate()).padStart(2, '0');
-        dateStr = `${year}-${month}-${day}`;
-      } else {
-        // Fallback to start_date (UTC) if start_date_local is not available
-        const fallbackDate = a.start_date ? new Date(a.start_date) : new Date();
-        const year = fallbackDate.getFullYear();
-        const month = String(fallbackDate.getMonth() + 1).padStart(2, '0');
-        const day = String(fallbackDate.getDate()).padStart(2, '0');
-        dateStr = `${year}-${month}-${day}`;
-      }
-      
-      // Calculate pace (min/mile) from moving_time (seconds) and distance (meters)
-      // Pace = (moving_time in minutes) / (distance in miles)
-      let pace = null;
-      if (a.moving_time && a.distance && a.distance > 0) {
-        const distanceMiles = a.distance / 1609.34; // meters to miles
-        const timeMinutes = a.moving_time / 60; // seconds to minutes
-        pace = timeMinutes / distanceMiles; // min/mile
-      }
-      
-      // Strava reports cadence per foot, so multiply by 2 to get total steps per minute
-      let cadence = null;
-      if (a.average_cadence && a.average_cadence > 0) {
-        const originalCadence = a.average_cadence;
-        cadence = originalCadence * 2;
-        // Debug: log cadence multiplication
-        console.log(`Cadence conversion for ${dateStr}: ${originalCadence} (Strava per foot) -> ${cadence} (total SPM)`);
-      }
-      
-      return {
-        date: dateStr,
-        distance: a.distance, // meters
-        startDate: a.start_date_local,
-        name: a.name || "Run",
-        pace: pace ? +(pace.toFixed(2)) : null, // min/mile, rounded to 2 decimals
-        averageHeartrate: a.average_heartrate || null, // bpm
-        maxHeartrate: a.max_heartrate || null, // bpm
-        cadence: cadence, // steps per minute (SPM) - already multiplied by 2
-        movingTime: a.moving_time || null // seconds
-      };
-    });
+  console.log(`Fetched ${fetchedActivities} total activities from Strava across ${pagesThisRun} page(s)`);
+  if (state.oldest) {
+    console.log(`[SYNC] [INFO] Strava history reaches back to ${new Date(state.oldest * 1000).toISOString()} (complete: ${state.complete})`);
+  }
 
-  // Debug: log recent runs
+  // Debug: log recent activities
   const topRuns = runs.slice(0, 10);
-  console.log("Recent Strava runs (first 10):", topRuns.map(r => ({ 
+  console.log("Recent Strava activities (first 10):", topRuns.map(r => ({ 
     date: r.date, 
+    sportType: r.sportType,
     distance: (r.distance / 1609.34).toFixed(2) + " miles",
     name: r.name,
     cadence: r.cadence ? r.cadence + " spm" : "N/A"
   })));
-  console.log("Total runs fetched:", runs.length);
+  console.log("Total activities fetched:", runs.length);
   console.log("Date range of runs:", runs.length > 0 ? {
     earliest: runs[runs.length - 1].date,
     latest: runs[0].date
@@ -170,25 +265,347 @@ async function getStravaActivities(stravaTokens) {
   return runs;
 }
 
+// Fetch Strava activities that started after `since` (Unix epoch seconds) for incremental syncs
+// With only `after` set Strava returns activities oldest-first, so the newest start time
+// on each page is the cursor for the next one. Returns the runs, that final cursor and the page count.
+async function getStravaActivitiesSince(stravaTokens, since, { onTokenRefresh } = {}) {
+  const accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+  
+  const runs = [];
+  const perPage = 200;
+  let newest = since;
+  let pages = 0;
+  
+  while (true) {
+    const params = new URLSearchParams({
+      per_page: String(perPage),
+      after: String(newest)
+    });
+
+    await waitForQuota("strava");
+
+    const data = await apiRequestJson(
+      "strava",
+      `https://www.strava.com/api/v3/athlete/activities?${params}`,
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    if (!Array.isArray(data)) {
+      throw new ApiError(`Strava API error: unexpected activity list - ${JSON.stringify(data)}`, { provider: "strava" });
+    }
+
+    pages++;
+
+    if (data.length === 0) {
+      break;
+    }
+
+    newest = Math.max(newest, ...data.map(getActivityEpoch));
+    runs.push(...data.map(normalizeStravaActivity));
+
+    if (data.length < perPage) {
+      break;
+    }
+  }
+  
+  console.log(`[SYNC] [INFO] Fetched ${runs.length} new Strava activities since ${new Date(since * 1000).toISOString()} across ${pages} page(s)`);
+  
+  return { runs, newest, pages };
+}
+
+// Fetch a single Strava activity (used to apply webhook events)
+// Returns the normalized activity, or null if it is gone (or no longer visible to us)
+async function getStravaActivity(stravaTokens, activityId, { onTokenRefresh } = {}) {
+  const accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+
+  const res = await apiRequest(
+    "strava",
+    `https://www.strava.com/api/v3/activities/${activityId}`,
+    { headers: { Authorization: `Bearer ${accessToken}` } }
+  );
+
+  if (res.status === 404) {
+    return null;
+  }
+
+  if (!res.ok) {
+    await throwForStatus("strava", res);
+  }
+
+  return normalizeStravaActivity(await res.json());
+}
+
+// Fetch the authenticated athlete's profile (used to identify sessions from before
+// athlete accounts, which didn't record the athlete ID)
+async function getStravaAthlete(stravaTokens, { onTokenRefresh } = {}) {
+  const accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+
+  return apiRequestJson("strava", "https://www.strava.com/api/v3/athlete", {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+}
+
+// Whether Strava now rejects the athlete's tokens (used to confirm a deauthorization
+// webhook before acting on it). Errors other than a rejected token are thrown, since
+// they don't say either way.
+async function isStravaAccessRevoked(stravaTokens, { onTokenRefresh } = {}) {
+  let accessToken;
+  try {
+    accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+  } catch (error) {
+    if (error instanceof AuthExpiredError) return true;
+    throw error;
+  }
+
+  const res = await apiRequest("strava", "https://www.strava.com/api/v3/athlete", {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (res.status === 401) {
+    return true;
+  }
+  if (!res.ok) {
+    await throwForStatus("strava", res);
+  }
+  return false;
+}
+
+// Revoke the app's access to the athlete's Strava account (account deletion)
+// A token Strava already rejects counts as revoked
+async function revokeStravaAccess(stravaTokens, { onTokenRefresh } = {}) {
+  let accessToken;
+  try {
+    accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+  } catch (error) {
+    if (error instanceof AuthExpiredError) return false;
+    throw error;
+  }
+
+  const res = await apiRequest("strava", "https://www.strava.com/oauth/deauthorize", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (res.status === 401) {
+    return false;
+  }
+  if (!res.ok) {
+    await throwForStatus("strava", res);
+  }
+  return true;
+}
+
+// Stream types requested for activity detail (see Strava's "Get Activity Streams")
+const STRAVA_STREAM_KEYS = ["time", "distance", "heartrate", "velocity_smooth", "cadence", "altitude"];
+
+// Convert a speed (m/s) to pace (min/mile); null when standing still
+function speedToPace(metersPerSecond) {
+  if (!metersPerSecond || metersPerSecond <= 0) return null;
+  return +((1609.34 / metersPerSecond / 60).toFixed(2));
+}
+
+// Normalize a Strava split (splits_metric / splits_standard entry)
+function normalizeStravaSplit(split, isFootSport) {
+  return {
+    split: split.split,
+    distance: split.distance, // meters
+    movingTime: split.moving_time, // seconds
+    elapsedTime: split.elapsed_time, // seconds
+    elevationDifference: split.elevation_difference ?? null, // meters
+    pace: isFootSport ? speedToPace(split.average_speed) : null, // min/mile
+    averageSpeed: split.average_speed ?? null, // m/s
+    averageHeartrate: split.average_heartrate || null // bpm
+  };
+}
+
+// Normalize a Strava lap
+function normalizeStravaLap(lap, isFootSport) {
+  return {
+    lapIndex: lap.lap_index,
+    name: lap.name || `Lap ${lap.lap_index}`,
+    startDate: lap.start_date_local,
+    distance: lap.distance, // meters
+    movingTime: lap.moving_time, // seconds
+    elapsedTime: lap.elapsed_time, // seconds
+    elevationGain: lap.total_elevation_gain ?? null, // meters
+    pace: isFootSport ? speedToPace(lap.average_speed) : null, // min/mile
+    averageSpeed: lap.average_speed ?? null, // m/s
+    averageHeartrate: lap.average_heartrate || null, // bpm
+    maxHeartrate: lap.max_heartrate || null, // bpm
+    cadence: isFootSport && lap.average_cadence ? lap.average_cadence * 2 : null // SPM
+  };
+}
+
+// Normalize streams fetched with key_by_type=true into plain arrays, one value per sample
+// Missing stream types (no HR strap, indoor activity, ...) come back as null
+function normalizeStravaStreams(streams, isFootSport) {
+  const series = key => streams?.[key]?.data || null;
+  const velocity = series("velocity_smooth");
+  const cadence = series("cadence");
+
+  return {
+    time: series("time"), // seconds from start
+    distance: series("distance"), // meters from start
+    heartrate: series("heartrate"), // bpm
+    velocity, // m/s
+    pace: isFootSport && velocity ? velocity.map(speedToPace) : null, // min/mile
+    cadence: cadence && isFootSport ? cadence.map(c => c * 2) : cadence, // SPM for foot sports, RPM for rides
+    altitude: series("altitude") // meters
+  };
+}
+
+// Fetch a single activity with its splits, laps and time-series streams
+// Returns null if the activity is gone (or no longer visible to us)
+async function getStravaActivityDetail(stravaTokens, activityId, { onTokenRefresh } = {}) {
+  const accessToken = await getStravaAccessToken(stravaTokens, onTokenRefresh);
+  const headers = { Authorization: `Bearer ${accessToken}` };
+
+  const streamParams = new URLSearchParams({ keys: STRAVA_STREAM_KEYS.join(","), key_by_type: "true" });
+  const [activityRes, streamsRes] = await Promise.all([
+    apiRequest("strava", `https://www.strava.com/api/v3/activities/${activityId}`, { headers }),
+    apiRequest("strava", `https://www.strava.com/api/v3/activities/${activityId}/streams?${streamParams}`, { headers })
+  ]);
+
+  if (activityRes.status === 404) {
+    return null;
+  }
+
+  if (!activityRes.ok) {
+    await throwForStatus("strava", activityRes);
+  }
+
+  const data = await activityRes.json();
+
+  // Manual activities have no streams; Strava answers those with a 404
+  let streams = null;
+  if (streamsRes.ok) {
+    streams = await streamsRes.json();
+  } else if (streamsRes.status !== 404) {
+    await throwForStatus("strava", streamsRes);
+  }
+
+  const activity = normalizeStravaActivity(data);
+  const isFootSport = FOOT_SPORT_TYPES.includes(activity.sportType);
+
+  return {
+    ...activity,
+    elapsedTime: data.elapsed_time || null, // seconds
+    elevationGain: data.total_elevation_gain ?? null, // meters
+    splitsMetric: (data.splits_metric || []).map(split => normalizeStravaSplit(split, isFootSport)),
+    splitsStandard: (data.splits_standard || []).map(split => normalizeStravaSplit(split, isFootSport)),
+    laps: (data.laps || []).map(lap => normalizeStravaLap(lap, isFootSport)),
+    streams: normalizeStravaStreams(streams, isFootSport)
+  };
+}
+
 /* =========================
    OURA
 ========================= */
 
+// Refreshes keyed by refresh token. Oura refresh tokens are single-use, and every
+// request loads its own copy of the session or account, so concurrent requests holding
+// the same refresh token must share one refresh instead of racing each other. Results
+// are kept for a minute so a request that loaded its copy just before the rotated
+// token was persisted gets it too.
+const ouraRefreshes = new Map();
+const OURA_REFRESH_REUSE_MS = 60 * 1000;
+
+// Exchange a refresh token for { accessToken, refreshToken, expiresAt }
+async function requestOuraRefresh(refreshToken) {
+  const res = await apiRequest("oura", "https://api.ouraring.com/oauth/token", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+      client_id: process.env.OURA_CLIENT_ID,
+      client_secret: process.env.OURA_CLIENT_SECRET
+    })
+  }, { retry: false });
+
+  if (!res.ok) {
+    const errorText = await res.text();
+    console.error(`Oura token refresh error (${res.status}):`, errorText);
+    throw new AuthExpiredError(`Oura token refresh failed: ${res.status} - ${errorText}`, {
+      provider: "oura",
+      status: res.status,
+      body: errorText
+    });
+  }
+
+  const data = await res.json();
+  console.log('[INFO] Oura token refreshed successfully');
+
+  // Oura rotates the refresh token on every use
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token ?? refreshToken,
+    expiresAt: data.expires_in ? Math.floor(Date.now() / 1000) + data.expires_in : null
+  };
+}
+
+// Refresh Oura token
+async function refreshOuraToken(ouraToken, onTokenRefresh) {
+  const { refreshToken } = ouraToken;
+  let refresh = ouraRefreshes.get(refreshToken);
+
+  if (!refresh) {
+    refresh = requestOuraRefresh(refreshToken);
+    ouraRefreshes.set(refreshToken, refresh);
+    refresh.then(
+      () => setTimeout(() => ouraRefreshes.delete(refreshToken), OURA_REFRESH_REUSE_MS).unref(),
+      () => ouraRefreshes.delete(refreshToken)
+    );
+  }
+
+  // Every caller updates its own copy of the token
+  Object.assign(ouraToken, await refresh);
+
+  // Let the caller persist the rotated token (e.g. back to the session)
+  if (onTokenRefresh) {
+    await onTokenRefresh("oura", ouraToken);
+  }
+
+  return ouraToken.accessToken;
+}
+
+// Authenticated GET against the Oura API
+// Refreshes the token up front if it has expired, and once more if Oura answers 401
+async function fetchOura(ouraToken, url, onTokenRefresh) {
+  const now = Math.floor(Date.now() / 1000);
+  if (ouraToken.refreshToken && ouraToken.expiresAt && now >= ouraToken.expiresAt) {
+    console.log('[INFO] Oura token expired, refreshing...');
+    await refreshOuraToken(ouraToken, onTokenRefresh);
+  }
+
+  const res = await apiRequest("oura", url, {
+    headers: { Authorization: `Bearer ${ouraToken.accessToken}` }
+  });
+
+  if (res.status !== 401 || !ouraToken.refreshToken) {
+    return res;
+  }
+
+  console.log('[INFO] Oura API returned 401, refreshing token and retrying...');
+  await refreshOuraToken(ouraToken, onTokenRefresh);
+
+  return apiRequest("oura", url, {
+    headers: { Authorization: `Bearer ${ouraToken.accessToken}` }
+  });
+}
+
 // Sleep durations + stages (REAL seconds)
 // This endpoint also includes sleep scores, so we'll extract both
-async function getOuraSleepDurations(ouraAccessToken, start, end) {
+async function getOuraSleepDurations(ouraToken, start, end, onTokenRefresh) {
   try {
     const url = `https://api.ouraring.com/v2/usercollection/sleep?start_date=${start}&end_date=${end}`;
     console.log(`Fetching Oura sleep data from: ${url}`);
     
-    const res = await fetch(url, {
-      headers: { Authorization: `Bearer ${ouraAccessToken}` }
-    });
+    const res = await fetchOura(ouraToken, url, onTokenRefresh);
 
     if (!res.ok) {
-      const errorText = await res.text();
-      console.error(`Oura API error (${res.status}):`, errorText);
-      throw new Error(`Oura API error: ${res.status} - ${errorText}`);
+      console.error(`Oura API error (${res.status}) fetching sleep sessions`);
+      await throwForStatus("oura", res);
     }
 
     const data = await res.json();
@@ -307,7 +724,15 @@ async function getOuraSleepDurations(ouraAccessToken, start, end) {
         rem: s.rem_sleep_duration ?? 0,
         deep: s.deep_sleep_duration ?? 0,
         light: s.light_sleep_duration ?? 0,
-        score: s.score ?? null // Also extract score from sleep endpoint
+        score: s.score ?? null, // Also extract score from sleep endpoint
+        averageHrv: s.average_hrv ?? null, // ms
+        lowestHeartRate: s.lowest_heart_rate ?? null, // bpm (resting heart rate)
+        averageHeartRate: s.average_heart_rate ?? null, // bpm
+        respiratoryRate: s.average_breath ?? null, // breaths per minute
+        efficiency: s.efficiency ?? null, // % of time in bed spent asleep
+        latency: s.latency ?? null, // seconds to fall asleep
+        bedtimeStart: s.bedtime_start ?? null, // ISO 8601 with the local UTC offset
+        bedtimeEnd: s.bedtime_end ?? null // ISO 8601 with the local UTC offset
       };
       
       // Debug: log if we have a score but no durations (unusual case)
@@ -340,20 +765,16 @@ async function getOuraSleepDurations(ouraAccessToken, start, end) {
 }
 
 // Sleep scores only (fallback to daily_sleep endpoint)
-async function getOuraSleepScores(ouraAccessToken, start, end) {
+async function getOuraSleepScores(ouraToken, start, end, onTokenRefresh) {
   try {
     const url = `https://api.ouraring.com/v2/usercollection/daily_sleep?start_date=${start}&end_date=${end}`;
     console.log(`Fetching Oura sleep scores from: ${url}`);
     
-    const res = await fetch(url, {
-      headers: { Authorization: `Bearer ${ouraAccessToken}` }
-    });
+    const res = await fetchOura(ouraToken, url, onTokenRefresh);
 
     if (!res.ok) {
-      const errorText = await res.text();
-      console.error(`Oura API error (${res.status}):`, errorText);
-      // Don't throw - this is a fallback endpoint, continue without scores
-      return [];
+      console.error(`Oura API error (${res.status}) fetching sleep scores`);
+      await throwForStatus("oura", res);
     }
 
     const data = await res.json();
@@ -384,30 +805,136 @@ async function getOuraSleepScores(ouraAccessToken, start, end) {
     }));
   } catch (error) {
     console.error("Error fetching Oura sleep scores:", error.message);
-    // Don't throw - this is a fallback endpoint
-    return [];
+    throw error;
   }
 }
 
-// Readiness scores
-async function getOuraReadinessScores(ouraAccessToken, start, end) {
-  const res = await fetch(
+// Readiness contributor keys from Oura, and the names they are exposed under
+const READINESS_CONTRIBUTORS = {
+  activity_balance: "activityBalance",
+  body_temperature: "bodyTemperature",
+  hrv_balance: "hrvBalance",
+  previous_day_activity: "previousDayActivity",
+  previous_night: "previousNight",
+  recovery_index: "recoveryIndex",
+  resting_heart_rate: "restingHeartRate",
+  sleep_balance: "sleepBalance"
+};
+
+// Readiness scores, with the contributor breakdown (each 1-100) and body temperature deviation
+async function getOuraReadinessScores(ouraToken, start, end, onTokenRefresh) {
+  const res = await fetchOura(
+    ouraToken,
     `https://api.ouraring.com/v2/usercollection/daily_readiness?start_date=${start}&end_date=${end}`,
-    { headers: { Authorization: `Bearer ${ouraAccessToken}` } }
+    onTokenRefresh
   );
 
+  if (!res.ok) {
+    await throwForStatus("oura", res);
+  }
+
   const data = await res.json();
 
   return (data.data || []).map(r => ({
     date: r.day,
-    score: r.score
+    score: r.score,
+    contributors: r.contributors
+      ? Object.fromEntries(Object.entries(READINESS_CONTRIBUTORS)
+        .map(([key, name]) => [name, r.contributors[key] ?? null]))
+      : null,
+    temperatureDeviation: r.temperature_deviation ?? null, // °C from the personal baseline
+    temperatureTrendDeviation: r.temperature_trend_deviation ?? null // °C, weighted 3-day trend
+  }));
+}
+
+// Oura user profile; its `id` links the ring to an athlete account
+async function getOuraPersonalInfo(ouraToken, onTokenRefresh) {
+  const res = await fetchOura(ouraToken, "https://api.ouraring.com/v2/usercollection/personal_info", onTokenRefresh);
+
+  if (!res.ok) {
+    await throwForStatus("oura", res);
+  }
+
+  return res.json();
+}
+
+// Revoke the app's access to the athlete's Oura account (account deletion)
+// A token Oura already rejects counts as revoked
+async function revokeOuraAccess(ouraToken, onTokenRefresh) {
+  // An expired access token can't be revoked; the refresh token would outlive it
+  const now = Math.floor(Date.now() / 1000);
+  if (ouraToken.refreshToken && ouraToken.expiresAt && now >= ouraToken.expiresAt) {
+    try {
+      await refreshOuraToken(ouraToken, onTokenRefresh);
+    } catch (error) {
+      if (error instanceof AuthExpiredError) return false;
+      throw error;
+    }
+  }
+
+  const res = await apiRequest(
+    "oura",
+    `https://api.ouraring.com/oauth/revoke?access_token=${encodeURIComponent(ouraToken.accessToken)}`
+  );
+
+  if (res.status === 400 || res.status === 401) {
+    return false;
+  }
+  if (!res.ok) {
+    await throwForStatus("oura", res);
+  }
+  return true;
+}
+
+// Daily activity (steps, calories, movement intensity) tracked by the ring all day,
+// including the non-exercise movement Strava never sees
+async function getOuraDailyActivity(ouraToken, start, end, onTokenRefresh) {
+  const res = await fetchOura(
+    ouraToken,
+    `https://api.ouraring.com/v2/usercollection/daily_activity?start_date=${start}&end_date=${end}`,
+    onTokenRefresh
+  );
+
+  if (!res.ok) {
+    await throwForStatus("oura", res);
+  }
+
+  const data = await res.json();
+
+  console.log(`Oura daily_activity API response: ${data.data?.length || 0} days returned`);
+
+  return (data.data || []).map(a => ({
+    date: a.day,
+    score: a.score ?? null,
+    steps: a.steps ?? null,
+    activeCalories: a.active_calories ?? null, // kcal
+    totalCalories: a.total_calories ?? null, // kcal
+    walkingEquivalentDistance: a.equivalent_walking_distance ?? null, // meters
+    highActivityTime: a.high_activity_time ?? null, // seconds
+    mediumActivityTime: a.medium_activity_time ?? null, // seconds
+    lowActivityTime: a.low_activity_time ?? null, // seconds
+    sedentaryTime: a.sedentary_time ?? null, // seconds
+    inactivityAlerts: a.inactivity_alerts ?? null
   }));
 }
 
+// Per-night readings carried alongside sleep durations: physiological vitals and
+// bed/wake times, all taken from the night's main session
+const MAIN_SESSION_FIELDS = [
+  "averageHrv", "lowestHeartRate", "averageHeartRate", "respiratoryRate", "efficiency", "latency",
+  "bedtimeStart", "bedtimeEnd"
+];
+
+// Pick the main-session readings out of a sleep record (null for any that are missing)
+function getMainSessionDetails(sleep) {
+  return Object.fromEntries(MAIN_SESSION_FIELDS.map(field => [field, sleep?.[field] ?? null]));
+}
+
 // Aggregate multiple sleep sessions per day
 // Also preserve scores from sleep endpoint if available
 function aggregateSleepByDay(sessions) {
   const byDate = {};
+  const mainSessionTotals = {};
 
   sessions.forEach(s => {
     if (!byDate[s.date]) {
@@ -416,8 +943,10 @@ function aggregateSleepByDay(sessions) {
         rem: 0,
         deep: 0,
         light: 0,
-        score: null
+        score: null,
+        ...getMainSessionDetails(null)
       };
+      mainSessionTotals[s.date] = -1;
     }
 
     byDate[s.date].total += s.total;
@@ -428,6 +957,12 @@ function aggregateSleepByDay(sessions) {
     if (s.score !== null && s.score !== undefined) {
       byDate[s.date].score = s.score;
     }
+    // Vitals and bed/wake times come from the day's main (longest) session;
+    // naps would skew HRV and RHR and aren't bedtimes
+    if (s.total > mainSessionTotals[s.date]) {
+      mainSessionTotals[s.date] = s.total;
+      Object.assign(byDate[s.date], getMainSessionDetails(s));
+    }
   });
 
   return byDate;
@@ -437,9 +972,30 @@ function aggregateSleepByDay(sessions) {
    MERGE EVERYTHING
 ========================= */
 
+export {
+  RUN_SPORT_TYPES,
+  READINESS_CONTRIBUTORS,
+  getSportType,
+  getStravaActivities,
+  getStravaActivitiesSince,
+  getStravaActivity,
+  getStravaActivityDetail,
+  getMainSessionDetails,
+  getOuraPersonalInfo,
+  getStravaAthlete,
+  normalizeStravaActivity,
+  isStravaAccessRevoked,
+  revokeStravaAccess,
+  revokeOuraAccess
+};
+
 // Export a function that creates mergeData with user's tokens
-export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
-  return async function mergeData(startDate = "2025-12-01", endDate = "2025-12-31") {
+// onTokenRefresh(provider, tokens) is called whenever a token is rotated so it can be persisted
+// onProgress(progress) is called as each Oura dataset is fetched ({ stage: "oura", dataset })
+// and once the days are merged ({ stage: "merging", days })
+export default function createMergeDataFunction(stravaTokens, ouraToken, { onTokenRefresh, onProgress = () => {} } = {}) {
+  // Pass `runs` to merge already-synced Strava runs instead of fetching them again
+  return async function mergeData(startDate = "2025-12-01", endDate = "2025-12-31", { runs: syncedRuns } = {}) {
   console.log(`\n[INFO] Starting mergeData for range: ${startDate} to ${endDate}`);
   
   // Expand end date by 1 day to catch any sleep that might be labeled as the next day
@@ -449,24 +1005,41 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
   const expandedEndDateStr = expandedEndDate.toISOString().split('T')[0];
   console.log(`[DATE] Expanded end date to ${expandedEndDateStr} to catch next-day labeled sleep`);
   
-    const runs = await getStravaActivities(stravaTokens);
+  const runs = syncedRuns || await getStravaActivities(stravaTokens, {
+    after: Math.floor(new Date(startDate).getTime() / 1000),
+    onTokenRefresh
+  });
 
+  onProgress({ stage: "oura", dataset: "sleep scores" });
   const sleepScores = await getOuraSleepScores(
-      ouraAccessToken,
+    ouraToken,
     startDate,
-    expandedEndDateStr
+    expandedEndDateStr,
+    onTokenRefresh
   );
 
+  onProgress({ stage: "oura", dataset: "readiness" });
   const readinessScores = await getOuraReadinessScores(
-      ouraAccessToken,
+    ouraToken,
+    startDate,
+    expandedEndDateStr,
+    onTokenRefresh
+  );
+
+  onProgress({ stage: "oura", dataset: "daily activity" });
+  const dailyActivity = await getOuraDailyActivity(
+    ouraToken,
     startDate,
-    expandedEndDateStr
+    expandedEndDateStr,
+    onTokenRefresh
   );
 
+  onProgress({ stage: "oura", dataset: "sleep sessions" });
   const sleepSessions = await getOuraSleepDurations(
-      ouraAccessToken,
+    ouraToken,
     startDate,
-    expandedEndDateStr
+    expandedEndDateStr,
+    onTokenRefresh
   );
 
   const sleepByDate = aggregateSleepByDay(sleepSessions);
@@ -512,9 +1085,11 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
         rem: sleepByDate[s.date]?.rem ?? null,
         deep: sleepByDate[s.date]?.deep ?? null,
         light: sleepByDate[s.date]?.light ?? null,
-        score: s.score // Use score from daily_sleep endpoint
+        score: s.score, // Use score from daily_sleep endpoint
+        ...getMainSessionDetails(sleepByDate[s.date])
       },
       readiness: null,
+      activity: null,
       runs: []
     };
   });
@@ -535,9 +1110,11 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
             rem: sleepData.rem ?? null,
             deep: sleepData.deep ?? null,
             light: sleepData.light ?? null,
-            score: sleepData.score ?? null // Use score from sleep endpoint if available
+            score: sleepData.score ?? null, // Use score from sleep endpoint if available
+            ...getMainSessionDetails(sleepData)
           },
           readiness: null,
+          activity: null,
           runs: []
         };
         if (sleepData.score) {
@@ -557,6 +1134,7 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
           merged[date].sleep.rem = sleepData.rem ?? merged[date].sleep.rem ?? null;
           merged[date].sleep.deep = sleepData.deep ?? merged[date].sleep.deep ?? null;
           merged[date].sleep.light = sleepData.light ?? merged[date].sleep.light ?? null;
+          Object.assign(merged[date].sleep, getMainSessionDetails(sleepData));
           console.log(`[SUCCESS] Updated sleep durations for ${date}: ${Math.floor(sleepData.total / 3600)}h ${Math.round((sleepData.total % 3600) / 60)}m`);
         }
         
@@ -589,20 +1167,37 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
       merged[r.date] = {
         sleep: null,
         readiness: null,
+        activity: null,
         runs: []
       };
     }
-    merged[r.date].readiness = {
-      score: r.score
-    };
+    const { date, ...readiness } = r;
+    merged[r.date].readiness = readiness;
   });
 
-  // Merge runs
+  // Add Oura daily activity
+  dailyActivity.forEach(a => {
+    if (!merged[a.date]) {
+      merged[a.date] = {
+        sleep: null,
+        readiness: null,
+        activity: null,
+        runs: []
+      };
+    }
+    const { date, ...activity } = a;
+    merged[a.date].activity = activity;
+  });
+
+  // Merge Strava activities
+  // The per-day list keeps its historical `runs` name but holds every sport type;
+  // the /data route filters by sportType
   runs.forEach(r => {
     if (!merged[r.date]) {
       merged[r.date] = {
         sleep: null,
         readiness: null,
+        activity: null,
         runs: []
       };
     }
@@ -623,6 +1218,8 @@ export default function createMergeDataFunction(stravaTokens, ouraAccessToken) {
   console.log("Latest date with run:", datesWithRuns.length > 0 ? datesWithRuns[datesWithRuns.length - 1] : "none");
   console.log("Requested date range:", startDate, "to", endDate);
 
+  onProgress({ stage: "merging", days: Object.keys(merged).length });
+
   // Sort by date
   return Object.fromEntries(
     Object.entries(merged).sort(([a], [b]) =>
@@ -0,0 +1,82 @@
+/* =========================
+   STRAVA WEBHOOK EVENTS
+========================= */
+
+// Helpers for Strava push subscriptions (https://developers.strava.com/docs/webhooks/).
+// Kept free of Express and Redis so events can be checked with locally crafted payloads.
+
+// Handle the subscription validation request Strava sends when a subscription is created
+// Returns the challenge to echo back, or null if the request should be rejected
+export function verifyStravaSubscription(query, verifyToken) {
+  const mode = query["hub.mode"];
+  const token = query["hub.verify_token"];
+  const challenge = query["hub.challenge"];
+
+  if (mode !== "subscribe" || !challenge) {
+    return null;
+  }
+
+  if (!verifyToken || token !== verifyToken) {
+    console.log('[WEBHOOK] [WARNING] Subscription verification failed: verify token mismatch');
+    return null;
+  }
+
+  return challenge;
+}
+
+// Validate and normalize an event POSTed by Strava
+// Returns null when the payload is not a usable event or isn't for our subscription.
+// Events carry no signature, so the subscription ID is the only check on the sender;
+// destructive events are confirmed with Strava before they are applied.
+export function parseStravaWebhookEvent(body, expectedSubscriptionId) {
+  if (!body || typeof body !== "object") {
+    return null;
+  }
+
+  const { object_type, object_id, aspect_type, owner_id, subscription_id, updates, event_time } = body;
+
+  if (!["activity", "athlete"].includes(object_type)) {
+    return null;
+  }
+
+  if (!["create", "update", "delete"].includes(aspect_type)) {
+    return null;
+  }
+
+  if (!Number.isFinite(Number(object_id)) || !Number.isFinite(Number(owner_id))) {
+    return null;
+  }
+
+  if (!expectedSubscriptionId || String(subscription_id) !== String(expectedSubscriptionId)) {
+    console.log(`[WEBHOOK] [WARNING] Ignoring event for unknown subscription ${subscription_id}`);
+    return null;
+  }
+
+  return {
+    objectType: object_type,
+    objectId: Number(object_id),
+    aspectType: aspect_type,
+    ownerId: Number(owner_id),
+    updates: updates || {},
+    eventTime: event_time || null
+  };
+}
+
+// Athlete events with authorized=false mean the athlete revoked our access
+export function isDeauthorizationEvent(event) {
+  return event.objectType === "athlete" &&
+    String(event.updates.authorized) === "false";
+}
+
+// Apply an activity event to a cached activity list
+// `activity` is the normalized activity fetched after a create/update, or null when the
+// activity is no longer one we track (deleted or made private)
+export function applyActivityEvent(cachedActivities, event, activity) {
+  const remaining = cachedActivities.filter(a => String(a.id) !== String(event.objectId));
+
+  if (event.aspectType === "delete" || !activity) {
+    return remaining;
+  }
+
+  return [...remaining, activity].sort((a, b) => a.date.localeCompare(b.date));
+}
@@ -0,0 +1,124 @@
+/* =========================
+   ATHLETE ACCOUNTS
+========================= */
+
+// Accounts are keyed by Strava athlete ID and outlive sessions: tokens, settings and
+// cached data belong to the athlete, and a session only records which athlete it is.
+//
+// Account shape:
+//   { athleteId, ouraUserId, stravaTokens, ouraToken, profile, settings, createdAt, updatedAt }
+//
+// Stored in Redis without expiry when available, otherwise in process memory
+// (development only: accounts are lost on restart).
+
+function getAccountKey(athleteId) {
+  return `account:${athleteId}`;
+}
+
+function getOuraUserKey(ouraUserId) {
+  return `oura-user:${ouraUserId}`;
+}
+
+export function createAccountStore(redisClient) {
+  const memory = new Map();
+
+  async function read(key) {
+    if (!redisClient) {
+      return memory.get(key) ?? null;
+    }
+    const value = await redisClient.get(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async function write(key, value) {
+    if (!redisClient) {
+      memory.set(key, value);
+      return;
+    }
+    await redisClient.set(key, JSON.stringify(value));
+  }
+
+  async function remove(key) {
+    if (!redisClient) {
+      memory.delete(key);
+      return;
+    }
+    await redisClient.del(key);
+  }
+
+  async function getAccount(athleteId) {
+    if (!athleteId) return null;
+    return read(getAccountKey(athleteId));
+  }
+
+  // Load (or start) an account, let `update` modify it, then save it
+  // Keeps the Oura user -> athlete link in step with the account's ouraUserId
+  // With `create: false` a missing account (e.g. deleted meanwhile) is left alone and
+  // null is returned, instead of starting a blank one
+  async function updateAccount(athleteId, update, { create = true } = {}) {
+    const now = new Date().toISOString();
+    const existing = await getAccount(athleteId);
+    if (!existing && !create) return null;
+
+    const account = existing || {
+      athleteId,
+      ouraUserId: null,
+      stravaTokens: null,
+      ouraToken: null,
+      profile: {},
+      settings: {},
+      createdAt: now
+    };
+    const previousOuraUserId = account.ouraUserId;
+
+    await update(account);
+    account.updatedAt = now;
+    await write(getAccountKey(athleteId), account);
+
+    if (account.ouraUserId !== previousOuraUserId) {
+      if (previousOuraUserId) {
+        await remove(getOuraUserKey(previousOuraUserId));
+      }
+      if (account.ouraUserId) {
+        // A ring can only be linked to one athlete; unlink it from any other account
+        const linkedAthleteId = await findAthleteByOuraUser(account.ouraUserId);
+        const linkedAccount = linkedAthleteId && String(linkedAthleteId) !== String(athleteId)
+          ? await getAccount(linkedAthleteId)
+          : null;
+        if (linkedAccount) {
+          linkedAccount.ouraUserId = null;
+          linkedAccount.ouraToken = null;
+          linkedAccount.updatedAt = now;
+          await write(getAccountKey(linkedAthleteId), linkedAccount);
+        }
+        await write(getOuraUserKey(account.ouraUserId), athleteId);
+      }
+    }
+
+    return account;
+  }
+
+  // Find the athlete an Oura user is linked to (lets a returning athlete sign in with Oura)
+  async function findAthleteByOuraUser(ouraUserId) {
+    if (!ouraUserId) return null;
+    return read(getOuraUserKey(ouraUserId));
+  }
+
+  async function deleteAccount(athleteId) {
+    const account = await getAccount(athleteId);
+    if (!account) return false;
+
+    if (account.ouraUserId) {
+      await remove(getOuraUserKey(account.ouraUserId));
+    }
+    await remove(getAccountKey(athleteId));
+    return true;
+  }
+
+  return {
+    getAccount,
+    updateAccount,
+    findAthleteByOuraUser,
+    deleteAccount
+  };
+}
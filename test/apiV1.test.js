@@ -0,0 +1,83 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createApiV1Router } from "../src/routes/apiV1.js";
+
+const connectedAccount = { stravaTokens: { access_token: "strava" }, ouraToken: { access_token: "oura" } };
+
+let server;
+let baseUrl;
+
+// The router behind a stand-in for the server's session and Bearer token middleware,
+// which takes the caller from the X-Test-Caller header
+before(async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    const caller = JSON.parse(req.get("X-Test-Caller") || "{}");
+    req.account = caller.account;
+    req.apiToken = caller.apiToken;
+    next();
+  });
+  app.use("/api/v1", createApiV1Router({
+    loadMergedHistory: async () => ({}),
+    getActivitiesForRange: async () => [],
+    parseSportFilter: () => () => true
+  }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path, caller) {
+  const res = await fetch(`${baseUrl}${path}`, { headers: { "X-Test-Caller": JSON.stringify(caller) } });
+  return { status: res.status, body: await res.json() };
+}
+
+const range = "startDate=2025-01-01&endDate=2025-01-07";
+const tokenWith = scopes => ({ account: connectedAccount, apiToken: { id: "t1", scopes } });
+
+test("tokens need the route's scope", async () => {
+  const summariesOnly = tokenWith(["read:summaries"]);
+  const activitiesOnly = tokenWith(["read:activities"]);
+
+  const forbidden = await get(`/activities?${range}`, summariesOnly);
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.error.code, "FORBIDDEN");
+  assert.equal((await get(`/days?${range}`, activitiesOnly)).status, 403);
+  assert.equal((await get(`/periods?${range}`, activitiesOnly)).status, 403);
+
+  assert.equal((await get(`/activities?${range}`, activitiesOnly)).status, 200);
+  assert.equal((await get(`/days?${range}`, summariesOnly)).status, 200);
+  assert.equal((await get(`/periods?${range}`, summariesOnly)).status, 200);
+});
+
+test("tokens without scopes can't read anything", async () => {
+  for (const path of ["/days", "/periods", "/activities"]) {
+    assert.equal((await get(`${path}?${range}`, tokenWith([]))).status, 403);
+  }
+});
+
+test("signed-in sessions can read every route", async () => {
+  for (const path of ["/days", "/periods", "/activities"]) {
+    assert.equal((await get(`${path}?${range}`, { account: connectedAccount })).status, 200);
+  }
+});
+
+test("callers without connected services are rejected before the scope check", async () => {
+  const unauthorized = await get(`/activities?${range}`, {});
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.body.error.code, "UNAUTHORIZED");
+
+  const stravaOnly = { account: { stravaTokens: connectedAccount.stravaTokens }, apiToken: { id: "t1", scopes: [] } };
+  assert.equal((await get(`/days?${range}`, stravaOnly)).status, 401);
+});
+
+test("the OpenAPI document is public", async () => {
+  const { status, body } = await get("/openapi.json", {});
+  assert.equal(status, 200);
+  assert.ok(body.paths["/activities"]);
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EXPORT_SCOPES, EXPORT_TYPES, parseExportType } from "../src/services/dataExport.js";
+
+// /export checks a token's scope for parseExportType's result, so every spelling of
+// a type must land on the same scope, and anything else must be rejected first
+test("export types normalize to the type that picks the scope", () => {
+  assert.equal(parseExportType(undefined), "days");
+  assert.equal(parseExportType(""), "days");
+  assert.equal(parseExportType("days"), "days");
+  assert.equal(parseExportType("Runs"), "runs");
+  assert.equal(parseExportType("RUNS"), "runs");
+
+  assert.equal(EXPORT_SCOPES[parseExportType("RUNS")], "read:activities");
+  assert.equal(EXPORT_SCOPES[parseExportType("Days")], "read:summaries");
+});
+
+test("unknown export types are rejected", () => {
+  for (const value of ["bogus", "run", " runs", "constructor", "__proto__", "toString"]) {
+    assert.equal(parseExportType(value), null, value);
+  }
+  // Query strings can repeat a parameter
+  assert.equal(parseExportType(["runs", "days"]), null);
+});
+
+test("every export type has a scope", () => {
+  EXPORT_TYPES.forEach(type => assert.ok(Object.hasOwn(EXPORT_SCOPES, type), type));
+});
@@ -0,0 +1,24 @@
+import { readFileSync } from "fs";
+import vm from "vm";
+
+// Run dashboard scripts from public/ the way the browser does (plain scripts sharing one
+// global scope), with a localStorage holding `storage`. Returns the named globals.
+export function loadBrowserScripts(files, names, { storage = {} } = {}) {
+  const items = new Map(Object.entries(storage));
+  const context = vm.createContext({
+    console,
+    window: {},
+    localStorage: {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value))
+    }
+  });
+
+  files.forEach(file => {
+    const source = readFileSync(new URL(`../../public/${file}`, import.meta.url), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  // Class declarations aren't properties of the global object, so evaluate their names
+  return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WEEK_START_DAYS, aggregateByPeriod, getPeriodStart } from "../src/services/periodAggregation.js";
+
+// Every date from `start` through `end` (inclusive)
+function dateRange(start, end) {
+  const dates = [];
+  for (let d = new Date(`${start}T00:00:00Z`); d <= new Date(`${end}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+    dates.push(d.toISOString().split("T")[0]);
+  }
+  return dates;
+}
+
+function run(distance, sportType = "Run") {
+  return { sportType, distance, movingTime: distance / 3, pace: null, averageHeartrate: null, maxHeartrate: null, cadence: null };
+}
+
+test("weeks start on the configured day", () => {
+  // 2025-12-28 is a Sunday
+  assert.equal(getPeriodStart("2025-12-28", "week", WEEK_START_DAYS.monday), "2025-12-22");
+  assert.equal(getPeriodStart("2025-12-28", "week", WEEK_START_DAYS.sunday), "2025-12-28");
+  assert.equal(getPeriodStart("2025-12-29", "week", WEEK_START_DAYS.monday), "2025-12-29");
+  assert.equal(getPeriodStart("2025-12-27", "week", WEEK_START_DAYS.sunday), "2025-12-21");
+  assert.equal(getPeriodStart("2025-12-28", "week", WEEK_START_DAYS.saturday), "2025-12-27");
+});
+
+test("weeks default to starting on Monday", () => {
+  assert.equal(getPeriodStart("2025-12-28", "week"), "2025-12-22");
+});
+
+test("weeks span the year boundary", () => {
+  assert.equal(getPeriodStart("2026-01-01", "week", WEEK_START_DAYS.monday), "2025-12-29");
+  assert.equal(getPeriodStart("2026-01-03", "week", WEEK_START_DAYS.sunday), "2025-12-28");
+  assert.equal(getPeriodStart("2026-01-01", "month"), "2026-01-01");
+  assert.equal(getPeriodStart("2025-12-31", "year"), "2025-01-01");
+});
+
+test("aggregateByPeriod buckets days by week start", () => {
+  const days = dateRange("2025-12-27", "2026-01-05").map(date => ({
+    date,
+    activities: date === "2025-12-28" ? [run(5000), run(3000, "Ride")] : date === "2026-01-04" ? [run(10000)] : [],
+    sleep: null,
+    readiness: null
+  }));
+
+  const mondayWeeks = aggregateByPeriod(days, { granularity: "week", weekStart: WEEK_START_DAYS.monday });
+  assert.deepEqual(
+    mondayWeeks.map(({ period, startDate, endDate, days, activeDays, runCount, activityCount }) =>
+      ({ period, startDate, endDate, days, activeDays, runCount, activityCount })),
+    [
+      // The first and last buckets only hold the days given
+      { period: "2025-12-22", startDate: "2025-12-27", endDate: "2025-12-28", days: 2, activeDays: 1, runCount: 1, activityCount: 2 },
+      { period: "2025-12-29", startDate: "2025-12-29", endDate: "2026-01-04", days: 7, activeDays: 1, runCount: 1, activityCount: 1 },
+      { period: "2026-01-05", startDate: "2026-01-05", endDate: "2026-01-05", days: 1, activeDays: 0, runCount: 0, activityCount: 0 }
+    ]
+  );
+
+  const sundayWeeks = aggregateByPeriod(days, { granularity: "week", weekStart: WEEK_START_DAYS.sunday });
+  assert.deepEqual(sundayWeeks.map(w => [w.period, w.days, w.runCount]), [
+    ["2025-12-21", 1, 0],
+    ["2025-12-28", 7, 1],
+    ["2026-01-04", 2, 1]
+  ]);
+  assert.equal(sundayWeeks[1].distance, +(8000 / 1609.34).toFixed(2));
+});
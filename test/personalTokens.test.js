@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { createPersonalTokenStore } from "../src/services/personalTokens.js";
+
+// Just enough of the node-redis v4 client for the token store, with the raw stored values exposed
+function createFakeRedis() {
+  const strings = new Map();
+  const sets = new Map();
+  return {
+    strings,
+    sets,
+    async get(key) {
+      return strings.get(key) ?? null;
+    },
+    async set(key, value, options = {}) {
+      if (options.XX && !strings.has(key)) return null;
+      strings.set(key, value);
+      return "OK";
+    },
+    async del(key) {
+      return Number(strings.delete(key) || sets.delete(key));
+    },
+    async sAdd(key, member) {
+      sets.set(key, new Set(sets.get(key)).add(member));
+      return 1;
+    },
+    async sRem(key, member) {
+      return Number(sets.get(key)?.delete(member) ?? false);
+    },
+    async sMembers(key) {
+      return Array.from(sets.get(key) || []);
+    },
+    async sPop(key, count) {
+      const members = Array.from(sets.get(key) || []).slice(0, count);
+      members.forEach(member => sets.get(key).delete(member));
+      return members;
+    }
+  };
+}
+
+const sha256 = value => createHash("sha256").update(value).digest("hex");
+
+test("only a hash of the token is stored", async () => {
+  const redis = createFakeRedis();
+  const store = createPersonalTokenStore(redis);
+  const created = await store.createToken("42", { name: "notebook", scopes: ["read:summaries"] });
+
+  assert.match(created.token, /^asig_/);
+  assert.equal(created.prefix, created.token.slice(0, 9));
+  assert.deepEqual([...redis.strings.keys()], [`api-token:${sha256(created.token)}`]);
+  assert.deepEqual(await redis.sMembers("api-tokens:42"), [sha256(created.token)]);
+  assert.ok(!redis.strings.get(`api-token:${sha256(created.token)}`).includes(created.token));
+
+  const [listed] = await store.listTokens("42");
+  assert.equal(listed.id, created.id);
+  assert.equal(listed.hash, undefined);
+  assert.equal(listed.token, undefined);
+});
+
+test("authenticate accepts live tokens and records their use", async () => {
+  const store = createPersonalTokenStore(createFakeRedis());
+  const created = await store.createToken("42", { name: "sheet", scopes: ["read:activities"] });
+
+  const token = await store.authenticate(created.token);
+  assert.equal(token.id, created.id);
+  assert.deepEqual(token.scopes, ["read:activities"]);
+  assert.equal(token.hash, undefined);
+  assert.ok(token.lastUsedAt);
+  assert.ok((await store.listTokens("42"))[0].lastUsedAt);
+});
+
+test("authenticate rejects unknown and malformed tokens", async () => {
+  const store = createPersonalTokenStore(createFakeRedis());
+  const created = await store.createToken("42", { name: "sheet", scopes: ["read:activities"] });
+
+  assert.equal(await store.authenticate(undefined), null);
+  assert.equal(await store.authenticate(""), null);
+  assert.equal(await store.authenticate("asig_not-a-real-token"), null);
+  // The hash is not a credential
+  assert.equal(await store.authenticate(sha256(created.token)), null);
+  assert.equal(await store.authenticate(created.token.slice("asig_".length)), null);
+});
+
+test("revoked tokens stop authenticating", async () => {
+  const redis = createFakeRedis();
+  const store = createPersonalTokenStore(redis);
+  const kept = await store.createToken("42", { name: "kept", scopes: ["read:summaries"] });
+  const revoked = await store.createToken("42", { name: "revoked", scopes: ["read:summaries"] });
+
+  assert.equal(await store.revokeToken("42", revoked.id), true);
+  assert.equal(await store.authenticate(revoked.token), null);
+  assert.equal(await store.revokeToken("42", revoked.id), false);
+  assert.deepEqual((await store.listTokens("42")).map(t => t.id), [kept.id]);
+  assert.equal(redis.strings.has(`api-token:${sha256(revoked.token)}`), false);
+
+  // Another athlete can't revoke the token
+  assert.equal(await store.revokeToken("7", kept.id), false);
+  assert.ok(await store.authenticate(kept.token));
+});
+
+test("recording use doesn't bring back a token revoked meanwhile", async () => {
+  const redis = createFakeRedis();
+  const store = createPersonalTokenStore(redis);
+  const created = await store.createToken("42", { name: "script", scopes: ["read:summaries"] });
+
+  // Revoke between authenticate's read and its lastUsedAt write
+  const get = redis.get;
+  redis.get = async key => {
+    redis.get = get;
+    const value = await get(key);
+    await store.revokeToken("42", created.id);
+    return value;
+  };
+  await store.authenticate(created.token);
+
+  assert.equal(redis.strings.size, 0);
+  assert.equal(await store.authenticate(created.token), null);
+});
+
+test("revokeAllTokens revokes every token of the athlete only", async () => {
+  for (const redis of [createFakeRedis(), null]) {
+    const store = createPersonalTokenStore(redis);
+    const tokens = await Promise.all(["a", "b", "c"].map(name =>
+      store.createToken("42", { name, scopes: ["read:summaries"] })));
+    const other = await store.createToken("7", { name: "other", scopes: ["read:summaries"] });
+
+    assert.equal(await store.revokeAllTokens("42"), 3);
+    for (const { token } of tokens) {
+      assert.equal(await store.authenticate(token), null);
+    }
+    assert.deepEqual(await store.listTokens("42"), []);
+    assert.equal((await store.authenticate(other.token)).id, other.id);
+    assert.equal(await store.revokeAllTokens("42"), 0);
+  }
+});
+
+test("the in-memory store hashes and revokes the same way", async () => {
+  const store = createPersonalTokenStore(null);
+  const created = await store.createToken("42", { name: "dev", scopes: ["read:activities"] });
+
+  assert.equal((await store.authenticate(created.token)).id, created.id);
+  assert.equal((await store.listTokens("42"))[0].hash, undefined);
+  assert.equal(await store.revokeToken("42", created.id), true);
+  assert.equal(await store.authenticate(created.token), null);
+});
@@ -0,0 +1,126 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts } from "./helpers/browserScripts.js";
+
+function createAnalyzer(settings = {}) {
+  const { TrainingLoadAnalyzer } = loadBrowserScripts(
+    ["trainingLoadModels.js", "trainingLoadAnalyzer.js"],
+    ["TrainingLoadAnalyzer"],
+    { storage: { athletesignal_training_load: JSON.stringify(settings) } }
+  );
+  return new TrainingLoadAnalyzer();
+}
+
+// Objects built inside the script context have that realm's prototypes; copy them for deepEqual
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Consecutive days from 2025-01-01 with the given distances (miles)
+function daysWithDistances(distances) {
+  return distances.map((distance, i) => ({
+    date: new Date(Date.UTC(2025, 0, 1 + i)).toISOString().split("T")[0],
+    distance,
+    movingTime: distance * 600
+  }));
+}
+
+// Bias-corrected EWMA as a weighted mean: weights λ(1-λ)^k for the day k days back
+function referenceEwma(loads, window) {
+  const decay = 2 / (window + 1);
+  let weighted = 0;
+  let totalWeight = 0;
+  loads.slice().reverse().forEach((load, k) => {
+    const weight = decay * Math.pow(1 - decay, k);
+    weighted += weight * load;
+    totalWeight += weight;
+  });
+  return weighted / totalWeight;
+}
+
+test("Banister TRIMP weights heart rate reserve by sex", () => {
+  const models = createAnalyzer().loadModels;
+  const heartRate = { restingHeartRate: 50, maxHeartRate: 190 };
+
+  // 60 minutes at 120 bpm is half the heart rate reserve
+  assert.ok(Math.abs(models.banisterTrimp(60, 120, { ...heartRate, sex: "male" }) - 50.1446) < 1e-3);
+  assert.ok(Math.abs(models.banisterTrimp(60, 120, { ...heartRate, sex: "female" }) - 59.4642) < 1e-3);
+
+  // Heart rates outside resting..max are clamped to the reserve
+  assert.equal(models.banisterTrimp(60, 40, { ...heartRate, sex: "male" }), 0);
+  assert.equal(
+    models.banisterTrimp(60, 250, { ...heartRate, sex: "male" }),
+    models.banisterTrimp(60, 190, { ...heartRate, sex: "male" })
+  );
+
+  // No reserve, no score
+  assert.equal(models.banisterTrimp(60, 120, { restingHeartRate: 60, maxHeartRate: 60, sex: "male" }), null);
+});
+
+test("Edwards TRIMP weights minutes by heart rate zone", () => {
+  const models = createAnalyzer().loadModels;
+  const zoneOf = averageHeartrate => models.edwardsTrimp(1, averageHeartrate, { maxHeartRate: 200 });
+
+  assert.equal(zoneOf(99), 0); // below 50% of max
+  assert.equal(zoneOf(100), 1);
+  assert.equal(zoneOf(119), 1);
+  assert.equal(zoneOf(120), 2);
+  assert.equal(zoneOf(139), 2);
+  assert.equal(zoneOf(140), 3); // exactly 70%
+  assert.equal(zoneOf(160), 4);
+  assert.equal(zoneOf(180), 5);
+  assert.equal(zoneOf(210), 5); // above max stays in the top zone
+  assert.equal(models.edwardsTrimp(45, 150, { maxHeartRate: 200 }), 45 * 3);
+});
+
+test("TRIMP load counts training days without heart rate as missing", () => {
+  const analyzer = createAnalyzer({ metric: "edwardsTrimp", restingHeartRate: 50, maxHeartRate: 200 });
+  const { loads } = analyzer.getDailyLoads([
+    { date: "2025-01-01", movingTime: 3600, averageHeartrate: 150 },
+    { date: "2025-01-02", movingTime: 1800, averageHeartrate: null },
+    { date: "2025-01-03", movingTime: 0, averageHeartrate: null }
+  ]);
+
+  assert.deepEqual(plain(loads), [
+    { date: "2025-01-01", load: 180, missing: false },
+    { date: "2025-01-02", load: 0, missing: true },
+    { date: "2025-01-03", load: 0, missing: false }
+  ]);
+});
+
+test("EWMA ACWR of a steady load is 1", () => {
+  const analyzer = createAnalyzer({ acwrMethod: "ewma" });
+  const acwr = analyzer.calculateACWR(daysWithDistances(Array(40).fill(5)));
+
+  assert.equal(acwr.method, "ewma");
+  assert.ok(Math.abs(acwr.ratio - 1) < 1e-9);
+  assert.ok(Math.abs(acwr.acuteAvg - 5) < 1e-9);
+  assert.equal(acwr.partial, false);
+});
+
+test("EWMA ACWR matches the bias-corrected weighted averages", () => {
+  const analyzer = createAnalyzer({ acwrMethod: "ewma", acuteWindow: 7, chronicWindow: 28 });
+  const distances = [...Array(28).fill(4), ...Array(7).fill(8)];
+  const acwr = analyzer.calculateACWR(daysWithDistances(distances));
+
+  const acute = referenceEwma(distances, 7);
+  const chronic = referenceEwma(distances, 28);
+  assert.ok(Math.abs(acwr.acuteAvg - acute) < 1e-9);
+  assert.ok(Math.abs(acwr.chronicAvg - chronic) < 1e-9);
+  assert.ok(Math.abs(acwr.ratio - acute / chronic) < 1e-9);
+  assert.equal(acwr.riskLevel, "moderate");
+});
+
+test("ACWR is partial until the history covers the chronic window", () => {
+  const analyzer = createAnalyzer({ acwrMethod: "ewma", acuteWindow: 7, chronicWindow: 28 });
+
+  const short = analyzer.calculateACWR(daysWithDistances(Array(10).fill(5)));
+  assert.equal(short.partial, true);
+  assert.equal(short.chronicDays, 10);
+
+  assert.equal(analyzer.calculateACWR(daysWithDistances(Array(6).fill(5))), null);
+  assert.equal(analyzer.calculateACWR(daysWithDistances(Array(28).fill(5))).partial, false);
+});
+
+test("Invalid ACWR windows fall back to 7:28", () => {
+  const analyzer = createAnalyzer({ acwrMethod: "rolling", acuteWindow: 28, chronicWindow: 7 });
+  assert.deepEqual(plain(analyzer.getACWRSettings()), { method: "rolling", acuteWindow: 7, chronicWindow: 28 });
+});